@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Run a CP/M .COM file (e.g. ZEXDOC or ZEXALL) on the Z80 core
+ * Console output is streamed to stdout as the program prints it.
+ *
+ * Usage: node run-cpm.js path/to/zexdoc.com
+ */
+
+import { readFile } from 'fs/promises';
+import { CPMMachine } from './src/cpm/cpm.js';
+
+const SLICE = 1000000; // Instructions between yields to the event loop
+
+const file = process.argv[2];
+if (!file) {
+  console.error('Usage: node run-cpm.js <file.com>');
+  process.exit(1);
+}
+
+const machine = new CPMMachine({ onOutput: (text) => process.stdout.write(text) });
+machine.load(new Uint8Array(await readFile(file)));
+
+const start = Date.now();
+while (!machine.run(SLICE)) {
+  await new Promise((resolve) => setImmediate(resolve));
+}
+
+const seconds = (Date.now() - start) / 1000;
+console.log(`\n${machine.instructions} instructions, ${machine.cpu.tstates} T-states in ${seconds.toFixed(1)}s`);
@@ -1,5 +1,5 @@
 /**
- * AudioWorklet processor for ZX Spectrum beeper
+ * AudioWorklet processor for ZX Spectrum beeper (and AY mix)
  * Runs in separate audio thread for better performance
  */
 class BeeperProcessor extends AudioWorkletProcessor {
@@ -11,7 +11,7 @@ class BeeperProcessor extends AudioWorkletProcessor {
     this.lastValue = 0; // Keep last value to prevent clicks
 
     this.port.onmessage = (e) => {
-      const { type, value, count } = e.data;
+      const { type, value, count, samples } = e.data;
 
       if (type === 'sample') {
         // Drop samples if buffer is too full to prevent latency buildup
@@ -24,6 +24,15 @@ class BeeperProcessor extends AudioWorkletProcessor {
         for (let i = 0; i < count && this.buffer.length < this.maxBufferSize; i++) {
           this.buffer.push(value);
         }
+      } else if (type === 'samples') {
+        // Pre-mixed beeper + AY samples
+        if (this.buffer.length > this.maxBufferSize) {
+          this.buffer.length = Math.floor(this.targetBufferSize / 2);
+        }
+
+        for (let i = 0; i < samples.length && this.buffer.length < this.maxBufferSize; i++) {
+          this.buffer.push(samples[i]);
+        }
       } else if (type === 'reset') {
         this.buffer = [];
         this.lastValue = 0;
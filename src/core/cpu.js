@@ -1,3 +1,11 @@
+// Registers and flip-flops saved by getState()
+const STATE_REGISTERS = [
+  'a', 'f', 'b', 'c', 'd', 'e', 'h', 'l',
+  'a_', 'f_', 'b_', 'c_', 'd_', 'e_', 'h_', 'l_',
+  'ix', 'iy', 'sp', 'pc', 'i', 'r', 'memptr', 'q',
+  'iff1', 'iff2', 'im', 'enableInterruptsPending', 'halted', 'tstates'
+];
+
 /**
  * Z80 CPU emulator core
  */
@@ -33,11 +41,17 @@ export class Z80CPU {
     this.i = 0; // Interrupt vector
     this.r = 0; // Memory refresh
 
+    // Internal registers behind the undocumented X/Y flags
+    this.memptr = 0; // MEMPTR (WZ): last address formed by jumps, 16-bit loads, (IX+d), I/O...
+    this.q = 0; // F if the last instruction changed the flags, otherwise 0 (read by SCF/CCF)
+    this.flagsChanged = false; // Set by flag writes during the current instruction
+
     // Interrupt flip-flops
     this.iff1 = false;
     this.iff2 = false;
     this.im = 0; // Interrupt mode (0, 1, or 2)
-    this.enableInterruptsPending = false; // EI delays interrupt enable by one instruction
+    this.enableInterruptsPending = false; // Last instruction was EI: no interrupt before the next one
+    this.interruptDataBus = 0xff; // Byte read during the acknowledge (IM 2 vector low byte)
 
     // Halt state
     this.halted = false;
@@ -48,6 +62,20 @@ export class Z80CPU {
     // Memory and I/O interfaces
     this.memory = null;
     this.io = null;
+
+    // Optional contention model (the Spectrum ULA):
+    // getMemoryContention(addr, tstates) and getIOContention(port, tstates) return wait states
+    this.contention = null;
+
+    // Bus cycles of the current instruction. Instruction tables add nominal T-states;
+    // memory and I/O cycles are timed here so each M-cycle can be contended as it happens
+    this.busActive = false;
+    this.busTStates = 0; // T-state the next bus cycle starts at
+    this.busDelay = 0; // Contention added during the instruction
+    this.busAddress = 0; // Address left on the bus (internal cycles contend on it)
+    this.busAccess = 0; // Memory and I/O cycles since the opcode fetch
+    this.ioTStates = 0; // T-state at which the device sees the current I/O cycle
+    this.internalCycles = null; // [[access, count]]: internal cycles before an access
   }
 
   /**
@@ -78,11 +106,14 @@ export class Z80CPU {
     this.pc = 0;
     this.i = 0;
     this.r = 0;
+    this.memptr = 0;
+    this.q = 0;
     this.iff1 = this.iff2 = false;
     this.im = 0;
     this.enableInterruptsPending = false;
     this.halted = false;
     this.tstates = 0;
+    this.busActive = false;
   }
 
   /**
@@ -124,6 +155,7 @@ export class Z80CPU {
   }
 
   setFlag(flag, value) {
+    this.flagsChanged = true;
     if (value) {
       this.f |= flag;
     } else {
@@ -131,6 +163,36 @@ export class Z80CPU {
     }
   }
 
+  /**
+   * X and Y flags set by SCF and CCF: from A, also ORed with F when the previous
+   * instruction did not change the flags (Q = 0)
+   */
+  getCarryOpXY() {
+    return ((this.q ^ this.f) | this.a) & (Z80CPU.FLAG_X | Z80CPU.FLAG_Y);
+  }
+
+  /**
+   * Snapshot of the CPU state, including the internal MEMPTR and Q registers
+   */
+  getState() {
+    const state = {};
+    for (const name of STATE_REGISTERS) {
+      state[name] = this[name];
+    }
+    return state;
+  }
+
+  /**
+   * Restore a snapshot from getState() (missing registers are left unchanged)
+   */
+  setState(state) {
+    for (const name of STATE_REGISTERS) {
+      if (state[name] !== undefined) {
+        this[name] = state[name];
+      }
+    }
+  }
+
   // Flag constants
   static FLAG_C = 0x01; // Carry
   static FLAG_N = 0x02; // Add/Subtract
@@ -141,14 +203,112 @@ export class Z80CPU {
   static FLAG_Z = 0x40; // Zero
   static FLAG_S = 0x80; // Sign
 
+  /**
+   * Start timing the bus cycles of an instruction
+   */
+  beginCycles() {
+    this.busActive = true;
+    this.busTStates = this.tstates;
+    this.busDelay = 0;
+    this.busAccess = 0;
+    this.internalCycles = null;
+  }
+
+  /**
+   * Finish an instruction that started at `start`: nominal T-states not taken by
+   * memory and I/O cycles are internal cycles on the last bus address, then the
+   * contention is added
+   */
+  endCycles(start) {
+    const remaining = (this.tstates - start) - (this.busTStates - this.busDelay - start);
+    if (remaining > 0) {
+      this.internalCycle(remaining);
+    }
+    this.tstates += this.busDelay;
+    this.busActive = false;
+  }
+
+  /**
+   * Opcode fetch (M1): 4 T-states, leaving IR on the bus for the refresh
+   */
+  fetchCycle(addr) {
+    this.memoryCycle(addr, 4);
+    this.busAddress = (this.i << 8) | this.r;
+    this.busAccess = 0;
+  }
+
+  /**
+   * Memory read or write cycle
+   */
+  memoryCycle(addr, length) {
+    if (this.internalCycles) this.scheduledCycles();
+    if (this.contention) this.wait(this.contention.getMemoryContention(addr, this.busTStates));
+    this.busTStates += length;
+    this.busAddress = addr;
+    this.busAccess++;
+  }
+
+  /**
+   * I/O cycle (4 T-states, contended by port address)
+   */
+  ioCycle(port) {
+    if (this.internalCycles) this.scheduledCycles();
+
+    // The device sees the access after T1 and any contention on the high byte before it
+    const start = this.busTStates;
+    this.ioTStates = start + 1;
+    if (this.contention) {
+      this.ioTStates += this.contention.getMemoryContention(port, start);
+      this.wait(this.contention.getIOContention(port, start));
+    }
+    this.busTStates += 4;
+    this.busAddress = port;
+    this.busAccess++;
+  }
+
+  /**
+   * Internal (no memory request) cycles of 1 T-state with the last address on the bus
+   */
+  internalCycle(count) {
+    for (let i = 0; i < count; i++) {
+      if (this.contention) this.wait(this.contention.getMemoryContention(this.busAddress, this.busTStates));
+      this.busTStates++;
+    }
+  }
+
+  /**
+   * Run the instruction's internal cycles that come before the next access
+   */
+  scheduledCycles() {
+    for (const [access, count] of this.internalCycles) {
+      if (access === this.busAccess) this.internalCycle(count);
+    }
+  }
+
+  /**
+   * Add contention wait states to the current bus cycle
+   */
+  wait(tstates) {
+    this.busDelay += tstates;
+    this.busTStates += tstates;
+  }
+
   /**
    * Memory access helpers
    */
+  readOpcode(addr) {
+    this.incR();
+    if (this.busActive) this.fetchCycle(addr & 0xffff);
+    return this.memory ? this.memory.read(addr & 0xffff) : 0;
+  }
+
   readMem(addr) {
+    if (this.busActive) this.memoryCycle(addr & 0xffff, 3);
     return this.memory ? this.memory.read(addr & 0xffff) : 0;
   }
 
   writeMem(addr, val) {
+    if (this.busActive) this.memoryCycle(addr & 0xffff, 3);
     if (this.memory) {
       this.memory.write(addr & 0xffff, val & 0xff);
     }
@@ -187,12 +347,32 @@ export class Z80CPU {
    * I/O operations
    */
   portIn(port) {
-    return this.io ? this.io.read(port & 0xffff) : 0xff;
+    port &= 0xffff;
+    if (this.busActive) this.ioCycle(port);
+    return this.io ? this.atBusTime(() => this.io.read(port)) : 0xff;
   }
 
   portOut(port, val) {
+    port &= 0xffff;
+    if (this.busActive) this.ioCycle(port);
     if (this.io) {
-      this.io.write(port & 0xffff, val & 0xff);
+      this.atBusTime(() => this.io.write(port, val & 0xff));
+    }
+  }
+
+  /**
+   * Run a device access with tstates at the T-state it happens within the I/O cycle,
+   * so the border, beeper, tape and floating bus see when it happened in the instruction
+   */
+  atBusTime(access) {
+    if (!this.busActive) return access();
+
+    const tstates = this.tstates;
+    this.tstates = this.ioTStates;
+    try {
+      return access();
+    } finally {
+      this.tstates = tstates;
     }
   }
 
@@ -242,20 +422,27 @@ export class Z80CPU {
   }
 
   /**
-   * Execute interrupt
+   * Accept a maskable interrupt if enabled (call at an instruction boundary while INT is low)
+   * @returns {boolean} true if the interrupt was accepted
    */
   interrupt() {
     // Interrupts are not accepted if IFF1 is disabled
-    // or if we're in the delay period after EI
-    if (!this.iff1 || this.enableInterruptsPending) return;
+    // or right after EI (the instruction following it always runs first)
+    if (!this.iff1 || this.enableInterruptsPending) return false;
 
+    const start = this.tstates;
+    this.beginCycles();
+    this.busTStates += 7; // Acknowledge cycle, not contended
+    this.incR();
     this.halted = false;
     this.iff1 = this.iff2 = false;
 
     if (this.im === 0) {
-      // Mode 0: Execute instruction on data bus (RST 38h for ZX Spectrum)
+      // Mode 0: Execute the instruction on the data bus. Only RST opcodes are supported;
+      // the Spectrum's idle bus (0xFF) is RST 38h
+      const bus = this.interruptDataBus;
       this.push(this.pc);
-      this.pc = 0x0038;
+      this.pc = (bus & 0xc7) === 0xc7 ? bus & 0x38 : 0x0038;
       this.tstates += 13;
     } else if (this.im === 1) {
       // Mode 1: RST 38h
@@ -263,23 +450,33 @@ export class Z80CPU {
       this.pc = 0x0038;
       this.tstates += 13;
     } else {
-      // Mode 2: Vectored interrupt
-      const vector = (this.i << 8) | 0xff;
+      // Mode 2: Vectored interrupt through the table at I, indexed by the data bus
+      const vector = (this.i << 8) | this.interruptDataBus;
       this.push(this.pc);
       this.pc = this.readMemWord(vector);
       this.tstates += 19;
     }
+    this.memptr = this.pc;
+    this.q = 0;
+    this.endCycles(start);
+    return true;
   }
 
   /**
    * Execute NMI (Non-Maskable Interrupt)
    */
   nmi() {
+    const start = this.tstates;
+    this.beginCycles();
+    this.busTStates += 5; // Opcode fetch discarded and internal cycle
+    this.incR();
     this.halted = false;
     this.iff2 = this.iff1;
     this.iff1 = false;
     this.push(this.pc);
-    this.pc = 0x0066;
+    this.pc = this.memptr = 0x0066;
+    this.q = 0;
     this.tstates += 11;
+    this.endCycles(start);
   }
 }
@@ -0,0 +1,133 @@
+/**
+ * Minimal CP/M machine for running Z80 test binaries (ZEXDOC, ZEXALL and other .COM files)
+ * Flat 64KB RAM, no I/O devices. Only the BDOS console calls are provided.
+ */
+import { Z80CPU } from '../core/cpu.js';
+import { InstructionDecoder } from '../decoder/decoder.js';
+
+const TPA_START = 0x0100; // .COM files load and start here
+const BDOS_ENTRY = 0x0005; // CALL 5 with the function number in C
+const BDOS_BASE = 0xfe00; // Top of the TPA, stored at 0x0006 (programs set SP from it)
+
+// BDOS functions
+const C_WRITE = 2; // Print the character in E
+const C_WRITESTR = 9; // Print the '$'-terminated string at DE
+
+export class CPMMachine {
+  /**
+   * @param {Object} options - { onOutput: (text) => {} } to stream console output
+   */
+  constructor(options = {}) {
+    this.ram = new Uint8Array(65536);
+    this.cpu = new Z80CPU();
+    this.cpu.memory = {
+      read: (addr) => this.ram[addr],
+      write: (addr, value) => { this.ram[addr] = value; }
+    };
+    this.cpu.io = { read: () => 0xff, write: () => {} };
+    this.decoder = new InstructionDecoder(this.cpu);
+
+    this.onOutput = options.onOutput || null;
+    this.output = '';
+    this.instructions = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Load a .COM file at 0x0100 and reset the CPU to run it
+   */
+  load(data) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+    if (data.length > BDOS_BASE - TPA_START) {
+      throw new Error(`COM file too large: ${data.length} bytes`);
+    }
+
+    this.ram.fill(0);
+    this.ram.set(data, TPA_START);
+
+    // Page zero: warm boot at 0x0000, BDOS entry at 0x0005 (JP BDOS_BASE)
+    this.ram[0x0000] = 0x76; // HALT (the run loop stops at 0x0000 first)
+    this.ram[BDOS_ENTRY] = 0xc3;
+    this.ram[BDOS_ENTRY + 1] = BDOS_BASE & 0xff;
+    this.ram[BDOS_ENTRY + 2] = BDOS_BASE >> 8;
+    this.ram[BDOS_BASE] = 0xc9; // RET
+
+    this.cpu.reset();
+    this.cpu.sp = BDOS_BASE;
+    this.cpu.push(0x0000); // A final RET warm boots
+    this.cpu.pc = TPA_START;
+
+    this.output = '';
+    this.instructions = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Run until the program jumps to 0x0000 (or halts), or for at most `limit` instructions
+   * @returns {boolean} true once the program has finished
+   */
+  run(limit = Infinity) {
+    const cpu = this.cpu;
+    let count = 0;
+
+    while (!this.finished && count < limit) {
+      if (cpu.pc === 0x0000 || cpu.halted) {
+        this.finished = true;
+        break;
+      }
+
+      if (cpu.pc === BDOS_ENTRY) {
+        this.bdos();
+        cpu.pc = cpu.pop();
+        continue;
+      }
+
+      this.decoder.executeInstruction();
+      count++;
+    }
+
+    this.instructions += count;
+    return this.finished;
+  }
+
+  /**
+   * Handle a BDOS call (function in C); unsupported functions are ignored
+   */
+  bdos() {
+    const cpu = this.cpu;
+
+    if (cpu.c === C_WRITE) {
+      this.print(String.fromCharCode(cpu.e));
+    } else if (cpu.c === C_WRITESTR) {
+      let text = '';
+      for (let i = 0; i < 65536; i++) {
+        const ch = this.ram[(cpu.getDE() + i) & 0xffff];
+        if (ch === 0x24) break; // '$'
+        text += String.fromCharCode(ch);
+      }
+      this.print(text);
+    }
+  }
+
+  /**
+   * Collect console output and pass it to the onOutput callback
+   */
+  print(text) {
+    this.output += text;
+    if (this.onOutput) {
+      this.onOutput(text);
+    }
+  }
+
+  /**
+   * Load and run a .COM file to completion, returning its console output
+   */
+  static runCOM(data, options = {}) {
+    const machine = new CPMMachine(options);
+    machine.load(data);
+    machine.run(options.limit);
+    return machine.output;
+  }
+}
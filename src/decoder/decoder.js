@@ -8,6 +8,9 @@ import { edInstructionTable } from '../instructions/extended.js';
 import { ddInstructionTable, ddcbInstructionTable } from '../instructions/ix.js';
 import { fdInstructionTable, fdcbInstructionTable } from '../instructions/iy.js';
 
+// DDCB/FDCB: 2 internal cycles after the opcode read, 1 between reading and writing (IX+d)
+const INDEXED_CB_CYCLES = [[2, 2], [3, 1]];
+
 export class InstructionDecoder {
   constructor(cpu) {
     this.cpu = cpu;
@@ -188,13 +191,21 @@ export class InstructionDecoder {
     }
   }
 
+  /**
+   * Fetch an opcode from PC (M1 cycle, increments R)
+   */
+  fetchOpcode() {
+    const byte = this.cpu.readOpcode(this.cpu.pc);
+    this.cpu.pc = (this.cpu.pc + 1) & 0xffff;
+    return byte;
+  }
+
   /**
    * Fetch next byte from PC and increment
    */
   fetchByte() {
     const byte = this.cpu.readMem(this.cpu.pc);
     this.cpu.pc = (this.cpu.pc + 1) & 0xffff;
-    this.cpu.incR();
     return byte;
   }
 
@@ -213,26 +224,35 @@ export class InstructionDecoder {
    */
   executeInstruction() {
     const startTStates = this.cpu.tstates;
+    this.cpu.beginCycles();
+
+    // The EI delay only covers the boundary straight after EI
+    this.cpu.enableInterruptsPending = false;
 
     if (this.cpu.halted) {
+      // HALT keeps fetching (and discarding) the next opcode as NOPs, refreshing R
+      this.cpu.incR();
+      this.cpu.fetchCycle(this.cpu.pc);
       this.cpu.tstates += 4;
-      return 4;
+      this.cpu.q = 0;
+      this.cpu.endCycles(startTStates);
+      return this.cpu.tstates - startTStates;
     }
 
     const pc = this.cpu.pc;
-    const opcode = this.fetchByte();
+    const opcode = this.fetchOpcode();
 
-    // Log before execution
+    // Log before execution (its memory peeks are not bus cycles)
+    this.cpu.busActive = false;
     this.logInstruction(pc, opcode);
+    this.cpu.busActive = true;
 
+    this.cpu.flagsChanged = false;
     this.executeOpcode(opcode, instructionTable);
+    this.cpu.endCycles(startTStates);
 
-    // Handle delayed interrupt enable from EI instruction
-    // Must be done AFTER executing the instruction following EI
-    if (this.cpu.enableInterruptsPending) {
-      this.cpu.iff1 = this.cpu.iff2 = true;
-      this.cpu.enableInterruptsPending = false;
-    }
+    // Q holds F if this instruction changed the flags (SCF/CCF read it next)
+    this.cpu.q = this.cpu.flagsChanged ? this.cpu.f : 0;
 
     return this.cpu.tstates - startTStates;
   }
@@ -247,6 +267,7 @@ export class InstructionDecoder {
       throw new Error(`Unknown opcode: 0x${opcode.toString(16).padStart(2, '0')}`);
     }
 
+    this.cpu.internalCycles = instruction.internal || null;
     instruction.execute(this.cpu, this);
   }
 
@@ -254,7 +275,7 @@ export class InstructionDecoder {
    * Handle CB prefix (bit operations)
    */
   executeCB() {
-    const opcode = this.fetchByte();
+    const opcode = this.fetchOpcode();
     this.executeOpcode(opcode, cbInstructionTable);
   }
 
@@ -262,7 +283,7 @@ export class InstructionDecoder {
    * Handle ED prefix (extended instructions)
    */
   executeED() {
-    const opcode = this.fetchByte();
+    const opcode = this.fetchOpcode();
     const instruction = edInstructionTable[opcode];
 
     if (!instruction) {
@@ -271,6 +292,7 @@ export class InstructionDecoder {
       return;
     }
 
+    this.cpu.internalCycles = instruction.internal || null;
     instruction.execute(this.cpu, this);
   }
 
@@ -278,10 +300,11 @@ export class InstructionDecoder {
    * Handle DD prefix (IX instructions)
    */
   executeDD() {
-    const opcode = this.fetchByte();
+    const opcode = this.fetchOpcode();
 
-    // DD CB prefix
+    // DD CB prefix: displacement and opcode are memory reads, not M1 cycles
     if (opcode === 0xcb) {
+      this.cpu.internalCycles = INDEXED_CB_CYCLES;
       const offset = this.fetchByte();
       const subOpcode = this.fetchByte();
       const instruction = ddcbInstructionTable[subOpcode];
@@ -297,11 +320,13 @@ export class InstructionDecoder {
     const instruction = ddInstructionTable[opcode];
 
     if (!instruction) {
-      // Fall back to normal instruction table
+      // Fall back to normal instruction table, plus the prefix's M1 cycle
+      this.cpu.tstates += 4;
       this.executeOpcode(opcode, instructionTable);
       return;
     }
 
+    this.cpu.internalCycles = instruction.internal || null;
     instruction.execute(this.cpu, this);
   }
 
@@ -309,10 +334,11 @@ export class InstructionDecoder {
    * Handle FD prefix (IY instructions)
    */
   executeFD() {
-    const opcode = this.fetchByte();
+    const opcode = this.fetchOpcode();
 
-    // FD CB prefix
+    // FD CB prefix: displacement and opcode are memory reads, not M1 cycles
     if (opcode === 0xcb) {
+      this.cpu.internalCycles = INDEXED_CB_CYCLES;
       const offset = this.fetchByte();
       const subOpcode = this.fetchByte();
       const instruction = fdcbInstructionTable[subOpcode];
@@ -328,11 +354,13 @@ export class InstructionDecoder {
     const instruction = fdInstructionTable[opcode];
 
     if (!instruction) {
-      // Fall back to normal instruction table
+      // Fall back to normal instruction table, plus the prefix's M1 cycle
+      this.cpu.tstates += 4;
       this.executeOpcode(opcode, instructionTable);
       return;
     }
 
+    this.cpu.internalCycles = instruction.internal || null;
     instruction.execute(this.cpu, this);
   }
 }
@@ -1,5 +1,5 @@
 /**
- * ZX Generation - ZX Spectrum 48K Emulator
+ * ZX Generation - ZX Spectrum 48K/128K Emulator
  * Main entry point
  */
 export { ZXSpectrum } from './spectrum/spectrum.js';
@@ -8,5 +8,11 @@ export { Memory } from './spectrum/memory.js';
 export { ULA } from './spectrum/ula.js';
 export { Display } from './spectrum/display.js';
 export { Sound } from './spectrum/sound.js';
+export { AY } from './spectrum/ay.js';
+export { Joystick } from './spectrum/joystick.js';
 export { Tape } from './spectrum/tape.js';
+export { TapeRecorder } from './spectrum/tape-recorder.js';
+export { TapeWriter } from './spectrum/tape-writer.js';
 export { Snapshot } from './spectrum/snapshot.js';
+export { MACHINES } from './spectrum/machines.js';
+export { CPMMachine } from './cpm/cpm.js';
@@ -8,6 +8,10 @@ const toSigned = (val) => (val & 0x80) ? val - 256 : val;
 
 export const instructionTable = [];
 
+// Entries may list internal cycles that come before a memory or I/O access as
+// `internal: [[access, count]]`, counting accesses after the opcode fetch. Any other
+// T-states beyond the bus cycles are internal cycles at the end of the instruction.
+
 // 0x00: NOP
 instructionTable[0x00] = {
   execute: (cpu) => {
@@ -27,7 +31,9 @@ instructionTable[0x01] = {
 // 0x02: LD (BC),A
 instructionTable[0x02] = {
   execute: (cpu) => {
-    cpu.writeMem(cpu.getBC(), cpu.a);
+    const addr = cpu.getBC();
+    cpu.writeMem(addr, cpu.a);
+    cpu.memptr = (cpu.a << 8) | ((addr + 1) & 0xff);
     cpu.tstates += 7;
   }
 };
@@ -111,6 +117,7 @@ instructionTable[0x09] = {
     const hl = cpu.getHL();
     const bc = cpu.getBC();
     const result = hl + bc;
+    cpu.memptr = (hl + 1) & 0xffff;
     cpu.setFlag(Z80CPU.FLAG_C, result & 0x10000);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     cpu.setFlag(Z80CPU.FLAG_H, ((hl & 0x0fff) + (bc & 0x0fff)) & 0x1000);
@@ -124,7 +131,9 @@ instructionTable[0x09] = {
 // 0x0A: LD A,(BC)
 instructionTable[0x0a] = {
   execute: (cpu) => {
-    cpu.a = cpu.readMem(cpu.getBC());
+    const addr = cpu.getBC();
+    cpu.a = cpu.readMem(addr);
+    cpu.memptr = (addr + 1) & 0xffff;
     cpu.tstates += 7;
   }
 };
@@ -195,11 +204,13 @@ instructionTable[0x0f] = {
 
 // 0x10: DJNZ d
 instructionTable[0x10] = {
+  internal: [[0, 1]],
   execute: (cpu, decoder) => {
     const offset = toSigned(decoder.fetchByte());
     cpu.b = (cpu.b - 1) & 0xff;
     if (cpu.b !== 0) {
       cpu.pc = (cpu.pc + offset) & 0xffff;
+      cpu.memptr = cpu.pc;
       cpu.tstates += 13;
     } else {
       cpu.tstates += 8;
@@ -219,7 +230,9 @@ instructionTable[0x11] = {
 // 0x12: LD (DE),A
 instructionTable[0x12] = {
   execute: (cpu) => {
-    cpu.writeMem(cpu.getDE(), cpu.a);
+    const addr = cpu.getDE();
+    cpu.writeMem(addr, cpu.a);
+    cpu.memptr = (cpu.a << 8) | ((addr + 1) & 0xff);
     cpu.tstates += 7;
   }
 };
@@ -291,6 +304,7 @@ instructionTable[0x18] = {
   execute: (cpu, decoder) => {
     const offset = toSigned(decoder.fetchByte());
     cpu.pc = (cpu.pc + offset) & 0xffff;
+    cpu.memptr = cpu.pc;
     cpu.tstates += 12;
   }
 };
@@ -301,6 +315,7 @@ instructionTable[0x19] = {
     const hl = cpu.getHL();
     const de = cpu.getDE();
     const result = hl + de;
+    cpu.memptr = (hl + 1) & 0xffff;
     cpu.setFlag(Z80CPU.FLAG_C, result & 0x10000);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     cpu.setFlag(Z80CPU.FLAG_H, ((hl & 0x0fff) + (de & 0x0fff)) & 0x1000);
@@ -313,7 +328,9 @@ instructionTable[0x19] = {
 
 instructionTable[0x1a] = {
   execute: (cpu) => {
-    cpu.a = cpu.readMem(cpu.getDE());
+    const addr = cpu.getDE();
+    cpu.a = cpu.readMem(addr);
+    cpu.memptr = (addr + 1) & 0xffff;
     cpu.tstates += 7;
   }
 };
@@ -387,6 +404,7 @@ instructionTable[0x20] = {
     const offset = toSigned(decoder.fetchByte());
     if (!cpu.getFlag(Z80CPU.FLAG_Z)) {
       cpu.pc = (cpu.pc + offset) & 0xffff;
+      cpu.memptr = cpu.pc;
       cpu.tstates += 12;
     } else {
       cpu.tstates += 7;
@@ -406,6 +424,7 @@ instructionTable[0x22] = {
   execute: (cpu, decoder) => {
     const addr = decoder.fetchWord();
     cpu.writeMemWord(addr, cpu.getHL());
+    cpu.memptr = (addr + 1) & 0xffff;
     cpu.tstates += 16;
   }
 };
@@ -506,6 +525,7 @@ instructionTable[0x28] = {
     const offset = toSigned(decoder.fetchByte());
     if (cpu.getFlag(Z80CPU.FLAG_Z)) {
       cpu.pc = (cpu.pc + offset) & 0xffff;
+      cpu.memptr = cpu.pc;
       cpu.tstates += 12;
     } else {
       cpu.tstates += 7;
@@ -517,6 +537,7 @@ instructionTable[0x29] = {
   execute: (cpu) => {
     const hl = cpu.getHL();
     const result = hl + hl;
+    cpu.memptr = (hl + 1) & 0xffff;
     cpu.setFlag(Z80CPU.FLAG_C, result & 0x10000);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     cpu.setFlag(Z80CPU.FLAG_H, ((hl & 0x0fff) + (hl & 0x0fff)) & 0x1000);
@@ -531,6 +552,7 @@ instructionTable[0x2a] = {
   execute: (cpu, decoder) => {
     const addr = decoder.fetchWord();
     cpu.setHL(cpu.readMemWord(addr));
+    cpu.memptr = (addr + 1) & 0xffff;
     cpu.tstates += 16;
   }
 };
@@ -598,6 +620,7 @@ instructionTable[0x30] = {
     const offset = toSigned(decoder.fetchByte());
     if (!cpu.getFlag(Z80CPU.FLAG_C)) {
       cpu.pc = (cpu.pc + offset) & 0xffff;
+      cpu.memptr = cpu.pc;
       cpu.tstates += 12;
     } else {
       cpu.tstates += 7;
@@ -616,6 +639,7 @@ instructionTable[0x32] = {
   execute: (cpu, decoder) => {
     const addr = decoder.fetchWord();
     cpu.writeMem(addr, cpu.a);
+    cpu.memptr = (cpu.a << 8) | ((addr + 1) & 0xff);
     cpu.tstates += 13;
   }
 };
@@ -628,6 +652,7 @@ instructionTable[0x33] = {
 };
 
 instructionTable[0x34] = {
+  internal: [[1, 1]],
   execute: (cpu) => {
     const addr = cpu.getHL();
     const val = cpu.readMem(addr);
@@ -646,6 +671,7 @@ instructionTable[0x34] = {
 };
 
 instructionTable[0x35] = {
+  internal: [[1, 1]],
   execute: (cpu) => {
     const addr = cpu.getHL();
     const val = cpu.readMem(addr);
@@ -673,11 +699,12 @@ instructionTable[0x36] = {
 
 instructionTable[0x37] = {
   execute: (cpu) => {
+    const xy = cpu.getCarryOpXY();
     cpu.setFlag(Z80CPU.FLAG_C, true);
     cpu.setFlag(Z80CPU.FLAG_H, false);
     cpu.setFlag(Z80CPU.FLAG_N, false);
-    cpu.setFlag(Z80CPU.FLAG_Y, cpu.a & 0x20);
-    cpu.setFlag(Z80CPU.FLAG_X, cpu.a & 0x08);
+    cpu.setFlag(Z80CPU.FLAG_Y, xy & 0x20);
+    cpu.setFlag(Z80CPU.FLAG_X, xy & 0x08);
     cpu.tstates += 4;
   }
 };
@@ -688,6 +715,7 @@ instructionTable[0x38] = {
     const offset = toSigned(decoder.fetchByte());
     if (cpu.getFlag(Z80CPU.FLAG_C)) {
       cpu.pc = (cpu.pc + offset) & 0xffff;
+      cpu.memptr = cpu.pc;
       cpu.tstates += 12;
     } else {
       cpu.tstates += 7;
@@ -700,6 +728,7 @@ instructionTable[0x39] = {
     const hl = cpu.getHL();
     const sp = cpu.sp;
     const result = hl + sp;
+    cpu.memptr = (hl + 1) & 0xffff;
     cpu.setFlag(Z80CPU.FLAG_C, result & 0x10000);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     cpu.setFlag(Z80CPU.FLAG_H, ((hl & 0x0fff) + (sp & 0x0fff)) & 0x1000);
@@ -714,6 +743,7 @@ instructionTable[0x3a] = {
   execute: (cpu, decoder) => {
     const addr = decoder.fetchWord();
     cpu.a = cpu.readMem(addr);
+    cpu.memptr = (addr + 1) & 0xffff;
     cpu.tstates += 13;
   }
 };
@@ -767,11 +797,12 @@ instructionTable[0x3e] = {
 instructionTable[0x3f] = {
   execute: (cpu) => {
     const oldCarry = cpu.getFlag(Z80CPU.FLAG_C);
+    const xy = cpu.getCarryOpXY();
     cpu.setFlag(Z80CPU.FLAG_H, oldCarry);
     cpu.setFlag(Z80CPU.FLAG_C, !oldCarry);
     cpu.setFlag(Z80CPU.FLAG_N, false);
-    cpu.setFlag(Z80CPU.FLAG_Y, cpu.a & 0x20);
-    cpu.setFlag(Z80CPU.FLAG_X, cpu.a & 0x08);
+    cpu.setFlag(Z80CPU.FLAG_Y, xy & 0x20);
+    cpu.setFlag(Z80CPU.FLAG_X, xy & 0x08);
     cpu.tstates += 4;
   }
 };
@@ -805,7 +836,7 @@ for (let dst = 0; dst < 8; dst++) {
   }
 }
 
-// 0x76: HALT
+// 0x76: HALT (the decoder then runs NOPs until an interrupt)
 instructionTable[0x76] = {
   execute: (cpu) => {
     cpu.halted = true;
@@ -957,10 +988,11 @@ const conditions = [
 for (let cc = 0; cc < 8; cc++) {
   // RET cc
   instructionTable[0xc0 + (cc * 8)] = {
+    internal: [[0, 1]],
     execute: (cpu) => {
       const condition = conditions[cc];
       if (cpu.getFlag(condition.flag) === condition.value) {
-        cpu.pc = cpu.pop();
+        cpu.pc = cpu.memptr = cpu.pop();
         cpu.tstates += 11;
       } else {
         cpu.tstates += 5;
@@ -973,6 +1005,7 @@ for (let cc = 0; cc < 8; cc++) {
     execute: (cpu, decoder) => {
       const addr = decoder.fetchWord();
       const condition = conditions[cc];
+      cpu.memptr = addr;
       if (cpu.getFlag(condition.flag) === condition.value) {
         cpu.pc = addr;
       }
@@ -982,9 +1015,11 @@ for (let cc = 0; cc < 8; cc++) {
 
   // CALL cc,nn
   instructionTable[0xc4 + (cc * 8)] = {
+    internal: [[2, 1]],
     execute: (cpu, decoder) => {
       const addr = decoder.fetchWord();
       const condition = conditions[cc];
+      cpu.memptr = addr;
       if (cpu.getFlag(condition.flag) === condition.value) {
         cpu.push(cpu.pc);
         cpu.pc = addr;
@@ -1018,6 +1053,7 @@ for (let rp = 0; rp < 4; rp++) {
 
   // PUSH rp
   instructionTable[0xc5 + (rp * 16)] = {
+    internal: [[0, 1]],
     execute: (cpu) => {
       let value;
       if (rp === 3) {
@@ -1038,14 +1074,14 @@ for (let rp = 0; rp < 4; rp++) {
 // More critical instructions
 instructionTable[0xc3] = { // JP nn
   execute: (cpu, decoder) => {
-    cpu.pc = decoder.fetchWord();
+    cpu.pc = cpu.memptr = decoder.fetchWord();
     cpu.tstates += 10;
   }
 };
 
 instructionTable[0xc9] = { // RET
   execute: (cpu) => {
-    cpu.pc = cpu.pop();
+    cpu.pc = cpu.memptr = cpu.pop();
     cpu.tstates += 10;
   }
 };
@@ -1057,10 +1093,11 @@ instructionTable[0xcb] = { // CB prefix
 };
 
 instructionTable[0xcd] = { // CALL nn
+  internal: [[2, 1]],
   execute: (cpu, decoder) => {
     const addr = decoder.fetchWord();
     cpu.push(cpu.pc);
-    cpu.pc = addr;
+    cpu.pc = cpu.memptr = addr;
     cpu.tstates += 17;
   }
 };
@@ -1068,9 +1105,10 @@ instructionTable[0xcd] = { // CALL nn
 // RST instructions (0xC7, 0xCF, 0xD7, 0xDF, 0xE7, 0xEF, 0xF7, 0xFF)
 for (let t = 0; t < 8; t++) {
   instructionTable[0xc7 + (t * 8)] = {
+    internal: [[0, 1]],
     execute: (cpu) => {
       cpu.push(cpu.pc);
-      cpu.pc = t * 8;
+      cpu.pc = cpu.memptr = t * 8;
       cpu.tstates += 11;
     }
   };
@@ -1080,6 +1118,7 @@ instructionTable[0xd3] = { // OUT (n),A
   execute: (cpu, decoder) => {
     const port = decoder.fetchByte();
     cpu.portOut((cpu.a << 8) | port, cpu.a);
+    cpu.memptr = (cpu.a << 8) | ((port + 1) & 0xff);
     cpu.tstates += 11;
   }
 };
@@ -1098,8 +1137,9 @@ instructionTable[0xd9] = { // EXX
 
 instructionTable[0xdb] = { // IN A,(n)
   execute: (cpu, decoder) => {
-    const port = decoder.fetchByte();
-    cpu.a = cpu.portIn((cpu.a << 8) | port);
+    const port = (cpu.a << 8) | decoder.fetchByte();
+    cpu.a = cpu.portIn(port);
+    cpu.memptr = (port + 1) & 0xffff;
     cpu.tstates += 11;
   }
 };
@@ -1111,10 +1151,12 @@ instructionTable[0xdd] = { // DD prefix (IX)
 };
 
 instructionTable[0xe3] = { // EX (SP),HL
+  internal: [[2, 1]],
   execute: (cpu) => {
     const temp = cpu.readMemWord(cpu.sp);
     cpu.writeMemWord(cpu.sp, cpu.getHL());
     cpu.setHL(temp);
+    cpu.memptr = temp;
     cpu.tstates += 19;
   }
 };
@@ -1157,7 +1199,8 @@ instructionTable[0xf9] = { // LD SP,HL
 
 instructionTable[0xfb] = { // EI
   execute: (cpu) => {
-    // EI delays interrupt enable by one instruction
+    // Interrupts are enabled at once but not accepted until after the next instruction
+    cpu.iff1 = cpu.iff2 = true;
     cpu.enableInterruptsPending = true;
     cpu.tstates += 4;
   }
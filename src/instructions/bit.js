@@ -5,10 +5,13 @@ import { Z80CPU } from '../core/cpu.js';
 
 export const cbInstructionTable = [];
 
+// Read-modify-write on (HL): one internal cycle between the read and the write
+const RMW_CYCLES = [[1, 1]];
+
 const registers = ['b', 'c', 'd', 'e', 'h', 'l', null, 'a'];
 
 // Rotate/shift operations
-const rotateOps = {
+export const rotateOps = {
   rlc: (cpu, value) => {
     const carry = value & 0x80;
     const result = ((value << 1) | (carry >> 7)) & 0xff;
@@ -70,13 +73,14 @@ const rotateOps = {
 };
 
 // 0x00-0x3F: Rotate/shift operations
-const rotateNames = ['rlc', 'rrc', 'rl', 'rr', 'sla', 'sra', 'sll', 'srl'];
+export const rotateNames = ['rlc', 'rrc', 'rl', 'rr', 'sla', 'sra', 'sll', 'srl'];
 for (let op = 0; op < 8; op++) {
   for (let reg = 0; reg < 8; reg++) {
     const opcode = (op * 8) + reg;
     const operation = rotateNames[op];
 
     cbInstructionTable[opcode] = {
+      internal: reg === 6 ? RMW_CYCLES : null,
       execute: (cpu) => {
         if (reg === 6) {
           const addr = cpu.getHL();
@@ -117,9 +121,9 @@ for (let bit = 0; bit < 8; bit++) {
         cpu.setFlag(Z80CPU.FLAG_S, bit === 7 && bitValue === 1);
 
         if (reg === 6) {
-          const addr = cpu.getHL();
-          cpu.setFlag(Z80CPU.FLAG_Y, (addr >> 8) & 0x20);
-          cpu.setFlag(Z80CPU.FLAG_X, (addr >> 8) & 0x08);
+          // BIT n,(HL) leaks the high byte of MEMPTR into X and Y
+          cpu.setFlag(Z80CPU.FLAG_Y, (cpu.memptr >> 8) & 0x20);
+          cpu.setFlag(Z80CPU.FLAG_X, (cpu.memptr >> 8) & 0x08);
         } else {
           cpu.setFlag(Z80CPU.FLAG_Y, value & 0x20);
           cpu.setFlag(Z80CPU.FLAG_X, value & 0x08);
@@ -136,6 +140,7 @@ for (let bit = 0; bit < 8; bit++) {
     const mask = ~(1 << bit);
 
     cbInstructionTable[opcode] = {
+      internal: reg === 6 ? RMW_CYCLES : null,
       execute: (cpu) => {
         if (reg === 6) {
           const addr = cpu.getHL();
@@ -158,6 +163,7 @@ for (let bit = 0; bit < 8; bit++) {
     const mask = 1 << bit;
 
     cbInstructionTable[opcode] = {
+      internal: reg === 6 ? RMW_CYCLES : null,
       execute: (cpu) => {
         if (reg === 6) {
           const addr = cpu.getHL();
@@ -5,6 +5,9 @@ import { Z80CPU } from '../core/cpu.js';
 
 export const edInstructionTable = [];
 
+// Internal cycles before memory or I/O accesses (see instructionTable in base.js)
+const BLOCK_IO_CYCLES = [[0, 1]]; // INI/OUTI family: one cycle after the opcode fetch
+
 const registers = ['b', 'c', 'd', 'e', 'h', 'l', null, 'a'];
 
 // 0x40-0x7F: IN r,(C) and OUT (C),r
@@ -15,6 +18,7 @@ for (let r = 0; r < 8; r++) {
   edInstructionTable[inOpcode] = {
     execute: (cpu) => {
       const value = cpu.portIn(cpu.getBC());
+      cpu.memptr = (cpu.getBC() + 1) & 0xffff;
       if (r !== 6) {
         cpu[registers[r]] = value;
       }
@@ -32,6 +36,7 @@ for (let r = 0; r < 8; r++) {
   edInstructionTable[outOpcode] = {
     execute: (cpu) => {
       cpu.portOut(cpu.getBC(), r === 6 ? 0 : cpu[registers[r]]);
+      cpu.memptr = (cpu.getBC() + 1) & 0xffff;
       cpu.tstates += 12;
     }
   };
@@ -46,6 +51,7 @@ for (let rp = 0; rp < 4; rp++) {
       const value = rp === 3 ? cpu.sp : (rp === 2 ? cpu.getHL() : (rp === 1 ? cpu.getDE() : cpu.getBC()));
       const carry = cpu.getFlag(Z80CPU.FLAG_C) ? 1 : 0;
       const result = hl - value - carry;
+      cpu.memptr = (hl + 1) & 0xffff;
 
       const overflow = ((hl ^ value) & (hl ^ result) & 0x8000) !== 0;
       cpu.setFlag(Z80CPU.FLAG_S, result & 0x8000);
@@ -68,6 +74,7 @@ for (let rp = 0; rp < 4; rp++) {
       const value = rp === 3 ? cpu.sp : (rp === 2 ? cpu.getHL() : (rp === 1 ? cpu.getDE() : cpu.getBC()));
       const carry = cpu.getFlag(Z80CPU.FLAG_C) ? 1 : 0;
       const result = hl + value + carry;
+      cpu.memptr = (hl + 1) & 0xffff;
 
       const overflow = ((hl ^ result) & (value ^ result) & 0x8000) !== 0;
       cpu.setFlag(Z80CPU.FLAG_S, result & 0x8000);
@@ -89,6 +96,7 @@ for (let rp = 0; rp < 4; rp++) {
       const addr = decoder.fetchWord();
       const value = rp === 3 ? cpu.sp : (rp === 2 ? cpu.getHL() : (rp === 1 ? cpu.getDE() : cpu.getBC()));
       cpu.writeMemWord(addr, value);
+      cpu.memptr = (addr + 1) & 0xffff;
       cpu.tstates += 20;
     }
   };
@@ -98,6 +106,7 @@ for (let rp = 0; rp < 4; rp++) {
     execute: (cpu, decoder) => {
       const addr = decoder.fetchWord();
       const value = cpu.readMemWord(addr);
+      cpu.memptr = (addr + 1) & 0xffff;
       if (rp === 3) cpu.sp = value;
       else if (rp === 2) cpu.setHL(value);
       else if (rp === 1) cpu.setDE(value);
@@ -132,7 +141,7 @@ for (let rp = 0; rp < 4; rp++) {
   edInstructionTable[opcode] = {
     execute: (cpu) => {
       cpu.iff1 = cpu.iff2;
-      cpu.pc = cpu.pop();
+      cpu.pc = cpu.memptr = cpu.pop();
       cpu.tstates += 14;
     }
   };
@@ -143,7 +152,7 @@ for (let rp = 0; rp < 4; rp++) {
   edInstructionTable[opcode] = {
     execute: (cpu) => {
       cpu.iff1 = cpu.iff2;
-      cpu.pc = cpu.pop();
+      cpu.pc = cpu.memptr = cpu.pop();
       cpu.tstates += 14;
     }
   };
@@ -219,9 +228,11 @@ edInstructionTable[0x5f] = {
 
 // 0x67: RRD
 edInstructionTable[0x67] = {
+  internal: [[1, 4]],
   execute: (cpu) => {
     const addr = cpu.getHL();
     const val = cpu.readMem(addr);
+    cpu.memptr = (addr + 1) & 0xffff;
     const newVal = ((val >> 4) | (cpu.a << 4)) & 0xff;
     cpu.a = (cpu.a & 0xf0) | (val & 0x0f);
     cpu.writeMem(addr, newVal);
@@ -238,9 +249,11 @@ edInstructionTable[0x67] = {
 
 // 0x6F: RLD
 edInstructionTable[0x6f] = {
+  internal: [[1, 4]],
   execute: (cpu) => {
     const addr = cpu.getHL();
     const val = cpu.readMem(addr);
+    cpu.memptr = (addr + 1) & 0xffff;
     const newVal = ((val << 4) | (cpu.a & 0x0f)) & 0xff;
     cpu.a = (cpu.a & 0xf0) | (val >> 4);
     cpu.writeMem(addr, newVal);
@@ -283,13 +296,14 @@ edInstructionTable[0xb0] = { // LDIR
 
     if (cpu.getBC() !== 0) {
       cpu.pc = (cpu.pc - 2) & 0xffff;
+      cpu.memptr = (cpu.pc + 1) & 0xffff;
       cpu.tstates += 21;
     } else {
       cpu.tstates += 16;
     }
 
     cpu.setFlag(Z80CPU.FLAG_H, false);
-    cpu.setFlag(Z80CPU.FLAG_PV, false);
+    cpu.setFlag(Z80CPU.FLAG_PV, cpu.getBC() !== 0);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     const n = val + cpu.a;
     cpu.setFlag(Z80CPU.FLAG_Y, n & 0x02);
@@ -300,6 +314,7 @@ edInstructionTable[0xb0] = { // LDIR
 edInstructionTable[0xa1] = { // CPI
   execute: (cpu) => {
     const val = cpu.readMem(cpu.getHL());
+    cpu.memptr = (cpu.memptr + 1) & 0xffff;
     const result = (cpu.a - val) & 0xff;
     cpu.setHL((cpu.getHL() + 1) & 0xffff);
     cpu.setBC((cpu.getBC() - 1) & 0xffff);
@@ -326,8 +341,10 @@ edInstructionTable[0xb1] = { // CPIR
 
     if (cpu.getBC() !== 0 && result !== 0) {
       cpu.pc = (cpu.pc - 2) & 0xffff;
+      cpu.memptr = (cpu.pc + 1) & 0xffff;
       cpu.tstates += 21;
     } else {
+      cpu.memptr = (cpu.memptr + 1) & 0xffff;
       cpu.tstates += 16;
     }
 
@@ -370,13 +387,14 @@ edInstructionTable[0xb8] = { // LDDR
 
     if (cpu.getBC() !== 0) {
       cpu.pc = (cpu.pc - 2) & 0xffff;
+      cpu.memptr = (cpu.pc + 1) & 0xffff;
       cpu.tstates += 21;
     } else {
       cpu.tstates += 16;
     }
 
     cpu.setFlag(Z80CPU.FLAG_H, false);
-    cpu.setFlag(Z80CPU.FLAG_PV, false);
+    cpu.setFlag(Z80CPU.FLAG_PV, cpu.getBC() !== 0);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     const n = val + cpu.a;
     cpu.setFlag(Z80CPU.FLAG_Y, n & 0x02);
@@ -387,6 +405,7 @@ edInstructionTable[0xb8] = { // LDDR
 edInstructionTable[0xa9] = { // CPD
   execute: (cpu) => {
     const val = cpu.readMem(cpu.getHL());
+    cpu.memptr = (cpu.memptr - 1) & 0xffff;
     const result = (cpu.a - val) & 0xff;
     cpu.setHL((cpu.getHL() - 1) & 0xffff);
     cpu.setBC((cpu.getBC() - 1) & 0xffff);
@@ -413,8 +432,10 @@ edInstructionTable[0xb9] = { // CPDR
 
     if (cpu.getBC() !== 0 && result !== 0) {
       cpu.pc = (cpu.pc - 2) & 0xffff;
+      cpu.memptr = (cpu.pc + 1) & 0xffff;
       cpu.tstates += 21;
     } else {
+      cpu.memptr = (cpu.memptr - 1) & 0xffff;
       cpu.tstates += 16;
     }
 
@@ -431,126 +452,151 @@ edInstructionTable[0xb9] = { // CPDR
 };
 
 // I/O block instructions
+// Flags follow B, except N (bit 7 of the byte moved) and H, C and P/V, which come from
+// k = byte + C±1 (INI/IND) or byte + L after HL is updated (OUTI/OUTD)
+const setBlockIOFlags = (cpu, value, k) => {
+  cpu.setFlag(Z80CPU.FLAG_S, cpu.b & 0x80);
+  cpu.setFlag(Z80CPU.FLAG_Z, cpu.b === 0);
+  cpu.setFlag(Z80CPU.FLAG_Y, cpu.b & 0x20);
+  cpu.setFlag(Z80CPU.FLAG_X, cpu.b & 0x08);
+  cpu.setFlag(Z80CPU.FLAG_N, value & 0x80);
+  cpu.setFlag(Z80CPU.FLAG_H, k > 0xff);
+  cpu.setFlag(Z80CPU.FLAG_C, k > 0xff);
+  cpu.setFlag(Z80CPU.FLAG_PV, cpu.getParity((k & 0x07) ^ cpu.b));
+};
+
 edInstructionTable[0xa2] = { // INI
+  internal: BLOCK_IO_CYCLES,
   execute: (cpu) => {
     const val = cpu.portIn(cpu.getBC());
+    cpu.memptr = (cpu.getBC() + 1) & 0xffff;
     cpu.writeMem(cpu.getHL(), val);
     cpu.b = (cpu.b - 1) & 0xff;
     cpu.setHL((cpu.getHL() + 1) & 0xffff);
-    cpu.setFlag(Z80CPU.FLAG_Z, cpu.b === 0);
-    cpu.setFlag(Z80CPU.FLAG_N, true);
+    setBlockIOFlags(cpu, val, val + ((cpu.c + 1) & 0xff));
     cpu.tstates += 16;
   }
 };
 
 edInstructionTable[0xb2] = { // INIR
+  internal: BLOCK_IO_CYCLES,
   execute: (cpu) => {
     const val = cpu.portIn(cpu.getBC());
+    cpu.memptr = (cpu.getBC() + 1) & 0xffff;
     cpu.writeMem(cpu.getHL(), val);
     cpu.b = (cpu.b - 1) & 0xff;
     cpu.setHL((cpu.getHL() + 1) & 0xffff);
 
     if (cpu.b !== 0) {
       cpu.pc = (cpu.pc - 2) & 0xffff;
+      cpu.memptr = (cpu.pc + 1) & 0xffff;
       cpu.tstates += 21;
     } else {
       cpu.tstates += 16;
     }
 
-    cpu.setFlag(Z80CPU.FLAG_Z, true);
-    cpu.setFlag(Z80CPU.FLAG_N, true);
+    setBlockIOFlags(cpu, val, val + ((cpu.c + 1) & 0xff));
   }
 };
 
 edInstructionTable[0xa3] = { // OUTI
+  internal: BLOCK_IO_CYCLES,
   execute: (cpu) => {
     const val = cpu.readMem(cpu.getHL());
     cpu.b = (cpu.b - 1) & 0xff;
     cpu.portOut(cpu.getBC(), val);
+    cpu.memptr = (cpu.getBC() + 1) & 0xffff;
     cpu.setHL((cpu.getHL() + 1) & 0xffff);
-    cpu.setFlag(Z80CPU.FLAG_Z, cpu.b === 0);
-    cpu.setFlag(Z80CPU.FLAG_N, true);
+    setBlockIOFlags(cpu, val, val + cpu.l);
     cpu.tstates += 16;
   }
 };
 
 edInstructionTable[0xb3] = { // OTIR
+  internal: BLOCK_IO_CYCLES,
   execute: (cpu) => {
     const val = cpu.readMem(cpu.getHL());
     cpu.b = (cpu.b - 1) & 0xff;
     cpu.portOut(cpu.getBC(), val);
+    cpu.memptr = (cpu.getBC() + 1) & 0xffff;
     cpu.setHL((cpu.getHL() + 1) & 0xffff);
 
     if (cpu.b !== 0) {
       cpu.pc = (cpu.pc - 2) & 0xffff;
+      cpu.memptr = (cpu.pc + 1) & 0xffff;
       cpu.tstates += 21;
     } else {
       cpu.tstates += 16;
     }
 
-    cpu.setFlag(Z80CPU.FLAG_Z, true);
-    cpu.setFlag(Z80CPU.FLAG_N, true);
+    setBlockIOFlags(cpu, val, val + cpu.l);
   }
 };
 
 edInstructionTable[0xaa] = { // IND
+  internal: BLOCK_IO_CYCLES,
   execute: (cpu) => {
     const val = cpu.portIn(cpu.getBC());
+    cpu.memptr = (cpu.getBC() - 1) & 0xffff;
     cpu.writeMem(cpu.getHL(), val);
     cpu.b = (cpu.b - 1) & 0xff;
     cpu.setHL((cpu.getHL() - 1) & 0xffff);
-    cpu.setFlag(Z80CPU.FLAG_Z, cpu.b === 0);
-    cpu.setFlag(Z80CPU.FLAG_N, true);
+    setBlockIOFlags(cpu, val, val + ((cpu.c - 1) & 0xff));
     cpu.tstates += 16;
   }
 };
 
 edInstructionTable[0xba] = { // INDR
+  internal: BLOCK_IO_CYCLES,
   execute: (cpu) => {
     const val = cpu.portIn(cpu.getBC());
+    cpu.memptr = (cpu.getBC() - 1) & 0xffff;
     cpu.writeMem(cpu.getHL(), val);
     cpu.b = (cpu.b - 1) & 0xff;
     cpu.setHL((cpu.getHL() - 1) & 0xffff);
 
     if (cpu.b !== 0) {
       cpu.pc = (cpu.pc - 2) & 0xffff;
+      cpu.memptr = (cpu.pc + 1) & 0xffff;
       cpu.tstates += 21;
     } else {
       cpu.tstates += 16;
     }
 
-    cpu.setFlag(Z80CPU.FLAG_Z, true);
-    cpu.setFlag(Z80CPU.FLAG_N, true);
+    setBlockIOFlags(cpu, val, val + ((cpu.c - 1) & 0xff));
   }
 };
 
 edInstructionTable[0xab] = { // OUTD
+  internal: BLOCK_IO_CYCLES,
   execute: (cpu) => {
     const val = cpu.readMem(cpu.getHL());
     cpu.b = (cpu.b - 1) & 0xff;
     cpu.portOut(cpu.getBC(), val);
+    cpu.memptr = (cpu.getBC() - 1) & 0xffff;
     cpu.setHL((cpu.getHL() - 1) & 0xffff);
-    cpu.setFlag(Z80CPU.FLAG_Z, cpu.b === 0);
-    cpu.setFlag(Z80CPU.FLAG_N, true);
+    setBlockIOFlags(cpu, val, val + cpu.l);
     cpu.tstates += 16;
   }
 };
 
 edInstructionTable[0xbb] = { // OTDR
+  internal: BLOCK_IO_CYCLES,
   execute: (cpu) => {
     const val = cpu.readMem(cpu.getHL());
     cpu.b = (cpu.b - 1) & 0xff;
     cpu.portOut(cpu.getBC(), val);
+    cpu.memptr = (cpu.getBC() - 1) & 0xffff;
     cpu.setHL((cpu.getHL() - 1) & 0xffff);
 
     if (cpu.b !== 0) {
       cpu.pc = (cpu.pc - 2) & 0xffff;
+      cpu.memptr = (cpu.pc + 1) & 0xffff;
       cpu.tstates += 21;
     } else {
       cpu.tstates += 16;
     }
 
-    cpu.setFlag(Z80CPU.FLAG_Z, true);
-    cpu.setFlag(Z80CPU.FLAG_N, true);
+    setBlockIOFlags(cpu, val, val + cpu.l);
   }
 };
@@ -3,18 +3,29 @@
  * Nearly identical to IX instructions but use IY register
  */
 import { Z80CPU } from '../core/cpu.js';
-import { cbInstructionTable } from './bit.js';
+import { rotateOps, rotateNames } from './bit.js';
 
 export const fdInstructionTable = [];
 export const fdcbInstructionTable = [];
 
+// Internal cycles before memory accesses (see instructionTable in base.js)
+const INDEXED_READ_CYCLES = [[1, 5]]; // Address calculation after reading d
+const INDEXED_RMW_CYCLES = [[1, 5], [2, 1]];
+
 const toSigned = (val) => (val & 0x80) ? val - 256 : val;
 
+// Address of (IY+d) for the displacement at PC; the address calculation loads MEMPTR
+const indexedAddress = (cpu, decoder) => {
+  cpu.memptr = (cpu.iy + toSigned(decoder.fetchByte())) & 0xffff;
+  return cpu.memptr;
+};
+
 // Most IY instructions mirror standard HL instructions but use IY
 fdInstructionTable[0x09] = {
   execute: (cpu) => {
     const bc = cpu.getBC();
     const result = cpu.iy + bc;
+    cpu.memptr = (cpu.iy + 1) & 0xffff;
     cpu.setFlag(Z80CPU.FLAG_C, result & 0x10000);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     cpu.setFlag(Z80CPU.FLAG_H, ((cpu.iy & 0x0fff) + (bc & 0x0fff)) & 0x1000);
@@ -29,6 +40,7 @@ fdInstructionTable[0x19] = {
   execute: (cpu) => {
     const de = cpu.getDE();
     const result = cpu.iy + de;
+    cpu.memptr = (cpu.iy + 1) & 0xffff;
     cpu.setFlag(Z80CPU.FLAG_C, result & 0x10000);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     cpu.setFlag(Z80CPU.FLAG_H, ((cpu.iy & 0x0fff) + (de & 0x0fff)) & 0x1000);
@@ -50,6 +62,7 @@ fdInstructionTable[0x22] = {
   execute: (cpu, decoder) => {
     const addr = decoder.fetchWord();
     cpu.writeMemWord(addr, cpu.iy);
+    cpu.memptr = (addr + 1) & 0xffff;
     cpu.tstates += 20;
   }
 };
@@ -64,6 +77,7 @@ fdInstructionTable[0x23] = {
 fdInstructionTable[0x29] = {
   execute: (cpu) => {
     const result = cpu.iy + cpu.iy;
+    cpu.memptr = (cpu.iy + 1) & 0xffff;
     cpu.setFlag(Z80CPU.FLAG_C, result & 0x10000);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     cpu.setFlag(Z80CPU.FLAG_H, ((cpu.iy & 0x0fff) + (cpu.iy & 0x0fff)) & 0x1000);
@@ -78,6 +92,7 @@ fdInstructionTable[0x2a] = {
   execute: (cpu, decoder) => {
     const addr = decoder.fetchWord();
     cpu.iy = cpu.readMemWord(addr);
+    cpu.memptr = (addr + 1) & 0xffff;
     cpu.tstates += 20;
   }
 };
@@ -90,9 +105,9 @@ fdInstructionTable[0x2b] = {
 };
 
 fdInstructionTable[0x34] = {
+  internal: INDEXED_RMW_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const addr = (cpu.iy + offset) & 0xffff;
+    const addr = indexedAddress(cpu, decoder);
     const val = cpu.readMem(addr);
     const result = (val + 1) & 0xff;
     const overflow = val === 0x7f;
@@ -109,9 +124,9 @@ fdInstructionTable[0x34] = {
 };
 
 fdInstructionTable[0x35] = {
+  internal: INDEXED_RMW_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const addr = (cpu.iy + offset) & 0xffff;
+    const addr = indexedAddress(cpu, decoder);
     const val = cpu.readMem(addr);
     const result = (val - 1) & 0xff;
     const overflow = val === 0x80;
@@ -128,10 +143,11 @@ fdInstructionTable[0x35] = {
 };
 
 fdInstructionTable[0x36] = {
+  internal: [[2, 2]],
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
+    const addr = indexedAddress(cpu, decoder);
     const val = decoder.fetchByte();
-    cpu.writeMem((cpu.iy + offset) & 0xffff, val);
+    cpu.writeMem(addr, val);
     cpu.tstates += 19;
   }
 };
@@ -139,6 +155,7 @@ fdInstructionTable[0x36] = {
 fdInstructionTable[0x39] = {
   execute: (cpu) => {
     const result = cpu.iy + cpu.sp;
+    cpu.memptr = (cpu.iy + 1) & 0xffff;
     cpu.setFlag(Z80CPU.FLAG_C, result & 0x10000);
     cpu.setFlag(Z80CPU.FLAG_N, false);
     cpu.setFlag(Z80CPU.FLAG_H, ((cpu.iy & 0x0fff) + (cpu.sp & 0x0fff)) & 0x1000);
@@ -157,18 +174,18 @@ for (let r = 0; r < 8; r++) {
 
   // LD r,(IY+d)
   fdInstructionTable[0x46 + (r * 8)] = {
+    internal: INDEXED_READ_CYCLES,
     execute: (cpu, decoder) => {
-      const offset = toSigned(decoder.fetchByte());
-      cpu[registers[r]] = cpu.readMem((cpu.iy + offset) & 0xffff);
+      cpu[registers[r]] = cpu.readMem(indexedAddress(cpu, decoder));
       cpu.tstates += 19;
     }
   };
 
   // LD (IY+d),r
   fdInstructionTable[0x70 + r] = {
+    internal: INDEXED_READ_CYCLES,
     execute: (cpu, decoder) => {
-      const offset = toSigned(decoder.fetchByte());
-      cpu.writeMem((cpu.iy + offset) & 0xffff, cpu[registers[r]]);
+      cpu.writeMem(indexedAddress(cpu, decoder), cpu[registers[r]]);
       cpu.tstates += 19;
     }
   };
@@ -176,9 +193,9 @@ for (let r = 0; r < 8; r++) {
 
 // ALU operations with (IY+d)
 fdInstructionTable[0x86] = { // ADD A,(IY+d)
+  internal: INDEXED_READ_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const val = cpu.readMem((cpu.iy + offset) & 0xffff);
+    const val = cpu.readMem(indexedAddress(cpu, decoder));
     const result = cpu.a + val;
     const overflow = ((cpu.a ^ result) & (val ^ result) & 0x80) !== 0;
     cpu.setFlag(Z80CPU.FLAG_S, result & 0x80);
@@ -195,9 +212,9 @@ fdInstructionTable[0x86] = { // ADD A,(IY+d)
 };
 
 fdInstructionTable[0x8e] = { // ADC A,(IY+d)
+  internal: INDEXED_READ_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const val = cpu.readMem((cpu.iy + offset) & 0xffff);
+    const val = cpu.readMem(indexedAddress(cpu, decoder));
     const carry = cpu.getFlag(Z80CPU.FLAG_C) ? 1 : 0;
     const result = cpu.a + val + carry;
     const overflow = ((cpu.a ^ result) & (val ^ result) & 0x80) !== 0;
@@ -215,9 +232,9 @@ fdInstructionTable[0x8e] = { // ADC A,(IY+d)
 };
 
 fdInstructionTable[0x96] = { // SUB (IY+d)
+  internal: INDEXED_READ_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const val = cpu.readMem((cpu.iy + offset) & 0xffff);
+    const val = cpu.readMem(indexedAddress(cpu, decoder));
     const result = cpu.a - val;
     const overflow = ((cpu.a ^ val) & (cpu.a ^ result) & 0x80) !== 0;
     cpu.setFlag(Z80CPU.FLAG_S, result & 0x80);
@@ -234,9 +251,9 @@ fdInstructionTable[0x96] = { // SUB (IY+d)
 };
 
 fdInstructionTable[0x9e] = { // SBC A,(IY+d)
+  internal: INDEXED_READ_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const val = cpu.readMem((cpu.iy + offset) & 0xffff);
+    const val = cpu.readMem(indexedAddress(cpu, decoder));
     const carry = cpu.getFlag(Z80CPU.FLAG_C) ? 1 : 0;
     const result = cpu.a - val - carry;
     const overflow = ((cpu.a ^ val) & (cpu.a ^ result) & 0x80) !== 0;
@@ -254,9 +271,9 @@ fdInstructionTable[0x9e] = { // SBC A,(IY+d)
 };
 
 fdInstructionTable[0xa6] = { // AND (IY+d)
+  internal: INDEXED_READ_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const val = cpu.readMem((cpu.iy + offset) & 0xffff);
+    const val = cpu.readMem(indexedAddress(cpu, decoder));
     cpu.a = (cpu.a & val) & 0xff;
     cpu.setFlag(Z80CPU.FLAG_S, cpu.a & 0x80);
     cpu.setFlag(Z80CPU.FLAG_Z, cpu.a === 0);
@@ -271,9 +288,9 @@ fdInstructionTable[0xa6] = { // AND (IY+d)
 };
 
 fdInstructionTable[0xae] = { // XOR (IY+d)
+  internal: INDEXED_READ_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const val = cpu.readMem((cpu.iy + offset) & 0xffff);
+    const val = cpu.readMem(indexedAddress(cpu, decoder));
     cpu.a = (cpu.a ^ val) & 0xff;
     cpu.setFlag(Z80CPU.FLAG_S, cpu.a & 0x80);
     cpu.setFlag(Z80CPU.FLAG_Z, cpu.a === 0);
@@ -288,9 +305,9 @@ fdInstructionTable[0xae] = { // XOR (IY+d)
 };
 
 fdInstructionTable[0xb6] = { // OR (IY+d)
+  internal: INDEXED_READ_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const val = cpu.readMem((cpu.iy + offset) & 0xffff);
+    const val = cpu.readMem(indexedAddress(cpu, decoder));
     cpu.a = (cpu.a | val) & 0xff;
     cpu.setFlag(Z80CPU.FLAG_S, cpu.a & 0x80);
     cpu.setFlag(Z80CPU.FLAG_Z, cpu.a === 0);
@@ -305,9 +322,9 @@ fdInstructionTable[0xb6] = { // OR (IY+d)
 };
 
 fdInstructionTable[0xbe] = { // CP (IY+d)
+  internal: INDEXED_READ_CYCLES,
   execute: (cpu, decoder) => {
-    const offset = toSigned(decoder.fetchByte());
-    const val = cpu.readMem((cpu.iy + offset) & 0xffff);
+    const val = cpu.readMem(indexedAddress(cpu, decoder));
     const result = cpu.a - val;
     const overflow = ((cpu.a ^ val) & (cpu.a ^ result) & 0x80) !== 0;
     cpu.setFlag(Z80CPU.FLAG_S, result & 0x80);
@@ -330,15 +347,17 @@ fdInstructionTable[0xe1] = { // POP IY
 };
 
 fdInstructionTable[0xe3] = { // EX (SP),IY
+  internal: [[2, 1]],
   execute: (cpu) => {
     const temp = cpu.readMemWord(cpu.sp);
     cpu.writeMemWord(cpu.sp, cpu.iy);
-    cpu.iy = temp;
+    cpu.iy = cpu.memptr = temp;
     cpu.tstates += 23;
   }
 };
 
 fdInstructionTable[0xe5] = { // PUSH IY
+  internal: [[0, 1]],
   execute: (cpu) => {
     cpu.push(cpu.iy);
     cpu.tstates += 15;
@@ -364,6 +383,7 @@ for (let opcode = 0; opcode < 256; opcode++) {
   fdcbInstructionTable[opcode] = {
     execute: (cpu, decoder, offset) => {
       const addr = (cpu.iy + toSigned(offset)) & 0xffff;
+      cpu.memptr = addr;
       const value = cpu.readMem(addr);
 
       const op = (opcode >> 6) & 0x03;
@@ -391,18 +411,10 @@ for (let opcode = 0; opcode < 256; opcode++) {
         if (reg !== 6) cpu[registers[reg]] = result;
         cpu.tstates += 23;
       } else {
-        const table = cbInstructionTable[opcode];
-        if (table) {
-          const oldPC = cpu.pc;
-          const oldHL = cpu.getHL();
-          cpu.setHL(addr);
-          table.execute(cpu);
-          const result = cpu.readMem(addr);
-          cpu.setHL(oldHL);
-          cpu.pc = oldPC;
-          if (reg !== 6) cpu[registers[reg]] = result;
-          cpu.tstates += 8;
-        }
+        const result = rotateOps[rotateNames[bit]](cpu, value);
+        cpu.writeMem(addr, result);
+        if (reg !== 6) cpu[registers[reg]] = result;
+        cpu.tstates += 23;
       }
     }
   };
@@ -0,0 +1,244 @@
+/**
+ * AY-3-8912 Programmable Sound Generator
+ * Three square-wave tone channels, a noise generator and a shared envelope.
+ * Port 0xFFFD selects a register (and reads it back), port 0xBFFD writes it.
+ */
+
+// Logarithmic DAC levels for the 16 amplitude steps (measured on real chips)
+const VOLUME_TABLE = new Float32Array([
+  0.0, 0.00999465934234, 0.0144502937362, 0.0210574502174,
+  0.0307011520562, 0.0455481803616, 0.0644998855573, 0.107362478065,
+  0.126588845655, 0.20498970016, 0.292210269322, 0.372838941024,
+  0.492530708782, 0.635324635691, 0.805584802014, 1.0
+]);
+
+// Register write masks (unused bits read back as 0)
+const REGISTER_MASKS = [
+  0xff, 0x0f, 0xff, 0x0f, 0xff, 0x0f, 0x1f, 0xff,
+  0x1f, 0x1f, 0x1f, 0xff, 0xff, 0x0f, 0xff, 0xff
+];
+
+export class AY {
+  constructor(clockSpeed = 1773400, sampleRate = 44100) {
+    this.clockSpeed = clockSpeed;
+    this.sampleRate = sampleRate;
+
+    // Counters advance at clock/8; tone toggles every TP steps (f = clock / 16TP)
+    this.stepsPerSample = clockSpeed / 8 / sampleRate;
+    this.stepAccumulator = 0;
+
+    this.registers = new Uint8Array(16);
+    this.selectedRegister = 0;
+
+    // Called before a register write so pending audio is rendered with the old state
+    this.onBeforeWrite = null;
+
+    this.reset();
+  }
+
+  /**
+   * Reset to power-on state
+   */
+  reset() {
+    this.registers.fill(0);
+    this.registers[7] = 0xff; // All channels disabled
+    this.selectedRegister = 0;
+
+    this.toneCounters = [0, 0, 0];
+    this.toneOutputs = [0, 0, 0];
+    this.noiseCounter = 0;
+    this.noiseOutput = 0;
+    this.noiseShift = 1;
+    this.envelopeCounter = 0;
+    this.envelopeStep = 0;
+    this.envelopeAttack = false;
+    this.envelopeHolding = true;
+    this.envelopeVolume = 0;
+    this.stepAccumulator = 0;
+  }
+
+  /**
+   * Set output sample rate
+   */
+  setSampleRate(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.stepsPerSample = this.clockSpeed / 8 / sampleRate;
+  }
+
+  /**
+   * Select register (port 0xFFFD write)
+   */
+  selectRegister(value) {
+    this.selectedRegister = value & 0xff;
+  }
+
+  /**
+   * Write selected register (port 0xBFFD write)
+   */
+  writeData(value) {
+    // Registers 16-255 do not exist on the AY-3-8912
+    if (this.selectedRegister > 15) return;
+
+    if (this.onBeforeWrite) {
+      this.onBeforeWrite();
+    }
+
+    this.writeRegister(this.selectedRegister, value);
+  }
+
+  /**
+   * Read selected register (port 0xFFFD read)
+   */
+  readData() {
+    if (this.selectedRegister > 15) return 0xff;
+    return this.registers[this.selectedRegister];
+  }
+
+  /**
+   * Write a register directly (also used when restoring snapshots)
+   */
+  writeRegister(reg, value) {
+    reg &= 0x0f;
+    value &= REGISTER_MASKS[reg];
+    this.registers[reg] = value;
+
+    if (reg === 13) {
+      // Writing the envelope shape restarts the envelope
+      this.envelopeCounter = 0;
+      this.envelopeStep = 0;
+      this.envelopeAttack = (value & 0x04) !== 0;
+      this.envelopeHolding = false;
+      this.envelopeVolume = this.envelopeAttack ? 0 : 15;
+    }
+  }
+
+  /**
+   * Get tone period for a channel (12 bits, 0 behaves as 1)
+   */
+  getTonePeriod(channel) {
+    const period = this.registers[channel * 2] | (this.registers[channel * 2 + 1] << 8);
+    return period || 1;
+  }
+
+  /**
+   * Advance the envelope generator by one step
+   */
+  stepEnvelope() {
+    const shape = this.registers[13];
+
+    this.envelopeStep++;
+    if (this.envelopeStep > 15) {
+      if ((shape & 0x08) === 0) {
+        // CONTINUE clear: drop to 0 and hold
+        this.envelopeAttack = false;
+        this.envelopeHolding = true;
+      } else if (shape & 0x01) {
+        // HOLD: keep final level, inverted if ALTERNATE is set
+        if (shape & 0x02) this.envelopeAttack = !this.envelopeAttack;
+        this.envelopeHolding = true;
+      } else if (shape & 0x02) {
+        // ALTERNATE: reverse direction
+        this.envelopeAttack = !this.envelopeAttack;
+        this.envelopeStep = 0;
+      } else {
+        this.envelopeStep = 0;
+      }
+
+      if (this.envelopeHolding) {
+        this.envelopeStep = 15;
+      }
+    }
+
+    this.envelopeVolume = this.envelopeAttack ? this.envelopeStep : 15 - this.envelopeStep;
+  }
+
+  /**
+   * Advance all generators by one clock/8 step
+   */
+  step() {
+    for (let ch = 0; ch < 3; ch++) {
+      if (++this.toneCounters[ch] >= this.getTonePeriod(ch)) {
+        this.toneCounters[ch] = 0;
+        this.toneOutputs[ch] ^= 1;
+      }
+    }
+
+    // Noise runs at half the tone rate (f = clock / 16NP)
+    const noisePeriod = (this.registers[6] || 1) << 1;
+    if (++this.noiseCounter >= noisePeriod) {
+      this.noiseCounter = 0;
+      // 17-bit LFSR with taps on bits 0 and 3
+      const bit = (this.noiseShift ^ (this.noiseShift >> 3)) & 1;
+      this.noiseShift = (this.noiseShift >> 1) | (bit << 16);
+      this.noiseOutput = this.noiseShift & 1;
+    }
+
+    // Envelope steps every 2EP counter steps (16 steps per cycle, f = clock / 256EP)
+    if (!this.envelopeHolding) {
+      const envelopePeriod = (this.registers[11] | (this.registers[12] << 8)) || 1;
+      if (++this.envelopeCounter >= envelopePeriod << 1) {
+        this.envelopeCounter = 0;
+        this.stepEnvelope();
+      }
+    }
+  }
+
+  /**
+   * Get the mixed output level of all three channels (0.0 to 1.0)
+   */
+  getOutput() {
+    const mixer = this.registers[7];
+    let output = 0;
+
+    for (let ch = 0; ch < 3; ch++) {
+      const toneOn = this.toneOutputs[ch] | ((mixer >> ch) & 1);
+      const noiseOn = this.noiseOutput | ((mixer >> (ch + 3)) & 1);
+
+      if (toneOn & noiseOn) {
+        const amplitude = this.registers[8 + ch];
+        const level = (amplitude & 0x10) ? this.envelopeVolume : amplitude & 0x0f;
+        output += VOLUME_TABLE[level];
+      }
+    }
+
+    return output / 3;
+  }
+
+  /**
+   * Generate the next output sample, averaging all steps within the sample period
+   */
+  nextSample() {
+    this.stepAccumulator += this.stepsPerSample;
+
+    let sum = 0;
+    let count = 0;
+    while (this.stepAccumulator >= 1) {
+      this.step();
+      sum += this.getOutput();
+      count++;
+      this.stepAccumulator--;
+    }
+
+    return count > 0 ? sum / count : this.getOutput();
+  }
+
+  /**
+   * Get register state for snapshots
+   */
+  getState() {
+    return {
+      selectedRegister: this.selectedRegister,
+      registers: new Uint8Array(this.registers)
+    };
+  }
+
+  /**
+   * Restore register state from snapshots
+   */
+  setState(state) {
+    for (let reg = 0; reg < 16; reg++) {
+      this.writeRegister(reg, state.registers[reg]);
+    }
+    this.selectedRegister = state.selectedRegister & 0xff;
+  }
+}
@@ -2,11 +2,12 @@
  * ZX Spectrum display system
  * Pixel-perfect 256x192 screen with 32-column border
  * Total display: 320x240
+ * Without a canvas (headless use) frames are only rendered to the RGBA frame buffer.
  */
 export class Display {
-  constructor(canvas) {
+  constructor(canvas = null) {
     this.canvas = canvas;
-    this.ctx = canvas.getContext('2d', { alpha: false });
+    this.ctx = canvas ? canvas.getContext('2d', { alpha: false }) : null;
 
     // Display dimensions per ZX Spectrum specification
     this.screenWidth = 256;
@@ -19,12 +20,17 @@ export class Display {
     this.totalHeight = 296; // 48 + 192 + 56
 
     // Set canvas size
-    this.canvas.width = this.totalWidth;
-    this.canvas.height = this.totalHeight;
+    if (this.canvas) {
+      this.canvas.width = this.totalWidth;
+      this.canvas.height = this.totalHeight;
+    }
 
-    // Image data for rendering
-    this.imageData = this.ctx.createImageData(this.totalWidth, this.totalHeight);
-    this.pixels = new Uint32Array(this.imageData.data.buffer);
+    // RGBA frame buffer, shared with the canvas image data when there is a canvas
+    this.imageData = this.ctx ? this.ctx.createImageData(this.totalWidth, this.totalHeight) : null;
+    this.framebuffer = this.imageData
+      ? this.imageData.data
+      : new Uint8ClampedArray(this.totalWidth * this.totalHeight * 4);
+    this.pixels = new Uint32Array(this.framebuffer.buffer);
 
     // ZX Spectrum color palette (RGBA in little-endian format: 0xAABBGGRR)
     // Normal colors use 0xD8 (85% voltage, hardware-accurate)
@@ -65,7 +71,7 @@ export class Display {
     const frameStartBorderColor = ula.getFrameStartBorderColor();
 
     // Render border (with history for accurate SAVE stripes)
-    this.renderBorder(borderColor, borderHistory, frameStartBorderColor);
+    this.renderBorder(borderColor, borderHistory, frameStartBorderColor, ula.machine);
 
     // Render screen area
     for (let y = 0; y < 192; y++) {
@@ -113,22 +119,25 @@ export class Display {
     }
 
     // Draw to canvas
-    this.ctx.putImageData(this.imageData, 0, 0);
+    if (this.ctx) {
+      this.ctx.putImageData(this.imageData, 0, 0);
+    }
   }
 
   /**
    * Render border with CRT-accurate scanline timing
    */
-  renderBorder(color, borderHistory = [], frameStartColor = null) {
+  renderBorder(color, borderHistory = [], frameStartColor = null, machine = null) {
     if (frameStartColor === null) {
       frameStartColor = color;
     }
     // ZX Spectrum timing:
-    // Total frame: 69888 T-states
-    // Per scanline: 224 T-states
-    // Total scanlines: 312 (64 top border + 192 screen + 56 bottom border)
-    const TSTATES_PER_LINE = 224;
-    const TOP_BORDER_LINES = 64;
+    // 48K: 69888 T-states per frame, 224 per scanline,
+    //      312 scanlines (64 top border + 192 screen + 56 bottom border)
+    // 128K: 70908 T-states per frame, 228 per scanline, 311 scanlines (63 top border)
+    const TSTATES_PER_LINE = machine ? machine.tstatesPerLine : 224;
+    const TOTAL_SCANLINES = machine ? machine.scanlines : 312;
+    const TOP_BORDER_LINES = machine ? machine.firstScreenLine : 64;
     const BOTTOM_BORDER_START = TOP_BORDER_LINES + 192;
 
     // If no history, render solid border (old behavior)
@@ -171,9 +180,9 @@ export class Display {
     }
 
     // Pre-calculate scanline colors for performance
-    const scanlineColors = new Uint32Array(312);
+    const scanlineColors = new Uint32Array(TOTAL_SCANLINES);
 
-    for (let scanline = 0; scanline < 312; scanline++) {
+    for (let scanline = 0; scanline < TOTAL_SCANLINES; scanline++) {
       const lineTState = scanline * TSTATES_PER_LINE;
 
       // Find the active color at this scanline's start
@@ -189,7 +198,7 @@ export class Display {
     }
 
     // Render all border lines with pre-calculated colors
-    for (let scanline = 0; scanline < 312; scanline++) {
+    for (let scanline = 0; scanline < TOTAL_SCANLINES; scanline++) {
       const borderColorValue = scanlineColors[scanline];
 
       // Map scanline to display Y coordinate
@@ -258,6 +267,8 @@ export class Display {
    * Set display scale
    */
   setScale(scale) {
+    if (!this.canvas) return;
+
     if (scale === 'auto') {
       this.canvas.style.width = '';
       this.canvas.style.height = '';
@@ -276,6 +287,8 @@ export class Display {
    */
   clear() {
     this.pixels.fill(0xff000000); // Black
-    this.ctx.putImageData(this.imageData, 0, 0);
+    if (this.ctx) {
+      this.ctx.putImageData(this.imageData, 0, 0);
+    }
   }
 }
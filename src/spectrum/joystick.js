@@ -0,0 +1,186 @@
+/**
+ * ZX Spectrum joystick interfaces
+ * Kempston (port 0x1F), Sinclair 1/2 (keys 6-0 / 1-5) and Cursor/Protek (5-8 + 0)
+ * Driven by the browser Gamepad API and/or configurable PC keys
+ */
+
+// Direction bits (Kempston port layout: 000FUDLR, active high)
+const RIGHT = 0x01;
+const LEFT = 0x02;
+const DOWN = 0x04;
+const UP = 0x08;
+const FIRE = 0x10;
+
+const DIRECTIONS = { right: RIGHT, left: LEFT, down: DOWN, up: UP, fire: FIRE };
+
+// Keyboard positions [row, col] for interfaces that emulate key presses
+// Row 3 (0xF7FE): 1, 2, 3, 4, 5 - Row 4 (0xEFFE): 0, 9, 8, 7, 6
+const KEY_LAYOUTS = {
+  sinclair1: { left: [4, 4], right: [4, 3], down: [4, 2], up: [4, 1], fire: [4, 0] }, // 6 7 8 9 0
+  sinclair2: { left: [3, 0], right: [3, 1], down: [3, 2], up: [3, 3], fire: [3, 4] }, // 1 2 3 4 5
+  cursor: { left: [3, 4], down: [4, 4], up: [4, 3], right: [4, 2], fire: [4, 0] } // 5 6 7 8 0
+};
+
+export class Joystick {
+  constructor(type = 'none') {
+    this.type = 'none';
+    this.keyState = 0; // Directions held via PC keys
+    this.gamepadState = 0; // Directions held via gamepad
+
+    // PC key codes (KeyboardEvent.code) for each direction
+    this.mapping = {
+      up: 'ArrowUp',
+      down: 'ArrowDown',
+      left: 'ArrowLeft',
+      right: 'ArrowRight',
+      fire: 'AltLeft'
+    };
+
+    // Gamepad selection and analog stick dead zone
+    this.gamepadIndex = 0;
+    this.deadZone = 0.5;
+
+    this.setType(type);
+  }
+
+  /**
+   * Supported interface types
+   */
+  static get TYPES() {
+    return ['none', 'kempston', 'sinclair1', 'sinclair2', 'cursor'];
+  }
+
+  /**
+   * Select the emulated interface
+   */
+  setType(type) {
+    type = String(type || 'none').toLowerCase();
+    if (!Joystick.TYPES.includes(type)) {
+      throw new Error(`Unknown joystick type: ${type}`);
+    }
+    this.type = type;
+  }
+
+  /**
+   * Configure PC keys and gamepad
+   * @param {Object} mapping - { up, down, left, right, fire } key codes, optional gamepad index
+   */
+  setMapping(mapping = {}) {
+    for (const direction of Object.keys(DIRECTIONS)) {
+      if (mapping[direction] !== undefined) {
+        this.mapping[direction] = mapping[direction];
+      }
+    }
+
+    if (mapping.gamepad !== undefined) {
+      this.gamepadIndex = mapping.gamepad;
+    }
+  }
+
+  /**
+   * Handle a PC key event
+   * @returns {boolean} true if the key is mapped to the joystick
+   */
+  handleKey(code, pressed) {
+    if (this.type === 'none') return false;
+
+    for (const [direction, bit] of Object.entries(DIRECTIONS)) {
+      if (this.mapping[direction] === code) {
+        if (pressed) {
+          this.keyState |= bit;
+        } else {
+          this.keyState &= ~bit;
+        }
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Read the first mapped gamepad (call once per frame)
+   */
+  pollGamepad() {
+    if (this.type === 'none' ||
+        typeof navigator === 'undefined' || !navigator.getGamepads) {
+      return;
+    }
+
+    const pad = navigator.getGamepads()[this.gamepadIndex];
+    if (!pad || !pad.connected) {
+      this.gamepadState = 0;
+      return;
+    }
+
+    const pressed = (index) => pad.buttons[index] && pad.buttons[index].pressed;
+    const x = pad.axes[0] || 0;
+    const y = pad.axes[1] || 0;
+    let state = 0;
+
+    // Standard mapping: d-pad on buttons 12-15, face buttons 0-3
+    if (y < -this.deadZone || pressed(12)) state |= UP;
+    if (y > this.deadZone || pressed(13)) state |= DOWN;
+    if (x < -this.deadZone || pressed(14)) state |= LEFT;
+    if (x > this.deadZone || pressed(15)) state |= RIGHT;
+    if (pressed(0) || pressed(1) || pressed(2) || pressed(3)) state |= FIRE;
+
+    this.gamepadState = state;
+  }
+
+  /**
+   * Set direction state directly (for programmatic control)
+   * @param {Object} state - { up, down, left, right, fire } booleans
+   */
+  setState(state) {
+    let bits = 0;
+    for (const [direction, bit] of Object.entries(DIRECTIONS)) {
+      if (state[direction]) bits |= bit;
+    }
+    this.keyState = bits;
+  }
+
+  /**
+   * Get combined direction bits
+   */
+  getState() {
+    return this.keyState | this.gamepadState;
+  }
+
+  /**
+   * Read Kempston port 0x1F (000FUDLR, active high)
+   * @returns {number|null} Port value, or null if no Kempston interface
+   */
+  readKempston() {
+    if (this.type !== 'kempston') return null;
+    return this.getState();
+  }
+
+  /**
+   * Get keyboard half-row mask for Sinclair/Cursor interfaces (0 = pressed)
+   */
+  getKeyboardRow(row) {
+    const layout = KEY_LAYOUTS[this.type];
+    if (!layout) return 0xff;
+
+    const state = this.getState();
+    let result = 0xff;
+
+    for (const [direction, bit] of Object.entries(DIRECTIONS)) {
+      const [keyRow, col] = layout[direction];
+      if (keyRow === row && (state & bit)) {
+        result &= ~(1 << col);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Release all directions
+   */
+  reset() {
+    this.keyState = 0;
+    this.gamepadState = 0;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * ZX Spectrum machine models
+ * Memory layout and frame timing for each supported hardware variant
+ */
+export const MACHINES = {
+  '48k': {
+    id: '48k',
+    name: 'ZX Spectrum 48K',
+    romPages: 1,           // One 16KB ROM
+    ramBanks: 3,           // 48KB RAM, fixed mapping
+    paging: false,         // No port 0x7FFD
+    ay: false,             // AY only through add-on interfaces (options.ay)
+    ayClock: 1750000,
+    clockSpeed: 3500000,
+    tstatesPerLine: 224,
+    scanlines: 312,
+    tstatesPerFrame: 69888, // 224 * 312
+    firstScreenLine: 64,   // First scanline of the 192-line display area
+    contentionStart: 14335, // First contended T-state (6 wait states) of the frame
+    intLength: 32          // T-states INT is held at the start of the frame
+  },
+  '128k': {
+    id: '128k',
+    name: 'ZX Spectrum 128K',
+    romPages: 2,           // ROM 0 (128K editor) and ROM 1 (48K BASIC)
+    ramBanks: 8,           // Eight 16KB banks, paged via port 0x7FFD
+    paging: true,
+    ay: true,              // Built-in AY-3-8912
+    ayClock: 1773400,
+    clockSpeed: 3546900,
+    tstatesPerLine: 228,
+    scanlines: 311,
+    tstatesPerFrame: 70908, // 228 * 311
+    firstScreenLine: 63,
+    contentionStart: 14361,
+    intLength: 36
+  }
+};
+
+/**
+ * Look up a machine model by id ('48k' or '128k')
+ */
+export function getMachine(id = '48k') {
+  const machine = MACHINES[String(id).toLowerCase()];
+  if (!machine) {
+    throw new Error(`Unknown machine type: ${id}`);
+  }
+  return machine;
+}
@@ -1,22 +1,50 @@
+import { getMachine } from './machines.js';
+
 /**
- * ZX Spectrum 48K memory system
- * 64KB address space:
- * 0x0000-0x3FFF: 16KB ROM
- * 0x4000-0x5AFF: 6KB Screen memory (pixels)
- * 0x5800-0x5AFF: 768 bytes Attributes
- * 0x5B00-0xFFFF: Remaining RAM
+ * ZX Spectrum memory system
+ * 64KB address space split into four 16KB slots:
+ * 0x0000-0x3FFF: ROM (128K: ROM 0 or ROM 1)
+ * 0x4000-0x7FFF: RAM bank 5 (screen memory at 0x4000-0x5AFF)
+ * 0x8000-0xBFFF: RAM bank 2
+ * 0xC000-0xFFFF: RAM bank 0 (128K: any bank, selected via port 0x7FFD)
+ *
+ * On the 48K the three banks are consecutive in `ram`, so `ram[0]` is 0x4000.
  */
 export class Memory {
-  constructor() {
-    this.rom = new Uint8Array(16384); // 16KB ROM
-    this.ram = new Uint8Array(49152); // 48KB RAM
+  constructor(machine = '48k') {
+    this.machine = getMachine(machine);
+    this.rom = new Uint8Array(16384 * this.machine.romPages); // 16KB per ROM
+    this.ram = new Uint8Array(16384 * this.machine.ramBanks); // 16KB per bank
     this.romLoaded = false;
     this.ula = null; // Reference to ULA for contention
 
-    // Memory contention table for screen memory access
-    // During ULA fetch (scanlines 64-255, specific T-states), add delay
-    // Contention pattern repeats every 8 T-states: [6,5,4,3,2,1,0,0]
-    this.contentionPattern = [6, 5, 4, 3, 2, 1, 0, 0];
+    // ROM pages and RAM banks as 16KB views into rom/ram
+    this.roms = [];
+    for (let i = 0; i < this.machine.romPages; i++) {
+      this.roms.push(this.rom.subarray(i * 16384, (i + 1) * 16384));
+    }
+
+    this.banks = new Array(8).fill(null);
+    if (this.machine.paging) {
+      for (let i = 0; i < 8; i++) {
+        this.banks[i] = this.ram.subarray(i * 16384, (i + 1) * 16384);
+      }
+    } else {
+      // 48K: banks 5, 2 and 0 in address order
+      this.banks[5] = this.ram.subarray(0, 16384);
+      this.banks[2] = this.ram.subarray(16384, 32768);
+      this.banks[0] = this.ram.subarray(32768, 49152);
+    }
+
+    // 128K paging state (port 0x7FFD)
+    this.pagingPort = 0;
+    this.pagedBank = 0;     // Bank at 0xC000-0xFFFF
+    this.screenBank = 5;    // Bank displayed by the ULA (5 or 7)
+    this.romPage = 0;       // ROM at 0x0000-0x3FFF
+    this.pagingLocked = false;
+
+    // Currently mapped 16KB page for each slot
+    this.pages = [this.roms[0], this.banks[5], this.banks[2], this.banks[0]];
   }
 
   /**
@@ -27,8 +55,8 @@ export class Memory {
       data = new Uint8Array(data);
     }
 
-    if (data.length !== 16384) {
-      throw new Error(`Invalid ROM size: ${data.length} (expected 16384)`);
+    if (data.length !== this.rom.length) {
+      throw new Error(`Invalid ROM size: ${data.length} (expected ${this.rom.length})`);
     }
 
     this.rom.set(data);
@@ -40,6 +68,40 @@ export class Memory {
    */
   reset() {
     this.ram.fill(0);
+    this.pagingLocked = false;
+    this.setPagingPort(0);
+  }
+
+  /**
+   * Write to the 128K paging port (0x7FFD)
+   * Bits 0-2: RAM bank at 0xC000, bit 3: shadow screen (bank 7),
+   * bit 4: ROM select, bit 5: lock paging until reset
+   * Ignored on the 48K and once paging has been locked.
+   */
+  setPagingPort(value) {
+    if (!this.machine.paging || this.pagingLocked) {
+      return;
+    }
+
+    value &= 0xff;
+    this.pagingPort = value;
+    this.pagedBank = value & 0x07;
+    this.screenBank = (value & 0x08) ? 7 : 5;
+    this.romPage = (value >> 4) & 0x01;
+    this.pagingLocked = (value & 0x20) !== 0;
+
+    this.pages[0] = this.roms[this.romPage];
+    this.pages[3] = this.banks[this.pagedBank];
+  }
+
+  /**
+   * Check if an address is in contended memory
+   * 0x4000-0x7FFF always; on the 128K also 0xC000-0xFFFF when an odd bank is paged in
+   */
+  isContended(addr) {
+    const slot = (addr >> 14) & 0x03;
+    if (slot === 1) return true;
+    return slot === 3 && this.machine.paging && (this.pagedBank & 0x01) === 1;
   }
 
   /**
@@ -50,58 +112,29 @@ export class Memory {
   }
 
   /**
-   * Calculate memory contention delay for screen memory access
-   * Per spec: contention occurs when accessing 0x4000-0x7FFF during display fetch
-   * Returns number of T-states to add
+   * Calculate memory contention delay for an access to `addr` at T-state `tstates`
+   * Returns number of T-states to add (the ULA owns the contention timing)
    */
-  getContentionDelay(addr) {
-    // No contention if ULA not set or address outside contended range
-    if (!this.ula || addr < 0x4000 || addr >= 0x8000) {
-      return 0;
-    }
-
-    const scanline = this.ula.getCurrentScanline();
-    const tstate = this.ula.scanlineTStates;
-
-    // Contention only occurs during active display (scanlines 64-255)
-    if (scanline < 64 || scanline >= 256) {
-      return 0;
-    }
-
-    // Contention occurs during first 128 T-states of scanline (ULA fetch period)
-    // Pattern repeats every 8 T-states
-    if (tstate < 128) {
-      const index = tstate % 8;
-      return this.contentionPattern[index];
-    }
-
-    return 0;
+  getContentionDelay(addr, tstates) {
+    return this.ula ? this.ula.getMemoryContention(addr & 0xffff, tstates) : 0;
   }
 
   /**
    * Read byte from memory
-   * Returns {value, contentionDelay}
    */
   read(addr) {
     addr &= 0xffff;
-
-    const delay = this.getContentionDelay(addr);
-
-    if (addr < 0x4000) {
-      return this.rom[addr];
-    }
-
-    return this.ram[addr - 0x4000];
+    return this.pages[addr >> 14][addr & 0x3fff];
   }
 
   /**
    * Read byte from memory with contention delay
    * Returns {value, delay} for CPU to handle
    */
-  readWithContention(addr) {
+  readWithContention(addr, tstates) {
     addr &= 0xffff;
-    const delay = this.getContentionDelay(addr);
-    const value = addr < 0x4000 ? this.rom[addr] : this.ram[addr - 0x4000];
+    const delay = this.getContentionDelay(addr, tstates);
+    const value = this.pages[addr >> 14][addr & 0x3fff];
     return {value, delay};
   }
 
@@ -117,54 +150,81 @@ export class Memory {
       return;
     }
 
-    this.ram[addr - 0x4000] = value;
+    this.pages[addr >> 14][addr & 0x3fff] = value;
   }
 
   /**
    * Write byte to memory with contention delay
    * Returns contention delay for CPU to handle
    */
-  writeWithContention(addr, value) {
+  writeWithContention(addr, value, tstates) {
     addr &= 0xffff;
     value &= 0xff;
 
-    const delay = this.getContentionDelay(addr);
+    const delay = this.getContentionDelay(addr, tstates);
 
     if (addr >= 0x4000) {
-      this.ram[addr - 0x4000] = value;
+      this.pages[addr >> 14][addr & 0x3fff] = value;
     }
 
     return delay;
   }
 
   /**
-   * Get screen pixel data (0x4000-0x57FF)
+   * Get screen pixel data (0x4000-0x57FF of the displayed bank)
    */
   getScreenPixels() {
-    return this.ram.subarray(0, 6144);
+    return this.banks[this.screenBank].subarray(0, 6144);
   }
 
   /**
-   * Get screen attributes (0x5800-0x5AFF)
+   * Get screen attributes (0x5800-0x5AFF of the displayed bank)
    */
   getScreenAttributes() {
-    return this.ram.subarray(6144, 6912);
+    return this.banks[this.screenBank].subarray(6144, 6912);
+  }
+
+  /**
+   * Get a 16KB RAM bank (0-7; 48K only has banks 0, 2 and 5)
+   */
+  getBank(bank) {
+    const data = this.banks[bank & 0x07];
+    if (!data) {
+      throw new Error(`RAM bank ${bank} not available on ${this.machine.name}`);
+    }
+    return data;
   }
 
   /**
-   * Get full RAM for snapshot save
+   * Get the 48KB of RAM visible at 0x4000-0xFFFF for snapshot save
    */
   getRAM() {
-    return this.ram;
+    if (!this.machine.paging) {
+      return this.ram;
+    }
+
+    const ram = new Uint8Array(49152);
+    ram.set(this.pages[1], 0);
+    ram.set(this.pages[2], 16384);
+    ram.set(this.pages[3], 32768);
+    return ram;
   }
 
   /**
-   * Set full RAM for snapshot load
+   * Set the 48KB of RAM visible at 0x4000-0xFFFF for snapshot load
    */
   setRAM(data) {
     if (data.length !== 49152) {
       throw new Error(`Invalid RAM size: ${data.length} (expected 49152)`);
     }
-    this.ram.set(data);
+
+    if (!this.machine.paging) {
+      this.ram.set(data);
+      return;
+    }
+
+    this.pages[1].set(data.subarray(0, 16384));
+    this.pages[2].set(data.subarray(16384, 32768));
+    this.pages[3].set(data.subarray(32768, 49152));
   }
 }
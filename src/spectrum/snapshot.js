@@ -1,10 +1,75 @@
 /**
  * ZX Spectrum snapshot system
- * Supports .Z80 format (versions 1, 2, 3)
+ * Supports .Z80 format (load versions 1, 2, 3; save version 3), .SNA format (48K and 128K)
+ * and .SZX (zx-state) format
  */
+
+import { Zlib } from './zlib.js';
+
+// SNA file sizes: 27-byte header + 48KB, 128K adds PC/paging + remaining banks
+const SNA_HEADER_SIZE = 27;
+const SNA_48K_SIZE = SNA_HEADER_SIZE + 49152;
+const SNA_128K_SIZE = SNA_48K_SIZE + 4 + 5 * 16384;
+const SNA_128K_SIZE_REPEATED = SNA_48K_SIZE + 4 + 6 * 16384; // Paged bank is 2 or 5
+
+// Z80 version 3 extended header length (without the port 0x1FFD byte)
+const Z80_V3_HEADER_LENGTH = 54;
+
+// Z80 48K page numbers and the RAM bank each holds
+const Z80_48K_PAGES = { 4: 2, 5: 0, 8: 5 };
+
+// Z80 joystick type (header byte 29, bits 6-7)
+const Z80_JOYSTICKS = ['cursor', 'kempston', 'sinclair2', 'sinclair1'];
+
+// SZX header: 'ZXST' magic, version 1.4, machine id, flags
+const SZX_MAGIC = 'ZXST';
+const SZX_HEADER_SIZE = 8;
+const SZX_MAJOR_VERSION = 1;
+const SZX_MINOR_VERSION = 4;
+const SZX_MACHINE_48K = 1;
+const SZX_MACHINE_128K = 2;
+const SZX_MACHINE_PLUS2 = 3;
+
+// SZX chunk flags
+const SZX_Z80R_EILAST = 0x01;
+const SZX_Z80R_HALTED = 0x02;
+const SZX_RAMP_COMPRESSED = 0x01;
+const SZX_AY_128AY = 0x02;
+
+// SZX keyboard joystick types (KEYB chunk); null = not emulated
+const SZX_JOYSTICKS = ['kempston', null, 'cursor', 'sinclair1', 'sinclair2', null, null, null, 'none'];
+const SZX_JOYSTICK_NONE = 8;
+
 export class Snapshot {
+  /**
+   * Detect snapshot format from file size and header
+   * @returns {string} 'SZX', 'SNA' or 'Z80'
+   */
+  static detectFormat(data) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+
+    if (this.readChunkId(data, 0) === SZX_MAGIC) {
+      return 'SZX';
+    }
+
+    const snaSize = data.length === SNA_48K_SIZE ||
+      data.length === SNA_128K_SIZE ||
+      data.length === SNA_128K_SIZE_REPEATED;
+
+    // Interrupt mode and border colour must be in range for a valid SNA header
+    if (snaSize && data[25] <= 2 && data[26] <= 7) {
+      return 'SNA';
+    }
+
+    return 'Z80';
+  }
+
   /**
    * Load Z80 snapshot
+   * Returns machine state that lives outside the CPU and memory:
+   * { borderColor, tstates, pagingPort, ay, joystick }
    */
   static loadZ80(data, cpu, memory) {
     if (data instanceof ArrayBuffer) {
@@ -23,7 +88,8 @@ export class Snapshot {
     cpu.i = data[10];
     cpu.r = (data[11] & 0x7f) | ((data[12] & 0x01) << 7);
 
-    const flags1 = data[12];
+    // For compatibility, 0xFF in byte 12 means 1
+    const flags1 = data[12] === 0xff ? 0x01 : data[12];
     const borderColor = (flags1 >> 1) & 0x07;
 
     cpu.e = data[13];
@@ -44,6 +110,12 @@ export class Snapshot {
 
     const flags2 = data[29];
     cpu.im = flags2 & 0x03;
+    const joystick = Z80_JOYSTICKS[(flags2 >> 6) & 0x03];
+
+    cpu.halted = false;
+    cpu.enableInterruptsPending = false;
+
+    const result = { borderColor, tstates: 0, pagingPort: null, ay: null, joystick };
 
     // Check version
     const version = (pc === 0) ? this.getVersion(data) : 1;
@@ -56,6 +128,8 @@ export class Snapshot {
       const compressed = (flags1 & 0x20) !== 0;
       const ramData = data.slice(30);
 
+      this.enter48KMode(memory);
+
       if (compressed) {
         this.decompressV1(ramData, memory);
       } else {
@@ -69,12 +143,40 @@ export class Snapshot {
       cpu.pc = pc;
 
       const hwMode = data[extHeaderStart + 2];
+      const is128K = this.isZ80Mode128K(version, hwMode);
 
-      // Only support 48K mode
-      if (hwMode !== 0 && hwMode !== 1 && hwMode !== 3) {
+      if (is128K === null) {
         throw new Error(`Unsupported hardware mode: ${hwMode}`);
       }
 
+      if (is128K) {
+        if (!memory.machine.paging) {
+          throw new Error('128K Z80 snapshot requires a 128K machine');
+        }
+        result.pagingPort = data[extHeaderStart + 3];
+        memory.pagingLocked = false;
+        memory.setPagingPort(result.pagingPort);
+      } else {
+        this.enter48KMode(memory);
+      }
+
+      // AY registers (present for 128K, or a 48K with an AY interface)
+      if (is128K || (data[extHeaderStart + 5] & 0x04)) {
+        result.ay = {
+          selectedRegister: data[extHeaderStart + 6],
+          registers: data.slice(extHeaderStart + 7, extHeaderStart + 23)
+        };
+      }
+
+      // Version 3: T-state counter, stored as a countdown within the frame quarter
+      if (version === 3) {
+        const quarter = memory.machine.tstatesPerFrame / 4;
+        const low = data[extHeaderStart + 23] | (data[extHeaderStart + 24] << 8);
+        const high = data[extHeaderStart + 25];
+        result.tstates = (((high + 1) % 4) + 1) * quarter - (low + 1);
+        result.tstates = Math.max(0, Math.min(result.tstates, memory.machine.tstatesPerFrame - 1));
+      }
+
       // Load memory blocks
       let offset = extHeaderStart + headerLength;
 
@@ -86,18 +188,44 @@ export class Snapshot {
         if (blockLength === 0xffff) {
           // Uncompressed block (16KB)
           const blockData = data.slice(offset, offset + 16384);
-          this.loadMemoryBlock(pageNum, blockData, memory, false);
+          this.loadMemoryBlock(pageNum, blockData, memory, false, is128K);
           offset += 16384;
         } else {
           // Compressed block
           const blockData = data.slice(offset, offset + blockLength);
-          this.loadMemoryBlock(pageNum, blockData, memory, true);
+          this.loadMemoryBlock(pageNum, blockData, memory, true, is128K);
           offset += blockLength;
         }
       }
     }
 
-    return { borderColor };
+    return result;
+  }
+
+  /**
+   * Check whether a Z80 hardware mode is a 128K machine
+   * @returns {boolean|null} true for 128K, false for 48K, null if unsupported
+   */
+  static isZ80Mode128K(version, hwMode) {
+    // Version 2: 0=48K, 1=48K+IF1, 3=128K, 4=128K+IF1
+    // Version 3: 0=48K, 1=48K+IF1, 3=48K+M.G.T., 4=128K, 5=128K+IF1, 6=128K+M.G.T., 12=+2
+    if (hwMode === 0 || hwMode === 1) return false;
+    if (version === 2) {
+      return (hwMode === 3 || hwMode === 4) ? true : null;
+    }
+    if (hwMode === 3) return false;
+    if (hwMode === 4 || hwMode === 5 || hwMode === 6 || hwMode === 12) return true;
+    return null;
+  }
+
+  /**
+   * Prepare a 128K machine to run a 48K snapshot: ROM 1 (48K BASIC), paging locked
+   */
+  static enter48KMode(memory) {
+    if (memory.machine.paging) {
+      memory.pagingLocked = false;
+      memory.setPagingPort(0x30);
+    }
   }
 
   /**
@@ -144,7 +272,7 @@ export class Snapshot {
   /**
    * Load memory block
    */
-  static loadMemoryBlock(pageNum, data, memory, compressed) {
+  static loadMemoryBlock(pageNum, data, memory, compressed, is128K = false) {
     let blockData;
 
     if (compressed) {
@@ -153,17 +281,20 @@ export class Snapshot {
       blockData = data;
     }
 
+    // Page mapping for 128K: page 3-10 = RAM bank 0-7
     // Page mapping for 48K:
-    // 4 = 0x8000-0xBFFF (RAM page 2)
-    // 5 = 0xC000-0xFFFF (RAM page 3)
-    // 8 = 0x4000-0x7FFF (RAM page 1)
+    // 4 = 0x8000-0xBFFF (RAM bank 2)
+    // 5 = 0xC000-0xFFFF (RAM bank 0)
+    // 8 = 0x4000-0x7FFF (RAM bank 5)
+    let bank = -1;
+    if (is128K) {
+      if (pageNum >= 3 && pageNum <= 10) bank = pageNum - 3;
+    } else if (Z80_48K_PAGES[pageNum] !== undefined) {
+      bank = Z80_48K_PAGES[pageNum];
+    }
 
-    if (pageNum === 4) {
-      memory.ram.set(blockData, 16384);
-    } else if (pageNum === 5) {
-      memory.ram.set(blockData, 32768);
-    } else if (pageNum === 8) {
-      memory.ram.set(blockData, 0);
+    if (bank >= 0) {
+      memory.getBank(bank).set(blockData.subarray(0, 16384));
     }
   }
 
@@ -197,10 +328,183 @@ export class Snapshot {
   }
 
   /**
-   * Save snapshot (simplified - version 1)
+   * Load SNA snapshot
+   * 48K: 27-byte header + 48KB RAM, PC is on the stack
+   * 128K: also PC, port 0x7FFD value, TR-DOS flag and the remaining RAM banks
    */
-  static saveZ80(cpu, memory) {
-    const header = new Uint8Array(30);
+  static loadSNA(data, cpu, memory) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+
+    const is128K = data.length === SNA_128K_SIZE || data.length === SNA_128K_SIZE_REPEATED;
+
+    if (data.length !== SNA_48K_SIZE && !is128K) {
+      throw new Error(`Invalid SNA size: ${data.length}`);
+    }
+
+    if (is128K && !memory.machine.paging) {
+      throw new Error('128K SNA snapshot requires a 128K machine');
+    }
+
+    // Read header
+    cpu.i = data[0];
+    cpu.l_ = data[1];
+    cpu.h_ = data[2];
+    cpu.e_ = data[3];
+    cpu.d_ = data[4];
+    cpu.c_ = data[5];
+    cpu.b_ = data[6];
+    cpu.f_ = data[7];
+    cpu.a_ = data[8];
+    cpu.l = data[9];
+    cpu.h = data[10];
+    cpu.e = data[11];
+    cpu.d = data[12];
+    cpu.c = data[13];
+    cpu.b = data[14];
+    cpu.iy = data[15] | (data[16] << 8);
+    cpu.ix = data[17] | (data[18] << 8);
+    cpu.iff2 = (data[19] & 0x04) !== 0;
+    cpu.iff1 = cpu.iff2;
+    cpu.r = data[20];
+    cpu.f = data[21];
+    cpu.a = data[22];
+    cpu.sp = data[23] | (data[24] << 8);
+    cpu.im = data[25] & 0x03;
+    const borderColor = data[26] & 0x07;
+
+    cpu.halted = false;
+    cpu.enableInterruptsPending = false;
+
+    const ramData = data.subarray(SNA_HEADER_SIZE, SNA_48K_SIZE);
+
+    if (!is128K) {
+      // A 128K machine runs 48K snapshots with ROM 1 (48K BASIC) and paging locked
+      if (memory.machine.paging) {
+        memory.pagingLocked = false;
+        memory.setPagingPort(0x30);
+      }
+
+      memory.setRAM(ramData);
+
+      // PC is stored on the stack
+      cpu.pc = cpu.pop();
+      return { borderColor };
+    }
+
+    let offset = SNA_48K_SIZE;
+    cpu.pc = data[offset] | (data[offset + 1] << 8);
+    const pagingPort = data[offset + 2];
+    offset += 4; // Skip TR-DOS ROM flag
+
+    memory.pagingLocked = false;
+    memory.setPagingPort(pagingPort);
+
+    // First 48KB holds banks 5, 2 and the paged bank
+    const pagedBank = pagingPort & 0x07;
+    memory.getBank(5).set(ramData.subarray(0, 16384));
+    memory.getBank(2).set(ramData.subarray(16384, 32768));
+    memory.getBank(pagedBank).set(ramData.subarray(32768, 49152));
+
+    // Remaining banks in ascending order
+    for (let bank = 0; bank < 8; bank++) {
+      if (bank === 5 || bank === 2 || bank === pagedBank) continue;
+      memory.getBank(bank).set(data.subarray(offset, offset + 16384));
+      offset += 16384;
+    }
+
+    return { borderColor, pagingPort };
+  }
+
+  /**
+   * Save SNA snapshot (48K or 128K depending on the machine)
+   */
+  static saveSNA(cpu, memory, borderColor = 0) {
+    const is128K = memory.machine.paging;
+
+    // 128K: banks other than 5, 2 and the paged bank follow the header in order
+    const extraBanks = [];
+    if (is128K) {
+      for (let bank = 0; bank < 8; bank++) {
+        if (bank !== 5 && bank !== 2 && bank !== memory.pagedBank) {
+          extraBanks.push(bank);
+        }
+      }
+    }
+
+    const size = is128K ? SNA_48K_SIZE + 4 + extraBanks.length * 16384 : SNA_48K_SIZE;
+    const result = new Uint8Array(size);
+
+    // Copy visible RAM so the stacked PC doesn't modify the running machine
+    const ram = new Uint8Array(memory.getRAM());
+    let sp = cpu.sp;
+
+    if (!is128K) {
+      // 48K SNA stores PC on the stack
+      sp = (sp - 2) & 0xffff;
+      const low = sp;
+      const high = (sp + 1) & 0xffff;
+      if (low >= 0x4000) ram[low - 0x4000] = cpu.pc & 0xff;
+      if (high >= 0x4000) ram[high - 0x4000] = (cpu.pc >> 8) & 0xff;
+    }
+
+    result[0] = cpu.i;
+    result[1] = cpu.l_;
+    result[2] = cpu.h_;
+    result[3] = cpu.e_;
+    result[4] = cpu.d_;
+    result[5] = cpu.c_;
+    result[6] = cpu.b_;
+    result[7] = cpu.f_;
+    result[8] = cpu.a_;
+    result[9] = cpu.l;
+    result[10] = cpu.h;
+    result[11] = cpu.e;
+    result[12] = cpu.d;
+    result[13] = cpu.c;
+    result[14] = cpu.b;
+    result[15] = cpu.iy & 0xff;
+    result[16] = (cpu.iy >> 8) & 0xff;
+    result[17] = cpu.ix & 0xff;
+    result[18] = (cpu.ix >> 8) & 0xff;
+    result[19] = cpu.iff2 ? 0x04 : 0;
+    result[20] = cpu.r;
+    result[21] = cpu.f;
+    result[22] = cpu.a;
+    result[23] = sp & 0xff;
+    result[24] = (sp >> 8) & 0xff;
+    result[25] = cpu.im & 0x03;
+    result[26] = borderColor & 0x07;
+
+    result.set(ram, SNA_HEADER_SIZE);
+
+    if (is128K) {
+      let offset = SNA_48K_SIZE;
+      result[offset] = cpu.pc & 0xff;
+      result[offset + 1] = (cpu.pc >> 8) & 0xff;
+      result[offset + 2] = memory.pagingPort;
+      result[offset + 3] = 0; // TR-DOS ROM not paged
+      offset += 4;
+
+      for (const bank of extraBanks) {
+        result.set(memory.getBank(bank), offset);
+        offset += 16384;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Save Z80 version 3 snapshot
+   * @param {Object} options - { borderColor, tstates (within frame), ay, joystick }
+   */
+  static saveZ80(cpu, memory, options = {}) {
+    const borderColor = options.borderColor || 0;
+    const ay = options.ay || null;
+    const is128K = memory.machine.paging;
+    const header = new Uint8Array(30 + 2 + Z80_V3_HEADER_LENGTH);
 
     header[0] = cpu.a;
     header[1] = cpu.f;
@@ -208,13 +512,13 @@ export class Snapshot {
     header[3] = cpu.b;
     header[4] = cpu.l;
     header[5] = cpu.h;
-    header[6] = cpu.pc & 0xff;
-    header[7] = (cpu.pc >> 8) & 0xff;
+    header[6] = 0; // PC = 0 marks version 2/3
+    header[7] = 0;
     header[8] = cpu.sp & 0xff;
     header[9] = (cpu.sp >> 8) & 0xff;
     header[10] = cpu.i;
     header[11] = cpu.r & 0x7f;
-    header[12] = ((cpu.r & 0x80) >> 7) | 0x20; // Set compression bit
+    header[12] = ((cpu.r & 0x80) >> 7) | ((borderColor & 0x07) << 1);
     header[13] = cpu.e;
     header[14] = cpu.d;
     header[15] = cpu.c_;
@@ -231,23 +535,100 @@ export class Snapshot {
     header[26] = (cpu.ix >> 8) & 0xff;
     header[27] = cpu.iff1 ? 0xff : 0;
     header[28] = cpu.iff2 ? 0xff : 0;
-    header[29] = cpu.im & 0x03;
+    header[29] = (cpu.im & 0x03) | (this.getZ80JoystickBits(options.joystick) << 6);
+
+    // Extended header
+    header[30] = Z80_V3_HEADER_LENGTH & 0xff;
+    header[31] = Z80_V3_HEADER_LENGTH >> 8;
+    header[32] = cpu.pc & 0xff;
+    header[33] = (cpu.pc >> 8) & 0xff;
+    header[34] = is128K ? 4 : 0;
+    header[35] = is128K ? memory.pagingPort : 0;
+    header[36] = 0; // Interface 1 ROM not paged
+    header[37] = (ay && !is128K) ? 0x04 : 0; // AY in use on a 48K
+
+    if (ay) {
+      header[38] = ay.selectedRegister & 0x0f;
+      header.set(ay.registers, 39);
+    }
+
+    // T-state counter: frame quarter (rotated by 3) and countdown within it
+    const tstatesPerFrame = memory.machine.tstatesPerFrame;
+    const quarter = tstatesPerFrame / 4;
+    const tstates = Math.max(0, options.tstates || 0) % tstatesPerFrame;
+    const low = quarter - (tstates % quarter) - 1;
+    header[55] = low & 0xff;
+    header[56] = (low >> 8) & 0xff;
+    header[57] = (Math.floor(tstates / quarter) + 3) % 4;
+
+    // Remaining fields: 0xFF for both halves of ROM (bytes 61-62), rest unused
+    header[61] = 0xff;
+    header[62] = 0xff;
+
+    // Memory pages: 128K pages 3-10 are banks 0-7; 48K pages 8, 4, 5 are banks 5, 2, 0
+    const pages = is128K
+      ? [0, 1, 2, 3, 4, 5, 6, 7].map((bank) => [bank + 3, bank])
+      : [[8, 5], [4, 2], [5, 0]];
 
-    // Compress RAM
-    const compressed = this.compressMemory(memory.ram);
+    const blocks = pages.map(([pageNum, bank]) => this.createMemoryBlock(pageNum, memory.getBank(bank)));
+    const totalLength = blocks.reduce((sum, block) => sum + block.length, header.length);
 
-    // Combine header and data
-    const result = new Uint8Array(header.length + compressed.length);
+    const result = new Uint8Array(totalLength);
     result.set(header);
-    result.set(compressed, header.length);
+
+    let offset = header.length;
+    for (const block of blocks) {
+      result.set(block, offset);
+      offset += block.length;
+    }
 
     return result;
   }
 
   /**
-   * Compress memory data
+   * Get Z80 joystick type bits for a joystick interface name
+   */
+  static getZ80JoystickBits(type) {
+    const index = Z80_JOYSTICKS.indexOf(type);
+    return index >= 0 ? index : 0;
+  }
+
+  /**
+   * Create a version 2/3 memory block: 3-byte header and compressed data,
+   * or uncompressed (length 0xFFFF) if compression doesn't help
+   */
+  static createMemoryBlock(pageNum, data) {
+    const compressed = this.compressBlock(data);
+    const stored = compressed.length < 16384 ? compressed : data;
+    const length = compressed.length < 16384 ? compressed.length : 0xffff;
+
+    const block = new Uint8Array(3 + stored.length);
+    block[0] = length & 0xff;
+    block[1] = (length >> 8) & 0xff;
+    block[2] = pageNum;
+    block.set(stored, 3);
+
+    return block;
+  }
+
+  /**
+   * Compress memory data (version 1: with end marker)
    */
   static compressMemory(data) {
+    const compressed = this.compressBlock(data);
+
+    // Add end marker
+    const result = new Uint8Array(compressed.length + 4);
+    result.set(compressed);
+    result.set([0x00, 0xed, 0xed, 0x00], compressed.length);
+
+    return result;
+  }
+
+  /**
+   * Compress a memory block: runs of 5+ bytes (or any run of 0xED) become ED ED count value
+   */
+  static compressBlock(data) {
     const compressed = [];
 
     let i = 0;
@@ -270,9 +651,262 @@ export class Snapshot {
       }
     }
 
-    // Add end marker
-    compressed.push(0x00, 0xed, 0xed, 0x00);
-
     return new Uint8Array(compressed);
   }
+
+  /**
+   * Load SZX snapshot
+   * Z80R, SPCR, RAMP, KEYB and AY chunks are applied; other chunks are skipped.
+   * Returns { borderColor, tstates, pagingPort, ay, joystick, portFE }
+   */
+  static loadSZX(data, cpu, memory) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+
+    if (data.length < SZX_HEADER_SIZE || this.readChunkId(data, 0) !== SZX_MAGIC) {
+      throw new Error('Invalid SZX snapshot');
+    }
+
+    const machineId = data[6];
+    let is128K;
+    if (machineId === 0 || machineId === SZX_MACHINE_48K) {
+      is128K = false;
+    } else if (machineId === SZX_MACHINE_128K || machineId === SZX_MACHINE_PLUS2) {
+      is128K = true;
+    } else {
+      throw new Error(`Unsupported SZX machine: ${machineId}`);
+    }
+
+    if (is128K && !memory.machine.paging) {
+      throw new Error('128K SZX snapshot requires a 128K machine');
+    }
+
+    if (!is128K) {
+      this.enter48KMode(memory);
+    }
+
+    const result = { borderColor: 7, tstates: 0, pagingPort: null, ay: null, joystick: null, portFE: null };
+    let offset = SZX_HEADER_SIZE;
+
+    while (offset + 8 <= data.length) {
+      const id = this.readChunkId(data, offset);
+      const size = this.readDword(data, offset + 4);
+      const chunk = data.subarray(offset + 8, offset + 8 + size);
+      offset += 8 + size;
+
+      if (chunk.length < size) {
+        throw new Error(`Truncated SZX chunk: ${id}`);
+      }
+
+      switch (id) {
+        case 'Z80R':
+          this.loadSZXRegisters(chunk, cpu, result);
+          break;
+        case 'SPCR':
+          result.borderColor = chunk[0] & 0x07;
+          result.portFE = chunk[3];
+          if (is128K) {
+            result.pagingPort = chunk[1];
+            memory.pagingLocked = false;
+            memory.setPagingPort(result.pagingPort);
+          }
+          break;
+        case 'RAMP':
+          this.loadSZXPage(chunk, memory, is128K);
+          break;
+        case 'KEYB':
+          result.joystick = SZX_JOYSTICKS[chunk[4]] || null;
+          break;
+        case 'AY':
+          result.ay = {
+            selectedRegister: chunk[1],
+            registers: chunk.slice(2, 18)
+          };
+          break;
+        default:
+          console.warn(`SZX: skipping unsupported chunk '${id}' (${size} bytes)`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Load SZX Z80R chunk into the CPU
+   */
+  static loadSZXRegisters(chunk, cpu, result) {
+    cpu.f = chunk[0];
+    cpu.a = chunk[1];
+    cpu.c = chunk[2];
+    cpu.b = chunk[3];
+    cpu.e = chunk[4];
+    cpu.d = chunk[5];
+    cpu.l = chunk[6];
+    cpu.h = chunk[7];
+    cpu.f_ = chunk[8];
+    cpu.a_ = chunk[9];
+    cpu.c_ = chunk[10];
+    cpu.b_ = chunk[11];
+    cpu.e_ = chunk[12];
+    cpu.d_ = chunk[13];
+    cpu.l_ = chunk[14];
+    cpu.h_ = chunk[15];
+    cpu.ix = chunk[16] | (chunk[17] << 8);
+    cpu.iy = chunk[18] | (chunk[19] << 8);
+    cpu.sp = chunk[20] | (chunk[21] << 8);
+    cpu.pc = chunk[22] | (chunk[23] << 8);
+    cpu.i = chunk[24];
+    cpu.r = chunk[25];
+    cpu.iff1 = chunk[26] !== 0;
+    cpu.iff2 = chunk[27] !== 0;
+    cpu.im = chunk[28] & 0x03;
+
+    // Cycles since the start of the frame
+    result.tstates = this.readDword(chunk, 29);
+
+    const flags = chunk[34];
+    cpu.enableInterruptsPending = (flags & SZX_Z80R_EILAST) !== 0;
+    cpu.halted = (flags & SZX_Z80R_HALTED) !== 0;
+
+    // MEMPTR (v1.4+)
+    if (chunk.length >= 37) {
+      cpu.memptr = chunk[35] | (chunk[36] << 8);
+    }
+  }
+
+  /**
+   * Load SZX RAMP chunk (one 16KB RAM bank, optionally zlib-compressed)
+   */
+  static loadSZXPage(chunk, memory, is128K) {
+    const flags = chunk[0] | (chunk[1] << 8);
+    const bank = chunk[2];
+    const pageData = chunk.subarray(3);
+    const page = (flags & SZX_RAMP_COMPRESSED) ? Zlib.decompress(pageData) : pageData;
+
+    // 48K snapshots only hold banks 5, 2 and 0
+    if (!is128K && bank !== 5 && bank !== 2 && bank !== 0) {
+      console.warn(`SZX: ignoring RAM page ${bank} in 48K snapshot`);
+      return;
+    }
+
+    if (page.length !== 16384) {
+      throw new Error(`Invalid SZX RAM page size: ${page.length}`);
+    }
+
+    memory.getBank(bank).set(page);
+  }
+
+  /**
+   * Save SZX snapshot
+   * @param {Object} options - { borderColor, tstates (within frame), ay, joystick, speaker }
+   */
+  static saveSZX(cpu, memory, options = {}) {
+    const borderColor = options.borderColor || 0;
+    const is128K = memory.machine.paging;
+    const chunks = [];
+
+    const header = new Uint8Array(SZX_HEADER_SIZE);
+    for (let i = 0; i < 4; i++) header[i] = SZX_MAGIC.charCodeAt(i);
+    header[4] = SZX_MAJOR_VERSION;
+    header[5] = SZX_MINOR_VERSION;
+    header[6] = is128K ? SZX_MACHINE_128K : SZX_MACHINE_48K;
+    header[7] = 0;
+    chunks.push(header);
+
+    // Z80R: registers, frame position and interrupt state
+    const z80r = new Uint8Array(37);
+    z80r.set([
+      cpu.f, cpu.a, cpu.c, cpu.b, cpu.e, cpu.d, cpu.l, cpu.h,
+      cpu.f_, cpu.a_, cpu.c_, cpu.b_, cpu.e_, cpu.d_, cpu.l_, cpu.h_,
+      cpu.ix & 0xff, (cpu.ix >> 8) & 0xff, cpu.iy & 0xff, (cpu.iy >> 8) & 0xff,
+      cpu.sp & 0xff, (cpu.sp >> 8) & 0xff, cpu.pc & 0xff, (cpu.pc >> 8) & 0xff,
+      cpu.i, cpu.r, cpu.iff1 ? 1 : 0, cpu.iff2 ? 1 : 0, cpu.im & 0x03
+    ]);
+    const tstates = Math.max(0, options.tstates || 0) % memory.machine.tstatesPerFrame;
+    this.writeDword(z80r, 29, tstates);
+    z80r[34] = (cpu.enableInterruptsPending ? SZX_Z80R_EILAST : 0) | (cpu.halted ? SZX_Z80R_HALTED : 0);
+    z80r[35] = cpu.memptr & 0xff;
+    z80r[36] = (cpu.memptr >> 8) & 0xff;
+    chunks.push(this.createSZXChunk('Z80R', z80r));
+
+    // SPCR: border, paging and last port 0xFE value
+    const spcr = new Uint8Array(8);
+    spcr[0] = borderColor & 0x07;
+    spcr[1] = is128K ? memory.pagingPort : 0;
+    spcr[3] = (borderColor & 0x07) | (options.speaker ? 0x10 : 0);
+    chunks.push(this.createSZXChunk('SPCR', spcr));
+
+    // AY: present for 128K, or a 48K with an AY interface
+    if (options.ay) {
+      const ay = new Uint8Array(18);
+      ay[0] = is128K ? 0 : SZX_AY_128AY;
+      ay[1] = options.ay.selectedRegister & 0x0f;
+      ay.set(options.ay.registers, 2);
+      chunks.push(this.createSZXChunk('AY\0\0', ay));
+    }
+
+    // KEYB: keyboard issue (3) and joystick interface
+    const keyb = new Uint8Array(5);
+    const joystick = SZX_JOYSTICKS.indexOf(options.joystick || 'none');
+    keyb[4] = joystick >= 0 ? joystick : SZX_JOYSTICK_NONE;
+    chunks.push(this.createSZXChunk('KEYB', keyb));
+
+    // RAMP: zlib-compressed RAM banks
+    const banks = is128K ? [0, 1, 2, 3, 4, 5, 6, 7] : [5, 2, 0];
+    for (const bank of banks) {
+      const compressed = Zlib.compress(memory.getBank(bank));
+      const ramp = new Uint8Array(3 + compressed.length);
+      ramp[0] = SZX_RAMP_COMPRESSED;
+      ramp[2] = bank;
+      ramp.set(compressed, 3);
+      chunks.push(this.createSZXChunk('RAMP', ramp));
+    }
+
+    const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+      result.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    return result;
+  }
+
+  /**
+   * Create an SZX chunk: 4-character id, 32-bit size, data
+   */
+  static createSZXChunk(id, data) {
+    const chunk = new Uint8Array(8 + data.length);
+    for (let i = 0; i < 4; i++) chunk[i] = id.charCodeAt(i);
+    this.writeDword(chunk, 4, data.length);
+    chunk.set(data, 8);
+    return chunk;
+  }
+
+  /**
+   * Read a 4-character SZX chunk id (trailing NULs removed)
+   */
+  static readChunkId(data, offset) {
+    if (offset + 4 > data.length) return '';
+    return String.fromCharCode(data[offset], data[offset + 1], data[offset + 2], data[offset + 3])
+      .replace(/\0+$/, '');
+  }
+
+  /**
+   * Read a little-endian 32-bit value
+   */
+  static readDword(data, offset) {
+    return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+  }
+
+  /**
+   * Write a little-endian 32-bit value
+   */
+  static writeDword(data, offset, value) {
+    data[offset] = value & 0xff;
+    data[offset + 1] = (value >> 8) & 0xff;
+    data[offset + 2] = (value >> 16) & 0xff;
+    data[offset + 3] = (value >>> 24) & 0xff;
+  }
 }
@@ -1,9 +1,10 @@
 /**
  * ZX Spectrum sound system
- * 1-bit beeper emulation using Web Audio API
+ * 1-bit beeper emulation using Web Audio API, optionally mixed with the AY chip.
+ * Without an audio device (headless use) the samples are captured in memory instead.
  */
 export class Sound {
-  constructor(useAudioWorklet = true) {
+  constructor(useAudioWorklet = true, clockSpeed = 3500000) {
     this.audioContext = null;
     this.useAudioWorklet = useAudioWorklet;
     this.workletNode = null;
@@ -18,6 +19,31 @@ export class Sound {
     this.volume = 0.5;
     this.muted = false;
     this.initialized = false;
+
+    // CPU clock for T-state to sample conversion
+    this.clockSpeed = clockSpeed;
+    this.sampleRemainder = 0; // Fractional samples carried between updates
+
+    // AY-3-8912 mixed with the beeper (null when not fitted)
+    this.ay = null;
+    this.ayVolume = 0.5;
+
+    // Tape EAR signal heard through the speaker while a tape plays
+    this.tapeVolume = 0.25;
+
+    // Captured PCM samples when running without Web Audio (see initCapture)
+    this.pcm = null;
+    this.pcmLength = 0;
+  }
+
+  /**
+   * Attach AY chip to be mixed with the beeper
+   */
+  setAY(ay) {
+    this.ay = ay;
+    if (ay) {
+      ay.setSampleRate(this.sampleRate);
+    }
   }
 
   /**
@@ -52,6 +78,15 @@ export class Sound {
     }
   }
 
+  /**
+   * Capture samples in memory instead of playing them (no AudioContext needed)
+   */
+  initCapture() {
+    this.pcm = new Float32Array(this.sampleRate);
+    this.pcmLength = 0;
+    this.initialized = true;
+  }
+
   /**
    * Initialize AudioWorklet (preferred)
    */
@@ -96,20 +131,32 @@ export class Sound {
   }
 
   /**
-   * Update speaker state
+   * Update speaker state, optionally mixing in the tape EAR level (null when
+   * no tape is audible)
    */
-  updateSpeaker(state, tstates) {
-    if (!this.initialized || !this.audioContext) return;
+  updateSpeaker(state, tstates, tapeLevel = null) {
+    if (!this.initialized || (!this.audioContext && !this.pcm)) return;
 
-    // Calculate number of samples for this t-state period
-    // ZX Spectrum runs at 3.5MHz, 69888 T-states per frame at 50Hz
-    const clockSpeed = 3500000;
-    const samplesPerTState = this.sampleRate / clockSpeed;
-    const numSamples = Math.max(1, Math.floor(tstates * samplesPerTState));
+    // Calculate number of samples for this t-state period, keeping the
+    // fractional part so frequent short updates don't drift the pitch
+    const samplesPerTState = this.sampleRate / this.clockSpeed;
+    this.sampleRemainder += tstates * samplesPerTState;
+    const numSamples = Math.floor(this.sampleRemainder);
+    this.sampleRemainder -= numSamples;
 
-    const value = state ? 0.5 : -0.5;
+    let value = state ? 0.5 : -0.5;
+    if (tapeLevel !== null) {
+      value += (tapeLevel ? 0.5 : -0.5) * this.tapeVolume;
+    }
+    this.lastState = state;
 
-    if (this.workletNode) {
+    if (numSamples === 0) return;
+
+    if (this.ay) {
+      this.pushSamples(this.mixAY(value, numSamples));
+    } else if (this.pcm) {
+      this.captureSamples(new Float32Array(numSamples).fill(value));
+    } else if (this.workletNode) {
       // Send to AudioWorklet
       this.workletNode.port.postMessage({
         type: 'sample',
@@ -124,8 +171,56 @@ export class Sound {
         }
       }
     }
+  }
 
-    this.lastState = state;
+  /**
+   * Mix a run of constant beeper samples with AY output
+   */
+  mixAY(beeperValue, numSamples) {
+    const samples = new Float32Array(numSamples);
+    for (let i = 0; i < numSamples; i++) {
+      samples[i] = beeperValue + this.ay.nextSample() * this.ayVolume;
+    }
+    return samples;
+  }
+
+  /**
+   * Send individual samples to the active output path
+   */
+  pushSamples(samples) {
+    if (this.pcm) {
+      this.captureSamples(samples);
+    } else if (this.workletNode) {
+      this.workletNode.port.postMessage({ type: 'samples', samples }, [samples.buffer]);
+    } else if (this.scriptProcessor) {
+      for (let i = 0; i < samples.length && this.buffer.length < this.maxBufferSize; i++) {
+        this.buffer.push(samples[i]);
+      }
+    }
+  }
+
+  /**
+   * Append samples to the capture buffer, growing it as needed
+   */
+  captureSamples(samples) {
+    if (this.pcmLength + samples.length > this.pcm.length) {
+      const grown = new Float32Array(Math.max(this.pcm.length * 2, this.pcmLength + samples.length));
+      grown.set(this.pcm.subarray(0, this.pcmLength));
+      this.pcm = grown;
+    }
+    this.pcm.set(samples, this.pcmLength);
+    this.pcmLength += samples.length;
+  }
+
+  /**
+   * Return the captured samples (mono, sampleRate Hz, before volume) and empty the buffer
+   * @returns {Float32Array}
+   */
+  takeSamples() {
+    if (!this.pcm) return new Float32Array(0);
+    const samples = this.pcm.slice(0, this.pcmLength);
+    this.pcmLength = 0;
+    return samples;
   }
 
   /**
@@ -138,6 +233,13 @@ export class Sound {
     }
   }
 
+  /**
+   * Set tape loading noise volume relative to the beeper (0.0 to 1.0)
+   */
+  setTapeVolume(volume) {
+    this.tapeVolume = Math.max(0, Math.min(1, volume));
+  }
+
   /**
    * Set muted state
    */
@@ -168,6 +270,8 @@ export class Sound {
     this.buffer = [];
     this.lastState = false;
     this.lastValue = 0;
+    this.sampleRemainder = 0;
+    this.pcmLength = 0;
 
     if (this.workletNode) {
       this.workletNode.port.postMessage({ type: 'reset' });
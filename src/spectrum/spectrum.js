@@ -1,6 +1,10 @@
 /**
- * ZX Spectrum 48K Emulator
+ * ZX Spectrum 48K/128K Emulator
  * Main emulator class coordinating all components
+ *
+ * Without a canvas the emulator runs headless (e.g. in Node): no DOM, Web Audio or
+ * requestAnimationFrame. The caller supplies the ROM data and drives it with
+ * runFrames()/runUntil(), reading the RGBA frame buffer and the captured PCM samples.
  */
 import { Z80CPU } from '../core/cpu.js';
 import { InstructionDecoder } from '../decoder/decoder.js';
@@ -9,36 +13,77 @@ import { ULA } from './ula.js';
 import { Display } from './display.js';
 import { Sound } from './sound.js';
 import { Tape } from './tape.js';
+import { TapeRecorder } from './tape-recorder.js';
+import { TapeWriter } from './tape-writer.js';
 import { Snapshot } from './snapshot.js';
 import { TouchKeyboard } from './touch-keyboard.js';
 import { TraceAnalyzer } from '../debug/trace-analyzer.js';
+import { getMachine } from './machines.js';
+import { AY } from './ay.js';
+import { Joystick } from './joystick.js';
 
 export class ZXSpectrum {
   constructor(canvas, options = {}) {
-    this.canvas = canvas;
+    this.canvas = canvas || null;
+    this.headless = !canvas;
+    this.machine = getMachine(options.machine);
     this.options = {
-      rom: options.rom || 'https://cdn.jsdelivr.net/gh/gasman/zxbasic@master/roms/48.rom',
-      autoStart: options.autoStart !== false,
+      machine: this.machine.id,
+      // The 128K needs both ROMs (32KB) supplied by the caller; headless mode never fetches one
+      rom: options.rom || (this.machine.id === '48k' && !this.headless ? 'https://cdn.jsdelivr.net/gh/gasman/zxbasic@master/roms/48.rom' : null),
+      autoStart: options.autoStart !== undefined ? options.autoStart : !this.headless,
       sound: options.sound !== false,
       useAudioWorklet: options.useAudioWorklet !== false,
       scale: options.scale || 'auto',
-      handleKeyboard: options.handleKeyboard !== false,
-      touchKeyboard: options.touchKeyboard || 'auto',
+      handleKeyboard: options.handleKeyboard !== undefined ? options.handleKeyboard : !this.headless,
+      touchKeyboard: options.touchKeyboard || (this.headless ? false : 'auto'),
       fps: options.fps || 50,
+      // AY-3-8912: built into the 128K, optional add-on for the 48K
+      ay: options.ay !== undefined ? options.ay : this.machine.ay,
+      // Memory and I/O contention, applied per M-cycle as the ULA fetches the screen
+      contention: options.contention !== false,
+      // Byte on the data bus when an interrupt is acknowledged (low byte of the IM 2 vector)
+      interruptDataBus: options.interruptDataBus !== undefined ? options.interruptDataBus : 0xff,
+      joystick: options.joystick || 'none',
+      joystickMapping: options.joystickMapping || null,
+      // Load standard tape blocks instantly by trapping the ROM loader
+      flashLoad: options.flashLoad || false,
+      // Start/pause the tape and turbo mode when a loader polls the EAR bit
+      autoTape: options.autoTape || false,
+      onTapeEvent: options.onTapeEvent || null,
+      // Choose a TZX select block (0x28) option; returns an index or a promise for one
+      onTapeSelect: options.onTapeSelect || null,
+      // WAV tape edge detection: { threshold, hysteresis, invert }
+      wav: options.wav || {},
+      // Tape loading noise mixed into the speaker output (0.0 to 1.0)
+      tapeVolume: options.tapeVolume !== undefined ? options.tapeVolume : 0.25,
+      // Silence the tape loading noise while turbo mode is on
+      muteTapeInTurbo: options.muteTapeInTurbo !== false,
       onReady: options.onReady || null,
       onError: options.onError || null
     };
 
     // Initialize components
     this.cpu = new Z80CPU();
-    this.memory = new Memory();
-    this.ula = new ULA();
-    this.display = new Display(canvas);
-    this.sound = this.options.sound ? new Sound(this.options.useAudioWorklet) : null;
+    this.memory = new Memory(this.machine.id);
+    this.ula = new ULA(this.machine.id);
+    this.display = new Display(this.canvas);
+    this.sound = this.options.sound
+      ? new Sound(this.options.useAudioWorklet, this.machine.clockSpeed)
+      : null;
+    if (this.sound && this.headless) this.sound.initCapture();
+    if (this.sound) this.sound.setTapeVolume(this.options.tapeVolume);
+    this.ay = this.options.ay ? new AY(this.machine.ayClock) : null;
+    this.joystick = new Joystick(this.options.joystick);
     this.decoder = new InstructionDecoder(this.cpu);
 
     // Initialize tape with reference to this spectrum object
     this.tape = new Tape(this);
+    this.tapeRecorder = new TapeRecorder(this.machine.clockSpeed);
+    this.tape.autoMode = this.options.autoTape;
+    this.tape.onTapeEvent = (event) => this.handleTapeEvent(event);
+    this.tape.onTapeSelect = this.options.onTapeSelect;
+    Object.assign(this.tape.wavOptions, this.options.wav);
     this.touchKeyboard = null;
 
     // Connect CPU to memory and I/O
@@ -48,13 +93,53 @@ export class ZXSpectrum {
     // Connect ULA to CPU for accurate T-state tracking
     this.ula.setCPU(this.cpu);
 
+    // Connect ULA to memory for 128K paging
+    this.ula.setMemory(this.memory);
+
+    // The ULA times contended memory and I/O cycles
+    this.memory.setULA(this.ula);
+    if (this.options.contention) {
+      this.cpu.contention = this.ula;
+    }
+    this.cpu.interruptDataBus = this.options.interruptDataBus & 0xff;
+
+    // Connect tape recorder to the MIC output, and the tape to EAR reads
+    this.ula.setRecorder(this.tapeRecorder);
+    this.ula.setTape(this.tape);
+
+    // Connect joystick interface (Kempston port or Sinclair/Cursor keys)
+    this.ula.setJoystick(this.joystick);
+    if (this.options.joystickMapping) {
+      this.joystick.setMapping(this.options.joystickMapping);
+    }
+
+    // Connect AY to its ports and mix it into the sound output
+    if (this.ay) {
+      this.ula.setAY(this.ay);
+      if (this.sound) {
+        this.sound.setAY(this.ay);
+      }
+      // Render audio up to the current T-state before the registers change
+      this.ay.onBeforeWrite = () => this.flushSound();
+    }
+
     // Emulation state
     this.running = false;
     this.turboMode = false;
+    this.flashLoad = this.options.flashLoad;
+    this.autoTapeTurbo = true; // Auto-tape also switches turbo mode
     this.frameId = null;
     this.lastFrameTime = 0;
     this.frameInterval = 1000 / this.options.fps;
-    this.tstatesPerFrame = 69888; // 3.5MHz CPU at 50Hz
+    this.soundEnabled = false; // Sound is generated for the current frame
+    this.soundTStateMark = 0; // T-state up to which sound has been generated
+    this.lastSpeakerState = false;
+    this.lastTapeLevel = null; // Audible tape EAR level, null when the tape is silent
+    this.muteTapeInTurbo = this.options.muteTapeInTurbo;
+    this.tstatesPerFrame = this.machine.tstatesPerFrame; // 69888 (48K) or 70908 (128K) at 50Hz
+    this.frameTState = 0; // Absolute T-state at which the current frame started
+    this.frameInProgress = false; // runUntil() stopped part-way through the current frame
+    this.renderFrame = true; // Render the current frame when it completes
 
     // Stats
     this.stats = {
@@ -81,7 +166,27 @@ export class ZXSpectrum {
     this.display.setScale(this.options.scale);
 
     // Initialize
-    this.init();
+    if (this.headless) {
+      this.initHeadless();
+    } else {
+      this.init();
+    }
+  }
+
+  /**
+   * Initialize without a browser: the ROM must be supplied as data, and the
+   * emulator is ready as soon as the constructor returns
+   */
+  initHeadless() {
+    if (!this.options.rom || typeof this.options.rom === 'string') {
+      throw new Error('Headless mode requires the ROM data (options.rom as a Uint8Array or ArrayBuffer)');
+    }
+    this.loadROM(this.options.rom);
+    this.reset();
+
+    if (this.options.onReady) {
+      this.options.onReady(this);
+    }
   }
 
   /**
@@ -90,7 +195,9 @@ export class ZXSpectrum {
   async init() {
     try {
       // Load ROM
-      if (typeof this.options.rom === 'string') {
+      if (!this.options.rom) {
+        throw new Error(`${this.machine.name} requires a ROM (options.rom)`);
+      } else if (typeof this.options.rom === 'string') {
         await this.loadROMFromURL(this.options.rom);
       } else {
         this.loadROM(this.options.rom);
@@ -153,8 +260,11 @@ export class ZXSpectrum {
 
     // Reset all components
     this.cpu.reset();
+    this.frameTState = 0;
+    this.frameInProgress = false;
     this.memory.reset();
     this.ula.reset();
+    if (this.ay) this.ay.reset();
     this.display.clear();
     if (this.sound) this.sound.reset();
     this.tape.reset();
@@ -205,6 +315,9 @@ export class ZXSpectrum {
     const elapsed = now - this.lastFrameTime;
 
     if (this.turboMode || elapsed >= this.frameInterval) {
+      // Read gamepad once per emulated batch of frames
+      this.joystick.pollGamepad();
+
       // In turbo mode, execute multiple frames per animation frame
       const framesToExecute = this.turboMode ? 10 : 1;
 
@@ -236,58 +349,163 @@ export class ZXSpectrum {
   }
 
   /**
-   * Execute one frame
+   * Execute one frame, or the rest of a frame that runUntil() stopped part-way through
    * @param {boolean} render - Whether to render display (false in turbo mode)
+   * @param {Function} until - Optional predicate checked after each instruction; stops the frame early
+   * @returns {boolean} true if the frame completed, false if `until` stopped it
    */
-  executeFrame(render = true) {
-    const targetTStates = this.cpu.tstates + this.tstatesPerFrame;
-    let lastSpeakerState = this.ula.getSpeakerState();
-    let tStatesSinceLastSound = 0;
-
-    // Reset border history for new frame
-    this.ula.resetFrameTStates();
+  executeFrame(render = true, until = null) {
+    if (!this.frameInProgress) {
+      this.beginFrame(render);
+    }
+    const targetTStates = this.frameTState + this.tstatesPerFrame;
 
     while (this.cpu.tstates < targetTStates) {
-      const tStatesBefore = this.cpu.tstates;
+      // INT is held for the first T-states of the frame and sampled at each instruction boundary
+      if (this.ula.checkInterrupt(this.cpu.tstates)) {
+        this.cpu.interrupt();
+      }
+
+      // Flash-load standard blocks at the ROM LD-BYTES entry point
+      if (this.flashLoad && this.cpu.pc === this.tape.ROM_LD_BYTES && this.tape.flashLoad()) {
+        continue;
+      }
 
       // Execute one instruction
       this.decoder.executeInstruction();
 
-      const tStatesExecuted = this.cpu.tstates - tStatesBefore;
-
       // Update tape and set EAR bit
       const tapeInputBit = this.tape.update(this.cpu.tstates);
       this.ula.setTapeInput(tapeInputBit);
 
-      // Update sound - only when state changes and rendering is enabled
-      if (this.sound && render) {
-        const speakerState = this.ula.getSpeakerState();
-        tStatesSinceLastSound += tStatesExecuted;
+      // Update sound - only when the speaker or audible tape level changes
+      if (this.soundEnabled && (this.ula.getSpeakerState() !== this.lastSpeakerState ||
+          this.getTapeSoundLevel() !== this.lastTapeLevel)) {
+        this.flushSound();
+      }
 
-        if (speakerState !== lastSpeakerState) {
-          this.sound.updateSpeaker(speakerState, tStatesSinceLastSound);
-          lastSpeakerState = speakerState;
-          tStatesSinceLastSound = 0;
-        }
+      if (until && until(this)) {
+        return false;
       }
     }
 
     // Send any remaining t-states at end of frame
-    if (this.sound && render && tStatesSinceLastSound > 0) {
-      this.sound.updateSpeaker(lastSpeakerState, tStatesSinceLastSound);
-    }
-
-    // Generate interrupt (50Hz)
-    this.cpu.interrupt();
+    this.flushSound();
+    this.soundEnabled = false;
+    this.frameTState = targetTStates;
+    this.frameInProgress = false;
 
     // Note: We don't reset tstates here because tape timing depends on absolute cycles
     // The original zx-generation implementation doesn't reset cycles either
     // this.cpu.tstates -= this.tstatesPerFrame;
 
     // Render display only if not in turbo mode
-    if (render) {
+    if (this.renderFrame) {
       this.display.render(this.memory, this.ula);
     }
+    return true;
+  }
+
+  /**
+   * Set up the frame starting at frameTState
+   */
+  beginFrame(render) {
+    // Frames are exactly tstatesPerFrame apart: T-states an instruction runs past
+    // the end of one frame count towards the next. Resync if the CPU has run ahead.
+    if (this.cpu.tstates - this.frameTState >= this.tstatesPerFrame) {
+      this.frameTState = this.cpu.tstates;
+    }
+
+    // Reset border history for new frame
+    this.ula.resetFrameTStates(this.frameTState);
+
+    // Sound is only generated when rendering is enabled
+    this.renderFrame = render;
+    this.soundEnabled = this.sound !== null && render;
+    this.soundTStateMark = this.cpu.tstates;
+    this.lastSpeakerState = this.ula.getSpeakerState();
+    this.lastTapeLevel = this.getTapeSoundLevel();
+    this.frameInProgress = true;
+  }
+
+  /**
+   * Run whole frames without the animation frame loop (headless use)
+   * @param {number} count - Number of frames
+   */
+  runFrames(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.executeFrame(true);
+    }
+  }
+
+  /**
+   * Run until predicate(spectrum) returns true after an instruction, or for at most
+   * maxFrames frames. The next run continues from the same point in the frame.
+   * @param {Function} predicate - Called after every instruction
+   * @param {number} maxFrames - Frame limit
+   * @returns {boolean} true if the predicate stopped the run
+   */
+  runUntil(predicate, maxFrames = Infinity) {
+    for (let frames = 0; frames < maxFrames; frames++) {
+      if (!this.executeFrame(true, predicate)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get the RGBA frame buffer of the last rendered frame (border included)
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  getFramebuffer() {
+    return {
+      width: this.display.totalWidth,
+      height: this.display.totalHeight,
+      data: this.display.framebuffer
+    };
+  }
+
+  /**
+   * Take the audio captured in headless mode since the last call
+   * @returns {Float32Array} Mono samples at sound.sampleRate, -1.0 to 1.0
+   */
+  takeAudioSamples() {
+    return this.sound ? this.sound.takeSamples() : new Float32Array(0);
+  }
+
+  /**
+   * Get T-states elapsed since the start of the current frame
+   */
+  getFrameTStates() {
+    return this.cpu.tstates - this.frameTState;
+  }
+
+  /**
+   * Generate sound for the T-states since the last update with the previous
+   * speaker and tape levels, then latch the current levels
+   */
+  flushSound() {
+    if (!this.soundEnabled) return;
+
+    const elapsed = this.cpu.tstates - this.soundTStateMark;
+    if (elapsed > 0) {
+      this.sound.updateSpeaker(this.lastSpeakerState, elapsed, this.lastTapeLevel);
+    }
+
+    this.soundTStateMark = this.cpu.tstates;
+    this.lastSpeakerState = this.ula.getSpeakerState();
+    this.lastTapeLevel = this.getTapeSoundLevel();
+  }
+
+  /**
+   * Get the tape EAR level heard through the speaker, or null while the tape
+   * is stopped, paused or muted by turbo mode
+   */
+  getTapeSoundLevel() {
+    if (!this.tape.playing || this.tape.paused) return null;
+    if (this.turboMode && this.muteTapeInTurbo) return null;
+    return this.ula.earBit;
   }
 
   /**
@@ -297,6 +515,46 @@ export class ZXSpectrum {
     this.turboMode = enabled;
   }
 
+  /**
+   * Set flash loading (standard blocks load instantly through the ROM loader trap;
+   * custom loaders still use the real-time signal)
+   */
+  setFlashLoad(enabled) {
+    this.flashLoad = enabled;
+  }
+
+  /**
+   * Set automatic tape control: the tape plays while a loader polls the EAR bit
+   * and pauses when it stops
+   * @param {boolean} enabled - Enable loader detection
+   * @param {boolean} turbo - Also switch turbo mode on and off with the tape
+   */
+  setAutoTape(enabled, turbo = true) {
+    this.tape.autoMode = enabled;
+    this.autoTapeTurbo = turbo;
+
+    if (!enabled && turbo) {
+      this.setTurboMode(false);
+    }
+  }
+
+  /**
+   * Handle tape start/stop events (auto turbo, then the onTapeEvent callback)
+   */
+  handleTapeEvent(event) {
+    if (this.tape.autoMode && this.autoTapeTurbo) {
+      if (event.type === 'play' && event.auto) {
+        this.setTurboMode(true);
+      } else if (event.type !== 'play') {
+        this.setTurboMode(false);
+      }
+    }
+
+    if (this.options.onTapeEvent) {
+      this.options.onTapeEvent(event);
+    }
+  }
+
   /**
    * Load tape file
    */
@@ -307,6 +565,12 @@ export class ZXSpectrum {
       this.tape.loadTAP(data);
     } else if (format === 'TZX') {
       this.tape.loadTZX(data);
+    } else if (format === 'PZX') {
+      this.tape.loadPZX(data);
+    } else if (format === 'CSW') {
+      this.tape.loadCSW(data);
+    } else if (format === 'WAV') {
+      this.tape.loadWAV(data);
     } else {
       throw new Error('Unknown tape format');
     }
@@ -340,6 +604,21 @@ export class ZXSpectrum {
       return 'TZX';
     }
 
+    // PZX starts with the "PZXT" header chunk
+    if (Tape.isPZX(data)) {
+      return 'PZX';
+    }
+
+    // CSW has signature "Compressed Square Wave"
+    if (Tape.isCSW(data)) {
+      return 'CSW';
+    }
+
+    // WAV has "RIFF" ... "WAVE"
+    if (Tape.isWAV(data)) {
+      return 'WAV';
+    }
+
     // Assume TAP
     return 'TAP';
   }
@@ -380,13 +659,80 @@ export class ZXSpectrum {
   }
 
   /**
-   * Load snapshot
+   * Get the tape catalog (block types, durations, decoded headers)
+   */
+  getTapeCatalog() {
+    return this.tape.getCatalog();
+  }
+
+  /**
+   * Move the tape to a block
+   */
+  seekTape(index) {
+    this.tape.seekToBlock(index);
+  }
+
+  /**
+   * Move the tape to a time in seconds (e.g. from a progress bar)
+   */
+  seekTapeToTime(seconds) {
+    this.tape.seekToTime(seconds);
+  }
+
+  /**
+   * Export the loaded tape
+   * @param {string} format - 'tzx', 'tap' (standard blocks only) or 'wav' (rendered audio)
+   * @param {Object} options - exportWAV options for 'wav'
+   * @returns {Uint8Array}
+   */
+  exportTape(format = 'tzx', options = {}) {
+    format = format.toLowerCase();
+    if (format === 'wav') {
+      return this.tape.exportWAV(options);
+    }
+
+    const writer = TapeWriter.fromTape(this.tape);
+    return format === 'tap' ? writer.toTAP() : writer.toTZX();
+  }
+
+  /**
+   * Start recording the MIC output (e.g. before SAVE "name")
+   */
+  startRecording() {
+    this.tapeRecorder.start(this.cpu.tstates);
+  }
+
+  /**
+   * Stop recording
+   * @param {string} format - 'auto' (TAP unless non-standard blocks were saved), 'tap' or 'tzx'
+   * @returns {Uint8Array} Recorded tape file
+   */
+  stopRecording(format = 'auto') {
+    return this.tapeRecorder.stop(this.cpu.tstates, format);
+  }
+
+  /**
+   * Check whether the tape recorder is running
+   */
+  isRecording() {
+    return this.tapeRecorder.recording;
+  }
+
+  /**
+   * Load snapshot (format detected from file size and header)
    */
   loadSnapshot(data) {
-    const result = Snapshot.loadZ80(data, this.cpu, this.memory);
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
 
-    if (result.borderColor !== undefined) {
-      this.ula.borderColor = result.borderColor;
+    const format = Snapshot.detectFormat(data);
+    if (format === 'SZX') {
+      this.loadSZXSnapshot(data);
+    } else if (format === 'SNA') {
+      this.loadSNASnapshot(data);
+    } else {
+      this.loadZ80Snapshot(data);
     }
   }
 
@@ -394,14 +740,78 @@ export class ZXSpectrum {
    * Load Z80 snapshot from file
    */
   loadZ80Snapshot(data) {
-    this.loadSnapshot(data);
+    const result = Snapshot.loadZ80(data, this.cpu, this.memory);
+    this.applySnapshotState(result);
+  }
+
+  /**
+   * Load SNA snapshot from file
+   */
+  loadSNASnapshot(data) {
+    const result = Snapshot.loadSNA(data, this.cpu, this.memory);
+    this.applySnapshotState(result);
+  }
+
+  /**
+   * Load SZX snapshot from file
+   */
+  loadSZXSnapshot(data) {
+    const result = Snapshot.loadSZX(data, this.cpu, this.memory);
+    this.applySnapshotState(result);
+  }
+
+  /**
+   * Apply machine state returned by a snapshot loader
+   */
+  applySnapshotState(result) {
+    this.ula.borderColor = result.borderColor;
+
+    // Last port 0xFE write: MIC and speaker bits drive the beeper
+    if (result.portFE !== undefined && result.portFE !== null) {
+      this.ula.speakerState = (result.portFE & 0x18) !== 0;
+    }
+
+    // Resume at the saved position within the frame
+    this.frameTState = this.cpu.tstates - (result.tstates || 0);
+    this.frameInProgress = false;
+
+    if (result.ay && this.ay) {
+      this.ay.setState(result.ay);
+    }
+
+    // Switch interface only if the user has a joystick enabled
+    if (result.joystick && this.joystick.type !== 'none') {
+      this.joystick.setType(result.joystick);
+    }
   }
 
   /**
    * Save snapshot
+   * @param {string} format - 'z80' (version 3), 'sna' or 'szx'
    */
-  saveSnapshot() {
-    return Snapshot.saveZ80(this.cpu, this.memory);
+  saveSnapshot(format = 'z80') {
+    format = format.toLowerCase();
+
+    if (format === 'sna') {
+      return Snapshot.saveSNA(this.cpu, this.memory, this.ula.borderColor);
+    }
+
+    if (format === 'szx') {
+      return Snapshot.saveSZX(this.cpu, this.memory, {
+        borderColor: this.ula.borderColor,
+        tstates: this.getFrameTStates(),
+        ay: this.ay,
+        joystick: this.joystick.type,
+        speaker: this.ula.speakerState
+      });
+    }
+
+    return Snapshot.saveZ80(this.cpu, this.memory, {
+      borderColor: this.ula.borderColor,
+      tstates: this.getFrameTStates(),
+      ay: this.ay,
+      joystick: this.joystick.type
+    });
   }
 
   /**
@@ -409,6 +819,12 @@ export class ZXSpectrum {
    */
   setupKeyboard() {
     window.addEventListener('keydown', (e) => {
+      // Joystick keys take priority over the Spectrum keyboard
+      if (this.joystick.handleKey(e.code, true)) {
+        e.preventDefault();
+        return;
+      }
+
       // Prevent default for keys that ZX Spectrum uses
       if (this.ula.keyMatrix[e.code]) {
         e.preventDefault();
@@ -431,6 +847,11 @@ export class ZXSpectrum {
     });
 
     window.addEventListener('keyup', (e) => {
+      if (this.joystick.handleKey(e.code, false)) {
+        e.preventDefault();
+        return;
+      }
+
       if (this.ula.keyMatrix[e.code]) {
         e.preventDefault();
 
@@ -636,6 +1057,19 @@ export class ZXSpectrum {
     }
   }
 
+  /**
+   * Select joystick interface and optional key/gamepad mapping
+   * @param {string} type - 'none', 'kempston', 'sinclair1', 'sinclair2' or 'cursor'
+   * @param {Object} mapping - { up, down, left, right, fire } key codes, gamepad index
+   */
+  setJoystick(type, mapping = null) {
+    this.joystick.setType(type);
+    this.joystick.reset();
+    if (mapping) {
+      this.joystick.setMapping(mapping);
+    }
+  }
+
   /**
    * Poke memory
    */
@@ -659,6 +1093,22 @@ export class ZXSpectrum {
     }
   }
 
+  /**
+   * Set tape loading noise volume (0.0 to 1.0)
+   */
+  setTapeVolume(volume) {
+    if (this.sound) {
+      this.sound.setTapeVolume(volume);
+    }
+  }
+
+  /**
+   * Set whether tape loading noise is silenced in turbo mode
+   */
+  setMuteTapeInTurbo(muted) {
+    this.muteTapeInTurbo = muted;
+  }
+
   /**
    * Set muted
    */
@@ -676,6 +1126,8 @@ export class ZXSpectrum {
       fps: this.stats.fps,
       running: this.running,
       turboMode: this.turboMode,
+      flashLoad: this.flashLoad,
+      machine: this.machine.id,
       pc: this.cpu.pc,
       tstates: this.cpu.tstates
     };
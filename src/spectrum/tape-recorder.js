@@ -0,0 +1,257 @@
+/**
+ * ZX Spectrum tape recorder
+ * Captures MIC output edges (port 0xFE bit 3) with T-state timestamps and decodes
+ * them into TAP blocks, falling back to TZX direct recording for non-standard signals
+ */
+
+// ROM SA-BYTES pulse lengths (T-states)
+const PILOT_PULSE = 2168;
+const SYNC1_PULSE = 667;
+const SYNC2_PULSE = 735;
+const ZERO_PULSE = 855;
+const ONE_PULSE = 1710;
+
+// Pulse length tolerance when matching ROM timings (fraction of the nominal length)
+const TOLERANCE = 0.2;
+
+// Minimum pilot pulses for a block to be recognised as ROM-saved
+const MIN_PILOT_PULSES = 256;
+
+// Silence longer than this separates blocks (T-states)
+const BLOCK_GAP = 350000;
+
+// Direct recording sample period: 79 T-states is ~44.1kHz at 3.5MHz
+const DIRECT_SAMPLE_TSTATES = 79;
+
+// TZX block IDs written by the recorder
+const TZX_STANDARD = 0x10;
+const TZX_DIRECT_RECORDING = 0x15;
+
+export class TapeRecorder {
+  constructor(clockSpeed = 3500000) {
+    this.clockSpeed = clockSpeed;
+    this.recording = false;
+    this.edges = []; // { tstates, level }
+    this.startTState = 0;
+    this.micLevel = 0;
+  }
+
+  /**
+   * Start recording
+   * @param {number} tstates - Current CPU T-state
+   */
+  start(tstates) {
+    this.recording = true;
+    this.edges = [];
+    this.startTState = tstates;
+  }
+
+  /**
+   * Record the MIC level written to port 0xFE (only changes are stored)
+   */
+  recordEdge(tstates, level) {
+    level = level ? 1 : 0;
+    if (level === this.micLevel) return;
+
+    this.micLevel = level;
+    if (this.recording) {
+      this.edges.push({ tstates, level });
+    }
+  }
+
+  /**
+   * Stop recording and encode the captured signal
+   * @param {number} tstates - Current CPU T-state
+   * @param {string} format - 'auto' (TAP if every block is standard), 'tap' or 'tzx'
+   * @returns {Uint8Array} TAP or TZX file
+   */
+  stop(tstates, format = 'auto') {
+    this.recording = false;
+
+    const blocks = this.decodeBlocks(this.edges, tstates);
+    this.edges = [];
+
+    format = format.toLowerCase();
+    const allStandard = blocks.every((block) => block.type === TZX_STANDARD);
+
+    if (format === 'tap' || (format === 'auto' && allStandard)) {
+      return this.encodeTAP(blocks.filter((block) => block.type === TZX_STANDARD));
+    }
+
+    return this.encodeTZX(blocks);
+  }
+
+  /**
+   * Split edges into blocks at long silences and decode each one
+   */
+  decodeBlocks(edges, endTState) {
+    const segments = [];
+    let current = [];
+
+    for (const edge of edges) {
+      const previous = current[current.length - 1];
+      if (previous && edge.tstates - previous.tstates > BLOCK_GAP) {
+        segments.push(current);
+        current = [];
+      }
+      current.push(edge);
+    }
+    if (current.length > 0) {
+      segments.push(current);
+    }
+
+    const blocks = [];
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const last = segment[segment.length - 1].tstates;
+      const next = i + 1 < segments.length ? segments[i + 1][0].tstates : Math.max(endTState, last);
+      const pause = Math.min(0xffff, Math.round((next - last) * 1000 / this.clockSpeed));
+
+      const pulses = [];
+      for (let j = 1; j < segment.length; j++) {
+        pulses.push(segment[j].tstates - segment[j - 1].tstates);
+      }
+
+      const data = this.decodeStandard(pulses);
+      if (data) {
+        blocks.push({ type: TZX_STANDARD, data, pause });
+      } else if (segment.length > 1) {
+        blocks.push({ type: TZX_DIRECT_RECORDING, samples: this.sampleEdges(segment), pause });
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Decode pulses produced by the ROM SA-BYTES routine
+   * @returns {Uint8Array|null} Block data (flag, payload, checksum) or null if non-standard
+   */
+  decodeStandard(pulses) {
+    const near = (pulse, nominal) => Math.abs(pulse - nominal) <= nominal * TOLERANCE;
+    let i = 0;
+
+    // Pilot tone (the first pulse may be cut short by the start of the recording)
+    if (pulses.length > 0 && pulses[0] < PILOT_PULSE) i++;
+    const pilotStart = i;
+    while (i < pulses.length && near(pulses[i], PILOT_PULSE)) i++;
+    if (i - pilotStart < MIN_PILOT_PULSES) return null;
+
+    if (!near(pulses[i], SYNC1_PULSE) || !near(pulses[i + 1], SYNC2_PULSE)) return null;
+    i += 2;
+
+    // Data bits: two equal pulses each, most significant bit first
+    const bytes = [];
+    let byte = 0;
+    let bitCount = 0;
+
+    while (i + 1 < pulses.length) {
+      let bit;
+      if (near(pulses[i], ZERO_PULSE) && near(pulses[i + 1], ZERO_PULSE)) {
+        bit = 0;
+      } else if (near(pulses[i], ONE_PULSE) && near(pulses[i + 1], ONE_PULSE)) {
+        bit = 1;
+      } else {
+        break;
+      }
+
+      byte = (byte << 1) | bit;
+      if (++bitCount === 8) {
+        bytes.push(byte);
+        byte = 0;
+        bitCount = 0;
+      }
+      i += 2;
+    }
+
+    // Only a final level change (border restore) may follow the last bit
+    if (bitCount !== 0 || bytes.length === 0 || pulses.length - i > 1) return null;
+
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * Sample edge levels at the direct recording rate
+   * @returns {{ data: Uint8Array, usedBits: number }}
+   */
+  sampleEdges(segment) {
+    const start = segment[0].tstates;
+    const end = segment[segment.length - 1].tstates + DIRECT_SAMPLE_TSTATES;
+    const sampleCount = Math.ceil((end - start) / DIRECT_SAMPLE_TSTATES);
+    const data = new Uint8Array(Math.ceil(sampleCount / 8));
+
+    let edgeIndex = 0;
+    let level = segment[0].level;
+
+    for (let sample = 0; sample < sampleCount; sample++) {
+      const time = start + sample * DIRECT_SAMPLE_TSTATES;
+      while (edgeIndex < segment.length && segment[edgeIndex].tstates <= time) {
+        level = segment[edgeIndex++].level;
+      }
+      if (level) {
+        data[sample >> 3] |= 0x80 >> (sample & 7);
+      }
+    }
+
+    return { data, usedBits: ((sampleCount - 1) & 7) + 1 };
+  }
+
+  /**
+   * Encode standard blocks as a TAP file
+   */
+  encodeTAP(blocks) {
+    const size = blocks.reduce((sum, block) => sum + 2 + block.data.length, 0);
+    const result = new Uint8Array(size);
+    let offset = 0;
+
+    for (const block of blocks) {
+      result[offset] = block.data.length & 0xff;
+      result[offset + 1] = (block.data.length >> 8) & 0xff;
+      result.set(block.data, offset + 2);
+      offset += 2 + block.data.length;
+    }
+
+    return result;
+  }
+
+  /**
+   * Encode blocks as a TZX file (0x10 standard and 0x15 direct recording blocks)
+   */
+  encodeTZX(blocks) {
+    const parts = [new Uint8Array([0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20])]; // "ZXTape!" v1.20
+
+    for (const block of blocks) {
+      if (block.type === TZX_STANDARD) {
+        const header = new Uint8Array(5);
+        header[0] = TZX_STANDARD;
+        header[1] = block.pause & 0xff;
+        header[2] = (block.pause >> 8) & 0xff;
+        header[3] = block.data.length & 0xff;
+        header[4] = (block.data.length >> 8) & 0xff;
+        parts.push(header, block.data);
+      } else {
+        const { data, usedBits } = block.samples;
+        const header = new Uint8Array(9);
+        header[0] = TZX_DIRECT_RECORDING;
+        header[1] = DIRECT_SAMPLE_TSTATES & 0xff;
+        header[2] = DIRECT_SAMPLE_TSTATES >> 8;
+        header[3] = block.pause & 0xff;
+        header[4] = (block.pause >> 8) & 0xff;
+        header[5] = usedBits;
+        header[6] = data.length & 0xff;
+        header[7] = (data.length >> 8) & 0xff;
+        header[8] = (data.length >> 16) & 0xff;
+        parts.push(header, data);
+      }
+    }
+
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      result.set(part, offset);
+      offset += part.length;
+    }
+
+    return result;
+  }
+}
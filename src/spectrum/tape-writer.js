@@ -0,0 +1,527 @@
+/**
+ * ZX Spectrum tape image writer
+ * Builds TAP and TZX files from ROM-style header/data pairs, raw blocks, or the
+ * blocks of a parsed tape (Tape.blocks), using the same block objects as Tape
+ */
+
+// ROM timings (T-states)
+const PILOT_PULSE = 2168;
+const SYNC1_PULSE = 667;
+const SYNC2_PULSE = 735;
+const ZERO_PULSE = 855;
+const ONE_PULSE = 1710;
+const PILOT_PULSES_HEADER = 8063;
+const PILOT_PULSES_DATA = 3223;
+
+// Default gap after each block (ms)
+const DEFAULT_PAUSE = 1000;
+
+// CPU clock used to convert CSW pulses back to samples
+const CLOCK_SPEED = 3500000;
+
+// Header types
+const HEADER_PROGRAM = 0;
+const HEADER_CODE = 3;
+
+// TZX block IDs
+const TZX_STANDARD = 0x10;
+const TZX_TURBO = 0x11;
+const TZX_PURE_TONE = 0x12;
+const TZX_PULSE_SEQUENCE = 0x13;
+const TZX_PURE_DATA = 0x14;
+const TZX_DIRECT_RECORDING = 0x15;
+const TZX_CSW = 0x18;
+const TZX_GENERALIZED_DATA = 0x19;
+const TZX_PAUSE = 0x20;
+const TZX_JUMP = 0x23;
+const TZX_LOOP_START = 0x24;
+const TZX_LOOP_END = 0x25;
+const TZX_CALL_SEQUENCE = 0x26;
+const TZX_RETURN = 0x27;
+const TZX_SELECT = 0x28;
+const TZX_STOP_TAPE_48K = 0x2A;
+const TZX_SET_SIGNAL_LEVEL = 0x2B;
+const TZX_TEXT = 0x30;
+const TZX_ARCHIVE_INFO = 0x32;
+const TZX_HARDWARE = 0x33;
+
+export class TapeWriter {
+  constructor(blocks = []) {
+    this.blocks = [...blocks];
+  }
+
+  /**
+   * Start from the blocks of a loaded tape (e.g. to convert TZX back to bytes)
+   * @param {Tape|Array<Object>} tape - Tape instance or its blocks array
+   */
+  static fromTape(tape) {
+    return new TapeWriter(Array.isArray(tape) ? tape : tape.blocks);
+  }
+
+  /**
+   * XOR checksum of a block (flag byte and payload)
+   */
+  static checksum(bytes) {
+    let checksum = 0;
+    for (const byte of bytes) {
+      checksum ^= byte;
+    }
+    return checksum;
+  }
+
+  /**
+   * Add a BASIC program as a header and data block pair
+   * @param {string} name - Up to 10 characters
+   * @param {Uint8Array} program - Tokenised program (and variables) as stored from PROG
+   * @param {Object} options - autostart line (null for none), variablesOffset, pause
+   */
+  addProgram(name, program, { autostart = null, variablesOffset = program.length, pause = DEFAULT_PAUSE } = {}) {
+    const line = autostart === null || autostart === undefined ? 0x8000 : autostart;
+    this.addHeader(HEADER_PROGRAM, name, program.length, line, variablesOffset, pause);
+    return this.addData(0xff, program, { pause });
+  }
+
+  /**
+   * Add a CODE block as a header and data block pair
+   * @param {string} name - Up to 10 characters
+   * @param {Uint8Array} data - Bytes to load
+   * @param {number} start - Load address
+   */
+  addCode(name, data, start, { pause = DEFAULT_PAUSE } = {}) {
+    this.addHeader(HEADER_CODE, name, data.length, start, 0x8000, pause);
+    return this.addData(0xff, data, { pause });
+  }
+
+  /**
+   * Add a 17-byte ROM header block (flag 0x00)
+   */
+  addHeader(type, name, length, param1, param2, pause = DEFAULT_PAUSE) {
+    const header = new Uint8Array(17);
+    header[0] = type;
+    for (let i = 0; i < 10; i++) {
+      header[1 + i] = i < name.length ? name.charCodeAt(i) & 0x7f : 0x20;
+    }
+    header[11] = length & 0xff;
+    header[12] = (length >> 8) & 0xff;
+    header[13] = param1 & 0xff;
+    header[14] = (param1 >> 8) & 0xff;
+    header[15] = param2 & 0xff;
+    header[16] = (param2 >> 8) & 0xff;
+
+    return this.addData(0x00, header, { pause });
+  }
+
+  /**
+   * Add a standard speed block: flag byte, payload and XOR checksum
+   */
+  addData(flag, bytes, { pause = DEFAULT_PAUSE } = {}) {
+    const data = new Uint8Array(bytes.length + 2);
+    data[0] = flag;
+    data.set(bytes, 1);
+    data[data.length - 1] = TapeWriter.checksum(data.subarray(0, data.length - 1));
+
+    return this.addBlock({
+      type: TZX_STANDARD,
+      data,
+      pilotPulse: PILOT_PULSE,
+      sync1Pulse: SYNC1_PULSE,
+      sync2Pulse: SYNC2_PULSE,
+      zeroPulse: ZERO_PULSE,
+      onePulse: ONE_PULSE,
+      pilotPulses: flag < 128 ? PILOT_PULSES_HEADER : PILOT_PULSES_DATA,
+      pause,
+      usedBits: 8
+    });
+  }
+
+  /**
+   * Add a turbo speed block (0x11) with custom timings; data is written as given
+   */
+  addTurbo(data, timings = {}) {
+    return this.addBlock({
+      type: TZX_TURBO,
+      data: Uint8Array.from(data),
+      pilotPulse: PILOT_PULSE,
+      sync1Pulse: SYNC1_PULSE,
+      sync2Pulse: SYNC2_PULSE,
+      zeroPulse: ZERO_PULSE,
+      onePulse: ONE_PULSE,
+      pilotPulses: PILOT_PULSES_DATA,
+      usedBits: 8,
+      pause: DEFAULT_PAUSE,
+      ...timings
+    });
+  }
+
+  /**
+   * Add a pause block (0x20); 0 means stop the tape
+   */
+  addPause(ms) {
+    return this.addBlock({ type: TZX_PAUSE, pause: ms });
+  }
+
+  /**
+   * Add a text description block (0x30)
+   */
+  addText(text) {
+    return this.addBlock({ type: TZX_TEXT, text });
+  }
+
+  /**
+   * Add a block object in Tape's parsed format
+   */
+  addBlock(block) {
+    this.blocks.push(block);
+    return this;
+  }
+
+  /**
+   * Encode as a TAP file
+   * Only standard speed blocks can be represented; other signal blocks are skipped with a warning
+   */
+  toTAP() {
+    const parts = [];
+
+    for (const block of this.blocks) {
+      if (block.type === TZX_STANDARD) {
+        parts.push(new Uint8Array([block.data.length & 0xff, (block.data.length >> 8) & 0xff]), block.data);
+      } else if (block.data || block.pulses || block.pulseCount) {
+        console.warn(`TAP export: skipping non-standard block 0x${block.type.toString(16).padStart(2, '0')}`);
+      }
+    }
+
+    return concat(parts);
+  }
+
+  /**
+   * Encode as a TZX 1.20 file
+   */
+  toTZX() {
+    const parts = [new Uint8Array([0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20])]; // "ZXTape!" v1.20
+
+    for (const block of this.blocks) {
+      for (const tzxBlock of this.toTZXBlocks(block)) {
+        const encoded = this.encodeTZXBlock(tzxBlock);
+        if (encoded) {
+          parts.push(encoded);
+        } else {
+          console.warn(`TZX export: skipping unsupported block 0x${block.type.toString(16).padStart(2, '0')}`);
+        }
+      }
+    }
+
+    return concat(parts);
+  }
+
+  /**
+   * Split a block into blocks TZX can hold: long pulse lists (e.g. from PZX) become
+   * 0x13 blocks of up to 255 pulses, and a PZX initial level or tail pulse becomes a
+   * 0x2B or 0x13 block around the data
+   */
+  toTZXBlocks(block) {
+    const blocks = [];
+
+    if (block.type === TZX_PULSE_SEQUENCE) {
+      if (block.initialLevel !== undefined) {
+        blocks.push({ type: TZX_SET_SIGNAL_LEVEL, level: block.initialLevel });
+      }
+      for (let i = 0; i < block.pulses.length; i += 255) {
+        const pulses = Array.from(block.pulses.slice(i, i + 255), (pulse) => {
+          if (pulse > 0xffff) {
+            console.warn(`TZX export: pulse of ${pulse} T-states shortened to 65535`);
+          }
+          return Math.min(pulse, 0xffff);
+        });
+        blocks.push({ type: TZX_PULSE_SEQUENCE, pulses });
+      }
+      return blocks;
+    }
+
+    if (block.type === TZX_GENERALIZED_DATA && block.initialLevel !== undefined) {
+      // Generalized blocks start with an edge
+      blocks.push({ type: TZX_SET_SIGNAL_LEVEL, level: 1 - block.initialLevel });
+      blocks.push(block);
+      if (block.tail) {
+        blocks.push({ type: TZX_PULSE_SEQUENCE, pulses: [block.tail] });
+      }
+      return blocks;
+    }
+
+    return [block];
+  }
+
+  /**
+   * Encode one block with its ID byte
+   * @returns {Uint8Array|null}
+   */
+  encodeTZXBlock(block) {
+    const out = new ByteWriter();
+    out.byte(block.type);
+
+    switch (block.type) {
+      case TZX_STANDARD:
+        out.word(block.pause);
+        out.word(block.data.length);
+        out.bytes(block.data);
+        break;
+
+      case TZX_TURBO:
+        out.word(block.pilotPulse);
+        out.word(block.sync1Pulse);
+        out.word(block.sync2Pulse);
+        out.word(block.zeroPulse);
+        out.word(block.onePulse);
+        out.word(block.pilotPulses);
+        out.byte(block.usedBits);
+        out.word(block.pause);
+        out.triple(block.data.length);
+        out.bytes(block.data);
+        break;
+
+      case TZX_PURE_TONE:
+        out.word(block.pulseLength);
+        out.word(block.pulseCount);
+        break;
+
+      case TZX_PULSE_SEQUENCE:
+        out.byte(block.pulses.length);
+        block.pulses.forEach((pulse) => out.word(pulse));
+        break;
+
+      case TZX_PURE_DATA:
+        out.word(block.zeroPulse);
+        out.word(block.onePulse);
+        out.byte(block.usedBits);
+        out.word(block.pause);
+        out.triple(block.data.length);
+        out.bytes(block.data);
+        break;
+
+      case TZX_DIRECT_RECORDING:
+        out.word(block.tStatesPerSample);
+        out.word(block.pause);
+        out.byte(block.usedBits);
+        out.triple(block.data.length);
+        out.bytes(block.data);
+        break;
+
+      case TZX_CSW: {
+        const rle = encodeCSWPulses(block.pulses, block.sampleRate);
+        out.dword(10 + rle.length);
+        out.word(block.pause || 0);
+        out.triple(block.sampleRate);
+        out.byte(1); // RLE
+        out.dword(block.pulses.length);
+        out.bytes(rle);
+        break;
+      }
+
+      case TZX_GENERALIZED_DATA: {
+        const body = encodeGeneralizedData(block);
+        out.dword(body.length);
+        out.bytes(body);
+        break;
+      }
+
+      case TZX_PAUSE:
+        out.word(block.pause);
+        break;
+
+      case TZX_JUMP:
+        out.word(block.jumpOffset);
+        break;
+
+      case TZX_LOOP_START:
+        out.word(block.repetitions);
+        break;
+
+      case TZX_LOOP_END:
+      case TZX_RETURN:
+        break;
+
+      case TZX_CALL_SEQUENCE:
+        out.word(block.calls.length);
+        block.calls.forEach((call) => out.word(call));
+        break;
+
+      case TZX_SELECT: {
+        const body = new ByteWriter();
+        body.byte(block.selections.length);
+        for (const selection of block.selections) {
+          body.word(selection.offset);
+          body.text(selection.description);
+        }
+        out.word(body.length);
+        out.bytes(body.toBytes());
+        break;
+      }
+
+      case TZX_STOP_TAPE_48K:
+        out.dword(0);
+        break;
+
+      case TZX_SET_SIGNAL_LEVEL:
+        out.dword(1);
+        out.byte(block.level);
+        break;
+
+      case TZX_TEXT:
+        out.text(block.text);
+        break;
+
+      case TZX_ARCHIVE_INFO: {
+        const body = new ByteWriter();
+        body.byte(block.info.length);
+        for (const { id, text } of block.info) {
+          body.byte(id);
+          body.text(text);
+        }
+        out.word(body.length);
+        out.bytes(body.toBytes());
+        break;
+      }
+
+      case TZX_HARDWARE:
+        out.byte(block.hardware.length);
+        block.hardware.forEach(({ type, id, support }) => out.bytes([type, id, support]));
+        break;
+
+      default:
+        return null;
+    }
+
+    return out.toBytes();
+  }
+}
+
+/**
+ * CSW RLE stream from T-state pulse lengths, rounding on the running total so
+ * lengths don't drift (pulses longer than 255 samples use 0x00 + 32-bit length)
+ */
+function encodeCSWPulses(pulses, sampleRate) {
+  const out = new ByteWriter();
+  let tstates = 0;
+  let samples = 0;
+
+  for (const pulse of pulses) {
+    tstates += pulse;
+    const end = Math.round(tstates * sampleRate / CLOCK_SPEED);
+    const length = Math.max(1, end - samples);
+    samples += length;
+
+    if (length > 255) {
+      out.byte(0);
+      out.dword(length);
+    } else {
+      out.byte(length);
+    }
+  }
+
+  return out.toBytes();
+}
+
+/**
+ * Generalized data block body (0x19) from a parsed block
+ */
+function encodeGeneralizedData(block) {
+  const maxPulses = (symbols) => symbols.reduce((max, symbol) => Math.max(max, symbol.pulses.length), 0);
+  const npp = maxPulses(block.pilotSymbols);
+  const npd = maxPulses(block.dataSymbols);
+
+  const out = new ByteWriter();
+  out.word(block.pause);
+  out.dword(block.pilotStream.length);
+  out.byte(npp);
+  out.byte(block.pilotSymbols.length & 0xff); // 256 is stored as 0
+  out.dword(block.totalData);
+  out.byte(npd);
+  out.byte(block.dataSymbols.length & 0xff);
+
+  const writeSymbols = (symbols, count) => {
+    for (const symbol of symbols) {
+      out.byte(symbol.polarity);
+      for (let i = 0; i < count; i++) {
+        out.word(symbol.pulses[i] || 0);
+      }
+    }
+  };
+
+  if (block.pilotStream.length > 0) {
+    writeSymbols(block.pilotSymbols, npp);
+    for (const entry of block.pilotStream) {
+      out.byte(entry.symbol);
+      out.word(entry.repetitions);
+    }
+  }
+
+  if (block.totalData > 0) {
+    writeSymbols(block.dataSymbols, npd);
+    out.bytes(block.data);
+  }
+
+  return out.toBytes();
+}
+
+/**
+ * Join byte arrays
+ */
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Little-endian byte buffer
+ */
+class ByteWriter {
+  constructor() {
+    this.data = [];
+  }
+
+  get length() {
+    return this.data.length;
+  }
+
+  byte(value) {
+    this.data.push(value & 0xff);
+  }
+
+  word(value) {
+    this.byte(value);
+    this.byte(value >> 8);
+  }
+
+  triple(value) {
+    this.word(value);
+    this.byte(value >> 16);
+  }
+
+  dword(value) {
+    this.word(value);
+    this.word(value >>> 16);
+  }
+
+  bytes(values) {
+    for (const value of values) {
+      this.data.push(value);
+    }
+  }
+
+  // Length-prefixed TZX text (CR line breaks)
+  text(value) {
+    const text = value.replace(/\n/g, '\r');
+    this.byte(text.length);
+    for (let i = 0; i < text.length; i++) {
+      this.byte(text.charCodeAt(i));
+    }
+  }
+
+  toBytes() {
+    return Uint8Array.from(this.data);
+  }
+}
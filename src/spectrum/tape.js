@@ -1,7 +1,82 @@
 /**
  * ZX Spectrum tape loading system
- * Supports TAP and basic TZX formats
+ * Supports TAP, TZX, PZX, CSW and WAV formats
  */
+import { Zlib } from './zlib.js';
+
+// CSW file signature ("Compressed Square Wave" + 0x1A)
+const CSW_SIGNATURE = 'Compressed Square Wave\x1a';
+
+// PZX info keys (after the title) mapped to TZX archive info IDs
+const PZX_INFO_IDS = {
+  Publisher: 0x01,
+  Author: 0x02,
+  Year: 0x03,
+  Language: 0x04,
+  Type: 0x05,
+  Price: 0x06,
+  Protection: 0x07,
+  Origin: 0x08,
+  Comment: 0xFF
+};
+
+// WAV format tags: PCM and WAVE_FORMAT_EXTENSIBLE (PCM sub-format)
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+
+// Block names shown in the tape catalog
+const BLOCK_NAMES = {
+  0x10: 'Standard Speed Data',
+  0x11: 'Turbo Speed Data',
+  0x12: 'Pure Tone',
+  0x13: 'Pulse Sequence',
+  0x14: 'Pure Data',
+  0x15: 'Direct Recording',
+  0x18: 'CSW Recording',
+  0x19: 'Generalized Data',
+  0x20: 'Pause',
+  0x23: 'Jump to Block',
+  0x24: 'Loop Start',
+  0x25: 'Loop End',
+  0x26: 'Call Sequence',
+  0x27: 'Return from Sequence',
+  0x28: 'Select Block',
+  0x2A: 'Stop Tape (48K)',
+  0x2B: 'Set Signal Level',
+  0x30: 'Text Description',
+  0x32: 'Archive Info',
+  0x33: 'Hardware Type'
+};
+
+// Spectrum ROM header types (first byte after the flag)
+const HEADER_TYPES = ['Program', 'Number array', 'Character array', 'Bytes'];
+
+// TZX archive info (0x32) text IDs
+const ARCHIVE_FIELDS = {
+  0x00: 'title',
+  0x01: 'publisher',
+  0x02: 'author',
+  0x03: 'year',
+  0x04: 'language',
+  0x05: 'type',
+  0x06: 'price',
+  0x07: 'protection',
+  0x08: 'origin',
+  0xFF: 'comment'
+};
+
+// TZX hardware type (0x33) entry types, computer IDs and support levels
+const HARDWARE_TYPES = [
+  'Computer', 'External storage', 'ROM/RAM type add-on', 'Sound device', 'Joystick', 'Mouse',
+  'Other controller', 'Serial port', 'Parallel port', 'Printer', 'Modem', 'Digitizer',
+  'Network adapter', 'Keyboard & keypad', 'AD/DA converter', 'EPROM programmer', 'Graphics'
+];
+const HARDWARE_COMPUTERS = [
+  'ZX Spectrum 16k', 'ZX Spectrum 48k, Plus', 'ZX Spectrum 48k ISSUE 1', 'ZX Spectrum 128k +',
+  'ZX Spectrum 128k +2 (grey case)', 'ZX Spectrum 128k +2A, +3'
+];
+const HARDWARE_SUPPORT = ['runs', 'uses', 'runs but doesn\'t use', 'doesn\'t run'];
+
 export class Tape {
   constructor(spectrum) {
     this.spectrum = spectrum;
@@ -45,6 +120,23 @@ export class Tape {
     this.STANDARD_PAUSE = 500;
     this.CYCLES_PER_MS = 3500;
 
+    // ROM loader entry points (48K BASIC ROM)
+    this.ROM_LD_BYTES = 0x0556;
+    this.ROM_SA_LD_RET = 0x053F;
+    this.ROM_LD_BYTES_CODE = [0x14, 0x08, 0x15, 0xf3]; // INC D / EX AF,AF' / DEC D / DI
+
+    // Offline WAV rendering (exportWAV): silence written for stop-the-tape blocks (ms)
+    this.RENDER_STOP_GAP = 2000;
+    this.rendering = false;
+
+    // Tape counter: T-states of tape before the current block and the cycle the block
+    // started at; seekOffset is a position inside the next block for a stopped tape
+    this.tapeTime = 0;
+    this.blockStartCycle = 0;
+    this.seekOffset = 0;
+    this.timeline = null;
+    this.TIMELINE_LIMIT = 3600; // Seconds, for tapes that loop forever
+
     // Block types
     this.BLOCK_STANDARD = 0x10;
     this.BLOCK_TURBO = 0x11;
@@ -52,14 +144,19 @@ export class Tape {
     this.BLOCK_PULSE_SEQUENCE = 0x13;
     this.BLOCK_PURE_DATA = 0x14;
     this.BLOCK_DIRECT_RECORDING = 0x15;
+    this.BLOCK_CSW = 0x18;
+    this.BLOCK_GENERALIZED_DATA = 0x19;
     this.BLOCK_PAUSE = 0x20;
     this.BLOCK_GROUP_START = 0x21;
     this.BLOCK_GROUP_END = 0x22;
     this.BLOCK_JUMP = 0x23;
     this.BLOCK_LOOP_START = 0x24;
     this.BLOCK_LOOP_END = 0x25;
+    this.BLOCK_CALL_SEQUENCE = 0x26;
+    this.BLOCK_RETURN = 0x27;
     this.BLOCK_SELECT = 0x28;
     this.BLOCK_STOP_TAPE_48K = 0x2A;
+    this.BLOCK_SET_SIGNAL_LEVEL = 0x2B;
     this.BLOCK_TEXT = 0x30;
     this.BLOCK_MESSAGE = 0x31;
     this.BLOCK_ARCHIVE_INFO = 0x32;
@@ -69,8 +166,30 @@ export class Tape {
     // Loop stack for handling loop blocks
     this.loopStack = [];
 
+    // Call stack for call sequence blocks: { blockIndex, callIndex }
+    this.callStack = [];
+
+    // Called with [{ index, description, blockIndex }] at a select block (0x28);
+    // returns the chosen index, or a promise for it
+    this.onTapeSelect = null;
+
+    // WAV edge detection: Schmitt trigger around threshold (both as a fraction
+    // of full scale), optionally inverting the signal
+    this.wavOptions = { threshold: 0, hysteresis: 0.05, invert: false };
+
     // Pulse sequence for complex blocks
     this.pulseSequence = null;
+
+    // Automatic start/pause when a loader is detected polling the EAR bit
+    this.autoMode = false;
+    this.endOfTape = false;
+    this.loaderCount = 0;
+    this.lastEarReadTState = 0;
+    this.lastEarReadB = 0;
+    this.pauseStartCycle = 0;
+
+    // Called with { type: 'play' | 'pause' | 'stop' | 'end', auto, blockIndex }
+    this.onTapeEvent = null;
   }
 
   /**
@@ -84,6 +203,8 @@ export class Tape {
     this.data = data;
     this.format = 'TAP';
     this.blocks = this.parseTAPBlocks(data);
+    this.blockIndex = 0;
+    this.endOfTape = false;
     this.reset();
   }
 
@@ -139,15 +260,442 @@ export class Tape {
     this.data = data;
     this.format = 'TZX';
     this.blocks = this.parseTZXBlocks(data);
+    this.blockIndex = 0;
+    this.endOfTape = false;
+    this.reset();
+  }
+
+  /**
+   * Load CSW file (version 1.01 RLE or 2.00 RLE/Z-RLE)
+   */
+  loadCSW(data) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+
+    this.data = data;
+    this.format = 'CSW';
+    this.blocks = [this.parseCSW(data)];
+    this.blockIndex = 0;
+    this.endOfTape = false;
+    this.reset();
+  }
+
+  /**
+   * Check for the CSW file signature
+   */
+  static isCSW(data) {
+    if (data.length < CSW_SIGNATURE.length) return false;
+    for (let i = 0; i < CSW_SIGNATURE.length; i++) {
+      if (data[i] !== CSW_SIGNATURE.charCodeAt(i)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Parse a standalone CSW file into a single pulse block
+   */
+  parseCSW(data) {
+    if (!Tape.isCSW(data)) {
+      throw new Error('Invalid CSW file');
+    }
+
+    const major = data[0x17];
+    let sampleRate, compression, flags, offset;
+
+    if (major === 1) {
+      sampleRate = data[0x19] | (data[0x1a] << 8);
+      compression = data[0x1b];
+      flags = data[0x1c];
+      offset = 0x20;
+    } else if (major === 2) {
+      sampleRate = this.readDword(data, 0x19);
+      compression = data[0x21];
+      flags = data[0x22];
+      offset = 0x34 + data[0x23]; // Header extension follows the encoder name
+    } else {
+      throw new Error(`Unsupported CSW version: ${major}.${data[0x18]}`);
+    }
+
+    const pulses = this.decodeCSWPulses(data.subarray(offset), sampleRate, compression);
+    console.log(`CSW: ${pulses.length} pulses at ${sampleRate}Hz`);
+
+    return {
+      type: this.BLOCK_CSW,
+      pulses,
+      sampleRate,
+      initialLevel: flags & 0x01,
+      pause: 0
+    };
+  }
+
+  /**
+   * Decode CSW pulse data to T-state lengths
+   * RLE: one byte per pulse in samples, 0x00 followed by a 32-bit length for long pulses.
+   * Z-RLE: the same stream compressed with zlib.
+   */
+  decodeCSWPulses(data, sampleRate, compression) {
+    if (compression === 2) {
+      data = Zlib.decompress(data);
+    } else if (compression !== 1) {
+      throw new Error(`Unsupported CSW compression type: ${compression}`);
+    }
+
+    if (!sampleRate) {
+      throw new Error('Invalid CSW sample rate');
+    }
+
+    // Convert via the running sample count so rounding doesn't accumulate
+    const tstatesPerSample = (this.CYCLES_PER_MS * 1000) / sampleRate;
+    const pulses = [];
+    let samples = 0;
+    let tstates = 0;
+    let offset = 0;
+
+    while (offset < data.length) {
+      let length = data[offset++];
+      if (length === 0) {
+        if (offset + 4 > data.length) break;
+        length = this.readDword(data, offset);
+        offset += 4;
+      }
+
+      samples += length;
+      const end = Math.round(samples * tstatesPerSample);
+      pulses.push(end - tstates);
+      tstates = end;
+    }
+
+    return Uint32Array.from(pulses);
+  }
+
+  /**
+   * Load PZX file
+   */
+  loadPZX(data) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+
+    this.data = data;
+    this.format = 'PZX';
+    this.blocks = this.parsePZXBlocks(data);
+    this.blockIndex = 0;
+    this.endOfTape = false;
+    this.reset();
+  }
+
+  /**
+   * Check for the PZX header chunk
+   */
+  static isPZX(data) {
+    return data.length >= 8 && String.fromCharCode(...data.subarray(0, 4)) === 'PZXT';
+  }
+
+  /**
+   * Parse PZX chunks into playback blocks
+   * PULS becomes a pulse sequence starting low, DATA a generalized data block with
+   * its initial level and tail pulse, PAUS a pause holding its level, BRWS a text
+   * block and STOP a stop (0x20 with no pause) or stop-in-48K block
+   */
+  parsePZXBlocks(data) {
+    if (!Tape.isPZX(data)) {
+      throw new Error('Invalid PZX file');
+    }
+
+    const blocks = [];
+    let offset = 0;
+
+    while (offset + 8 <= data.length) {
+      const tag = String.fromCharCode(...data.subarray(offset, offset + 4));
+      const size = this.readDword(data, offset + 4);
+      const body = data.subarray(offset + 8, Math.min(offset + 8 + size, data.length));
+      let block = null;
+
+      switch (tag) {
+        case 'PZXT':
+          if (body[0] !== 1) {
+            throw new Error(`Unsupported PZX version: ${body[0]}.${body[1]}`);
+          }
+          block = this.parsePZXInfo(body);
+          break;
+
+        case 'PULS':
+          block = this.parsePZXPulses(body);
+          break;
+
+        case 'DATA':
+          block = this.parsePZXData(body);
+          break;
+
+        case 'PAUS': {
+          const value = this.readDword(body, 0);
+          const duration = value & 0x7fffffff;
+          if (duration > 0) {
+            // Pause lengths are in ms elsewhere; keep the exact T-state count
+            block = { type: this.BLOCK_PAUSE, pause: duration / this.CYCLES_PER_MS, level: value >>> 31 };
+          }
+          break;
+        }
+
+        case 'BRWS':
+          block = { type: this.BLOCK_TEXT, text: String.fromCharCode(...body) };
+          break;
+
+        case 'STOP': {
+          const flags = body[0] | (body[1] << 8);
+          block = flags === 1
+            ? { type: this.BLOCK_STOP_TAPE_48K }
+            : { type: this.BLOCK_PAUSE, pause: 0 };
+          break;
+        }
+
+        default:
+          console.warn(`PZX: skipping unsupported chunk '${tag}' (${size} bytes)`);
+      }
+
+      if (block) {
+        blocks.push(block);
+      }
+
+      offset += 8 + size;
+    }
+
+    console.log(`PZX: Parsed ${blocks.length} blocks`);
+    return blocks;
+  }
+
+  /**
+   * PZXT header strings (title, then key/value pairs) as an archive info block
+   */
+  parsePZXInfo(body) {
+    const strings = String.fromCharCode(...body.subarray(2)).split('\0');
+    if (strings[strings.length - 1] === '') strings.pop();
+    if (strings.length === 0) return null;
+
+    const info = [{ id: 0x00, text: strings[0] }];
+    for (let i = 1; i + 1 < strings.length; i += 2) {
+      const id = PZX_INFO_IDS[strings[i]];
+      info.push(id !== undefined
+        ? { id, text: strings[i + 1] }
+        : { id: 0xFF, text: `${strings[i]}: ${strings[i + 1]}` });
+    }
+
+    return { type: this.BLOCK_ARCHIVE_INFO, info };
+  }
+
+  /**
+   * PULS chunk: 16-bit entries with an optional repeat count and 31-bit durations
+   */
+  parsePZXPulses(body) {
+    const pulses = [];
+    let offset = 0;
+    const word = () => {
+      const value = body[offset] | (body[offset + 1] << 8);
+      offset += 2;
+      return value;
+    };
+
+    while (offset + 2 <= body.length) {
+      let count = 1;
+      let duration = word();
+      if (duration > 0x8000) {
+        count = duration & 0x7fff;
+        duration = word();
+      }
+      if (duration >= 0x8000) {
+        duration = ((duration & 0x7fff) << 16) | word();
+      }
+      for (let i = 0; i < count; i++) {
+        pulses.push(duration);
+      }
+    }
+
+    if (pulses.length === 0) return null;
+
+    return {
+      type: this.BLOCK_PULSE_SEQUENCE,
+      pulses: Uint32Array.from(pulses),
+      initialLevel: 0
+    };
+  }
+
+  /**
+   * DATA chunk: bit count and initial level, tail pulse, and the pulse sequences
+   * for 0 and 1 bits, played as a one bit per symbol generalized data block
+   */
+  parsePZXData(body) {
+    const value = this.readDword(body, 0);
+    const tail = body[4] | (body[5] << 8);
+    const zeroCount = body[6];
+    const oneCount = body[7];
+    let offset = 8;
+
+    const readPulses = (count) => {
+      const pulses = [];
+      for (let i = 0; i < count; i++, offset += 2) {
+        pulses.push(body[offset] | (body[offset + 1] << 8));
+      }
+      return pulses;
+    };
+    const zeroPulses = readPulses(zeroCount);
+    const onePulses = readPulses(oneCount);
+    const totalData = value & 0x7fffffff;
+
+    return {
+      type: this.BLOCK_GENERALIZED_DATA,
+      data: body.slice(offset, offset + Math.ceil(totalData / 8)),
+      pause: 0,
+      pilotSymbols: [],
+      pilotStream: [],
+      dataSymbols: [{ polarity: 0, pulses: zeroPulses }, { polarity: 0, pulses: onePulses }],
+      totalData,
+      bitsPerSymbol: 1,
+      initialLevel: value >>> 31,
+      tail
+    };
+  }
+
+  /**
+   * Load WAV audio (RIFF PCM, 8/16-bit, mono/stereo)
+   * @param {Object} options - Overrides for wavOptions (threshold, hysteresis, invert)
+   */
+  loadWAV(data, options = {}) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+
+    this.data = data;
+    this.format = 'WAV';
+    this.blocks = [this.parseWAV(data, { ...this.wavOptions, ...options })];
+    this.blockIndex = 0;
+    this.endOfTape = false;
     this.reset();
   }
 
+  /**
+   * Check for the RIFF/WAVE file signature
+   */
+  static isWAV(data) {
+    return data.length >= 12 &&
+      String.fromCharCode(...data.subarray(0, 4)) === 'RIFF' &&
+      String.fromCharCode(...data.subarray(8, 12)) === 'WAVE';
+  }
+
+  /**
+   * Parse a WAV file into a single pulse block, played like a CSW recording
+   */
+  parseWAV(data, options) {
+    if (!Tape.isWAV(data)) {
+      throw new Error('Invalid WAV file');
+    }
+
+    let format = null;
+    let samples = null;
+    let offset = 12;
+
+    while (offset + 8 <= data.length) {
+      const id = String.fromCharCode(...data.subarray(offset, offset + 4));
+      const size = this.readDword(data, offset + 4);
+      const body = offset + 8;
+
+      if (id === 'fmt ') {
+        format = {
+          tag: data[body] | (data[body + 1] << 8),
+          channels: data[body + 2] | (data[body + 3] << 8),
+          sampleRate: this.readDword(data, body + 4),
+          blockAlign: data[body + 12] | (data[body + 13] << 8),
+          bitsPerSample: data[body + 14] | (data[body + 15] << 8)
+        };
+        if (format.tag === WAV_FORMAT_EXTENSIBLE && size >= 26) {
+          format.tag = data[body + 24] | (data[body + 25] << 8); // Sub-format GUID starts with the tag
+        }
+      } else if (id === 'data') {
+        samples = data.subarray(body, Math.min(body + size, data.length));
+      }
+
+      offset = body + size + (size & 1); // Chunks are word aligned
+    }
+
+    if (!format || !samples) {
+      throw new Error('WAV file has no fmt or data chunk');
+    }
+    if (format.tag !== WAV_FORMAT_PCM || (format.bitsPerSample !== 8 && format.bitsPerSample !== 16)) {
+      throw new Error(`Unsupported WAV format: tag ${format.tag}, ${format.bitsPerSample}-bit`);
+    }
+    if (format.channels < 1 || format.channels > 2 || !format.sampleRate) {
+      throw new Error(`Unsupported WAV format: ${format.channels} channels at ${format.sampleRate}Hz`);
+    }
+
+    const { pulses, initialLevel } = this.decodeWAVPulses(samples, format, options);
+    console.log(`WAV: ${pulses.length} pulses at ${format.sampleRate}Hz, ${format.bitsPerSample}-bit, ${format.channels} channel(s)`);
+
+    return {
+      type: this.BLOCK_CSW,
+      pulses,
+      sampleRate: format.sampleRate,
+      initialLevel,
+      pause: 0
+    };
+  }
+
+  /**
+   * Turn PCM samples into pulse lengths in T-states
+   * Channels are mixed, and the level only changes once the signal crosses
+   * threshold +/- hysteresis, so noise around the crossing doesn't add edges.
+   */
+  decodeWAVPulses(samples, format, options) {
+    const { channels, bitsPerSample } = format;
+    const blockAlign = format.blockAlign || channels * bitsPerSample / 8;
+    const frames = Math.floor(samples.length / blockAlign);
+    const high = options.threshold + options.hysteresis;
+    const low = options.threshold - options.hysteresis;
+    const tstatesPerSample = (this.CYCLES_PER_MS * 1000) / format.sampleRate;
+
+    // Sample value normalised to -1..1 (8-bit is unsigned, 16-bit signed little-endian)
+    const read = (offset) => bitsPerSample === 8
+      ? (samples[offset] - 128) / 128
+      : (((samples[offset] | (samples[offset + 1] << 8)) << 16) >> 16) / 32768;
+
+    const pulses = [];
+    let level = -1;
+    let initialLevel = 0;
+    let tstates = 0;
+
+    for (let frame = 0; frame < frames; frame++) {
+      let value = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        value += read(frame * blockAlign + channel * bitsPerSample / 8);
+      }
+      value /= channels;
+      if (options.invert) value = -value;
+
+      if (level === -1) {
+        level = initialLevel = value > options.threshold ? 1 : 0;
+      } else if ((level === 0 && value > high) || (level === 1 && value < low)) {
+        const edge = Math.round(frame * tstatesPerSample);
+        pulses.push(edge - tstates);
+        tstates = edge;
+        level ^= 1;
+      }
+    }
+
+    // Final pulse runs to the end of the recording
+    const end = Math.round(frames * tstatesPerSample);
+    if (end > tstates) {
+      pulses.push(end - tstates);
+    }
+
+    return { pulses: Uint32Array.from(pulses), initialLevel };
+  }
+
   /**
    * Parse TZX blocks (comprehensive implementation)
    */
   parseTZXBlocks(data) {
     const blocks = [];
     let offset = 10; // Skip TZX header "ZXTape!" + 0x1A + major + minor
+    let tzxIndex = 0; // Position in the file, for relative jumps/calls/selections
 
     while (offset < data.length) {
       const blockId = data[offset++];
@@ -159,10 +707,12 @@ export class Tape {
       }
 
       if (parseResult.block) {
+        parseResult.block.tzxIndex = tzxIndex;
         blocks.push(parseResult.block);
       }
 
       offset = parseResult.offset;
+      tzxIndex++;
     }
 
     console.log(`TZX: Parsed ${blocks.length} blocks`);
@@ -192,6 +742,12 @@ export class Tape {
       case 0x15: // Direct recording
         return this.parseTZXBlock15(data, offset);
 
+      case 0x18: // CSW recording
+        return this.parseTZXBlock18(data, offset);
+
+      case 0x19: // Generalized data block
+        return this.parseTZXBlock19(data, offset);
+
       case 0x20: // Pause (silence)
         return this.parseTZXBlock20(data, offset);
 
@@ -210,12 +766,21 @@ export class Tape {
       case 0x25: // Loop end
         return this.parseTZXBlock25(data, offset);
 
+      case 0x26: // Call sequence
+        return this.parseTZXBlock26(data, offset);
+
+      case 0x27: // Return from sequence
+        return { offset, block: { type: this.BLOCK_RETURN } };
+
       case 0x28: // Select block
         return this.parseTZXBlock28(data, offset);
 
       case 0x2A: // Stop tape if in 48K mode
         return this.parseTZXBlock2A(data, offset);
 
+      case 0x2B: // Set signal level
+        return this.parseTZXBlock2B(data, offset);
+
       case 0x30: // Text description
         return this.parseTZXBlock30(data, offset);
 
@@ -372,6 +937,108 @@ export class Tape {
     return { offset: offset + length, block };
   }
 
+  // Block 0x18: CSW recording
+  parseTZXBlock18(data, offset) {
+    const length = this.readDword(data, offset);
+    const endOffset = offset + 4 + length;
+    const pause = data[offset + 4] | (data[offset + 5] << 8);
+    const sampleRate = data[offset + 6] | (data[offset + 7] << 8) | (data[offset + 8] << 16);
+    const compression = data[offset + 9];
+
+    const block = {
+      type: this.BLOCK_CSW,
+      pulses: this.decodeCSWPulses(data.subarray(offset + 14, endOffset), sampleRate, compression),
+      sampleRate,
+      pause
+    };
+
+    return { offset: endOffset, block };
+  }
+
+  // Block 0x19: Generalized data block
+  parseTZXBlock19(data, offset) {
+    const length = this.readDword(data, offset);
+    const endOffset = offset + 4 + length;
+    const pause = data[offset + 4] | (data[offset + 5] << 8);
+    const totalPilot = this.readDword(data, offset + 6);
+    const maxPilotPulses = data[offset + 10];
+    const pilotAlphabet = data[offset + 11] || 256;
+    const totalData = this.readDword(data, offset + 12);
+    const maxDataPulses = data[offset + 16];
+    const dataAlphabet = data[offset + 17] || 256;
+    offset += 18;
+
+    // Pilot/sync symbol table, then the run-length encoded pilot stream
+    let pilotSymbols = [];
+    const pilotStream = [];
+    if (totalPilot > 0) {
+      pilotSymbols = this.parseSymbolTable(data, offset, pilotAlphabet, maxPilotPulses);
+      offset += pilotAlphabet * (1 + 2 * maxPilotPulses);
+
+      for (let i = 0; i < totalPilot; i++) {
+        pilotStream.push({
+          symbol: data[offset],
+          repetitions: data[offset + 1] | (data[offset + 2] << 8)
+        });
+        offset += 3;
+      }
+    }
+
+    // Data symbol table, then the packed data stream (MSB first)
+    let dataSymbols = [];
+    const bitsPerSymbol = Math.ceil(Math.log2(dataAlphabet));
+    let blockData = new Uint8Array(0);
+    if (totalData > 0) {
+      dataSymbols = this.parseSymbolTable(data, offset, dataAlphabet, maxDataPulses);
+      offset += dataAlphabet * (1 + 2 * maxDataPulses);
+
+      const streamLength = Math.ceil(bitsPerSymbol * totalData / 8);
+      blockData = data.slice(offset, offset + streamLength);
+    }
+
+    const block = {
+      type: this.BLOCK_GENERALIZED_DATA,
+      data: blockData,
+      pause,
+      pilotSymbols,
+      pilotStream,
+      dataSymbols,
+      totalData,
+      bitsPerSymbol
+    };
+
+    return { offset: endOffset, block };
+  }
+
+  /**
+   * Parse a generalized data symbol table (SYMDEF entries)
+   * Each symbol has polarity flags and up to maxPulses pulse lengths (0 ends the list early)
+   */
+  parseSymbolTable(data, offset, count, maxPulses) {
+    const symbols = [];
+
+    for (let i = 0; i < count; i++) {
+      const polarity = data[offset] & 0x03;
+      const pulses = [];
+      for (let j = 0; j < maxPulses; j++) {
+        const pulse = data[offset + 1 + j * 2] | (data[offset + 2 + j * 2] << 8);
+        if (pulse === 0) break;
+        pulses.push(pulse);
+      }
+      symbols.push({ polarity, pulses });
+      offset += 1 + 2 * maxPulses;
+    }
+
+    return symbols;
+  }
+
+  /**
+   * Read a little-endian 32-bit value
+   */
+  readDword(data, offset) {
+    return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+  }
+
   // Block 0x20: Pause (silence)
   parseTZXBlock20(data, offset) {
     const pause = data[offset] | (data[offset + 1] << 8);
@@ -428,6 +1095,26 @@ export class Tape {
     return { offset, block };
   }
 
+  // Block 0x26: Call sequence
+  parseTZXBlock26(data, offset) {
+    const count = data[offset] | (data[offset + 1] << 8);
+    offset += 2;
+
+    const calls = [];
+    for (let i = 0; i < count; i++) {
+      const callOffset = data[offset] | (data[offset + 1] << 8);
+      calls.push(callOffset > 32767 ? callOffset - 65536 : callOffset);
+      offset += 2;
+    }
+
+    const block = {
+      type: this.BLOCK_CALL_SEQUENCE,
+      calls
+    };
+
+    return { offset, block };
+  }
+
   // Block 0x28: Select block
   parseTZXBlock28(data, offset) {
     const length = data[offset] | (data[offset + 1] << 8);
@@ -437,10 +1124,24 @@ export class Tape {
     const numSelections = data[offset];
     offset++;
 
-    // Skip select block - just advance past it
-    console.log(`TZX Select block with ${numSelections} selections - skipping`);
+    const selections = [];
+    for (let i = 0; i < numSelections; i++) {
+      const selectOffset = data[offset] | (data[offset + 1] << 8);
+      const textLength = data[offset + 2];
+      offset += 3;
+      selections.push({
+        offset: selectOffset > 32767 ? selectOffset - 65536 : selectOffset,
+        description: String.fromCharCode(...data.slice(offset, offset + textLength))
+      });
+      offset += textLength;
+    }
+
+    const block = {
+      type: this.BLOCK_SELECT,
+      selections
+    };
 
-    return { offset: endOffset, block: null };
+    return { offset: endOffset, block };
   }
 
   // Block 0x2A: Stop tape if in 48K mode
@@ -452,14 +1153,31 @@ export class Tape {
     return { offset: offset + 4, block };
   }
 
+  // Block 0x2B: Set signal level
+  parseTZXBlock2B(data, offset) {
+    const length = this.readDword(data, offset);
+
+    const block = {
+      type: this.BLOCK_SET_SIGNAL_LEVEL,
+      level: data[offset + 4] ? 1 : 0
+    };
+
+    return { offset: offset + 4 + length, block };
+  }
+
   // Block 0x30: Text description
   parseTZXBlock30(data, offset) {
     const length = data[offset];
     offset++;
-    const text = String.fromCharCode(...data.slice(offset, offset + length));
+    const text = this.readTZXText(data, offset, length);
     console.log(`TZX Text: ${text}`);
 
-    return { offset: offset + length, block: null };
+    const block = {
+      type: this.BLOCK_TEXT,
+      text
+    };
+
+    return { offset: offset + length, block };
   }
 
   // Block 0x31: Message block
@@ -476,15 +1194,49 @@ export class Tape {
   // Block 0x32: Archive info
   parseTZXBlock32(data, offset) {
     const length = data[offset] | (data[offset + 1] << 8);
-    // Skip archive info
-    return { offset: offset + 2 + length, block: null };
+    const endOffset = offset + 2 + length;
+    const count = data[offset + 2];
+    offset += 3;
+
+    const info = [];
+    for (let i = 0; i < count && offset + 2 <= endOffset; i++) {
+      const textLength = data[offset + 1];
+      info.push({ id: data[offset], text: this.readTZXText(data, offset + 2, textLength) });
+      offset += 2 + textLength;
+    }
+
+    const block = {
+      type: this.BLOCK_ARCHIVE_INFO,
+      info
+    };
+
+    return { offset: endOffset, block };
   }
 
   // Block 0x33: Hardware type
   parseTZXBlock33(data, offset) {
     const numEntries = data[offset];
-    // Each entry is 3 bytes
-    return { offset: offset + 1 + (numEntries * 3), block: null };
+    offset++;
+
+    // Each entry is 3 bytes: hardware type, hardware ID, support level
+    const hardware = [];
+    for (let i = 0; i < numEntries; i++, offset += 3) {
+      hardware.push({ type: data[offset], id: data[offset + 1], support: data[offset + 2] });
+    }
+
+    const block = {
+      type: this.BLOCK_HARDWARE,
+      hardware
+    };
+
+    return { offset, block };
+  }
+
+  /**
+   * Read TZX text (ASCII with CR line breaks)
+   */
+  readTZXText(data, offset, length) {
+    return String.fromCharCode(...data.subarray(offset, offset + length)).replace(/\r\n?/g, '\n');
   }
 
   // Block 0x35: Custom info
@@ -502,42 +1254,65 @@ export class Tape {
 
   /**
    * Start playback
+   * @param {boolean} auto - Started by loader detection
    */
-  play() {
+  play(auto = false) {
     if (!this.blocks || this.blocks.length === 0) {
       console.log('No blocks to play');
       return;
     }
 
     console.log('Starting tape playback');
+
+    // Shift pending edges by the time spent paused
+    if (this.paused) {
+      this.nextEdgeCycle += this.cpu.cycles - this.pauseStartCycle;
+      this.blockStartCycle += this.cpu.cycles - this.pauseStartCycle;
+    }
+
     this.playing = true;
     this.paused = false;
+    this.endOfTape = false;
 
     // Initialize timing
     this.lastUpdateCycle = this.cpu.cycles;
 
     if (!this.currentBlock) {
-      this.nextBlock();
+      if (this.seekOffset > 0) {
+        this.startBlockAt(this.seekOffset);
+        this.seekOffset = 0;
+      } else {
+        this.nextBlock();
+      }
     }
+
+    this.emitEvent('play', auto);
   }
 
   /**
    * Pause playback
+   * @param {boolean} auto - Paused by loader detection
    */
-  pause() {
+  pause(auto = false) {
+    if (!this.paused) {
+      this.pauseStartCycle = this.cpu.cycles;
+    }
     this.paused = true;
     console.log('Tape paused');
+    this.emitEvent('pause', auto);
   }
 
   /**
    * Stop playback
+   * @param {string} reason - 'stop', or 'end' when the last block has played
    */
-  stop() {
+  stop(reason = 'stop') {
     this.playing = false;
     this.paused = false;
     this.blockIndex = 0;
     this.reset();
     console.log('Tape stopped');
+    this.emitEvent(reason, false);
   }
 
   /**
@@ -546,9 +1321,54 @@ export class Tape {
   rewind() {
     this.stop();
     this.blockIndex = 0;
+    this.endOfTape = false;
     console.log('Tape rewound');
   }
 
+  /**
+   * Notify the tape event callback
+   */
+  emitEvent(type, auto) {
+    if (this.onTapeEvent) {
+      this.onTapeEvent({ type, auto, blockIndex: Math.max(0, this.blockIndex - 1) });
+    }
+  }
+
+  /**
+   * Detect a loader from EAR port reads (called by the ULA on port 0xFE reads)
+   * Loaders sample the EAR bit in a tight loop while counting in B, so consecutive
+   * reads are close together and B changes by one. Anything else (keyboard scans,
+   * BASIC) pauses the tape again.
+   */
+  detectLoader(tstates, b) {
+    const elapsed = tstates - this.lastEarReadTState;
+    const bDelta = (b - this.lastEarReadB) & 0xff;
+    this.lastEarReadTState = tstates;
+    this.lastEarReadB = b;
+
+    if (!this.autoMode || this.blocks.length === 0) return;
+
+    if (this.playing && !this.paused) {
+      if (elapsed > 1000 || (bDelta !== 0 && bDelta !== 1 && bDelta !== 0xff)) {
+        if (++this.loaderCount > 10) {
+          this.loaderCount = 0;
+          this.pause(true);
+        }
+      } else {
+        this.loaderCount = 0;
+      }
+    } else if (!this.endOfTape) {
+      if (elapsed <= 500 && (bDelta === 1 || bDelta === 0xff)) {
+        if (++this.loaderCount > 10) {
+          this.loaderCount = 0;
+          this.play(true);
+        }
+      } else {
+        this.loaderCount = 0;
+      }
+    }
+  }
+
   /**
    * Reset tape state
    */
@@ -564,6 +1384,10 @@ export class Tape {
     this.currentBit = 0;
     this.pauseCycles = 0;
     this.pulseIndex = 0;
+    this.loopStack = [];
+    this.callStack = [];
+    this.tapeTime = 0;
+    this.seekOffset = 0;
   }
 
   /**
@@ -572,13 +1396,20 @@ export class Tape {
   nextBlock() {
     console.log(`nextBlock() called: blockIndex=${this.blockIndex}, total=${this.blocks.length}`);
 
+    // The tape counter moves past the block that has finished
+    if (this.currentBlock) {
+      this.tapeTime += this.getBlockDuration(this.currentBlock);
+    }
+
     if (this.blockIndex >= this.blocks.length) {
       console.log('End of tape reached');
-      this.stop();
+      this.stop('end');
+      this.endOfTape = true;
       return;
     }
 
     this.currentBlock = this.blocks[this.blockIndex];
+    this.blockStartCycle = this.cpu.cycles;
     console.log(`\nStarting block ${this.blockIndex}, type: 0x${this.currentBlock.type.toString(16).padStart(2, '0')}`);
 
     if (this.currentBlock.data) {
@@ -617,6 +1448,10 @@ export class Tape {
         this.state = 'PULSE_SEQUENCE';
         this.pulseIndex = 0;
         this.pulseSequence = this.currentBlock.pulses;
+        // PZX pulse blocks start at a given level
+        if (this.currentBlock.initialLevel !== undefined) {
+          this.lastEarBit = this.currentBlock.initialLevel;
+        }
         this.nextEdgeCycle = this.cpu.cycles + this.pulseSequence[0];
         console.log(`  Starting PULSE_SEQUENCE: ${this.pulseSequence.length} pulses`);
         break;
@@ -636,6 +1471,40 @@ export class Tape {
         }
         break;
 
+      case this.BLOCK_CSW:
+        this.state = 'PULSE_SEQUENCE';
+        this.pulseIndex = 0;
+        this.pulseSequence = this.currentBlock.pulses;
+        // Standalone CSW files give the initial level; TZX blocks start with an edge
+        this.lastEarBit = this.currentBlock.initialLevel !== undefined
+          ? this.currentBlock.initialLevel
+          : 1 - this.lastEarBit;
+        console.log(`  Starting CSW: ${this.pulseSequence.length} pulses at ${this.currentBlock.sampleRate}Hz`);
+        if (this.pulseSequence.length > 0) {
+          this.nextEdgeCycle = this.cpu.cycles + this.pulseSequence[0];
+        } else {
+          this.handleBlockEnd();
+        }
+        break;
+
+      case this.BLOCK_GENERALIZED_DATA:
+        this.state = 'GENERALIZED';
+        this.pulseIndex = 0; // Pulse within the current symbol
+        this.pulseCount = 0; // Repetitions of the current pilot symbol
+        this.symbolIndex = 0; // Position in the pilot stream, then the data stream
+        this.inPilot = this.currentBlock.pilotStream.length > 0;
+        this.nextEdgeCycle = this.cpu.cycles;
+        console.log(`  Starting GENERALIZED: ${this.currentBlock.pilotStream.length} pilot entries, ${this.currentBlock.totalData} data symbols`);
+        this.tailPlayed = false;
+        // The first pulse starts now, with the first symbol's polarity (PZX data gives the level)
+        if (this.currentBlock.initialLevel !== undefined) {
+          this.lastEarBit = this.currentBlock.initialLevel;
+        } else {
+          this.lastEarBit = 1 - this.lastEarBit;
+        }
+        this.processGeneralizedData(this.cpu.cycles, this.currentBlock);
+        break;
+
       case this.BLOCK_DIRECT_RECORDING:
         this.state = 'DIRECT_RECORDING';
         this.bitPosition = 0;
@@ -650,7 +1519,7 @@ export class Tape {
         console.log(`  Starting PAUSE state for ${this.currentBlock.pause}ms`);
         if (this.currentBlock.pause === 0) {
           console.log('Stop the tape command encountered');
-          this.stop();
+          this.stopAtBlock();
         }
         break;
 
@@ -681,13 +1550,60 @@ export class Tape {
 
       case this.BLOCK_JUMP:
         console.log(`  Jump: offset ${this.currentBlock.jumpOffset}`);
-        this.blockIndex += this.currentBlock.jumpOffset;
+        this.blockIndex = this.resolveBlockOffset(this.blockIndex - 1, this.currentBlock.jumpOffset);
         this.nextBlock(); // Move to next block immediately
         break;
 
+      case this.BLOCK_CALL_SEQUENCE:
+        if (this.currentBlock.calls.length > 0) {
+          console.log(`  Call sequence: ${this.currentBlock.calls.length} calls`);
+          this.callStack.push({ blockIndex: this.blockIndex - 1, callIndex: 0 });
+          this.blockIndex = this.resolveBlockOffset(this.blockIndex - 1, this.currentBlock.calls[0]);
+        }
+        this.nextBlock();
+        break;
+
+      case this.BLOCK_RETURN:
+        if (this.callStack.length > 0) {
+          const call = this.callStack[this.callStack.length - 1];
+          const calls = this.blocks[call.blockIndex].calls;
+          call.callIndex++;
+          if (call.callIndex < calls.length) {
+            console.log(`  Return: next call ${call.callIndex + 1} of ${calls.length}`);
+            this.blockIndex = this.resolveBlockOffset(call.blockIndex, calls[call.callIndex]);
+          } else {
+            console.log('  Return: call sequence complete');
+            this.callStack.pop();
+            this.blockIndex = call.blockIndex + 1;
+          }
+        }
+        this.nextBlock();
+        break;
+
+      case this.BLOCK_SELECT:
+        this.selectBlock(this.currentBlock);
+        break;
+
+      case this.BLOCK_SET_SIGNAL_LEVEL:
+        console.log(`  Set signal level: ${this.currentBlock.level ? 'high' : 'low'}`);
+        this.lastEarBit = this.currentBlock.level;
+        this.nextBlock();
+        break;
+
+      case this.BLOCK_TEXT:
+      case this.BLOCK_ARCHIVE_INFO:
+      case this.BLOCK_HARDWARE:
+        // Metadata for the catalog, nothing to play
+        this.nextBlock();
+        break;
+
       case this.BLOCK_STOP_TAPE_48K:
-        console.log('  Stop tape (48K mode)');
-        this.stop();
+        if (this.is48KMode()) {
+          console.log('  Stop tape (48K mode)');
+          this.stopAtBlock();
+        } else {
+          this.nextBlock();
+        }
         break;
 
       default:
@@ -696,6 +1612,65 @@ export class Tape {
     }
   }
 
+  /**
+   * Convert a TZX relative block offset into an index in the block list
+   * Offsets count every TZX block, including ones that aren't kept for playback
+   */
+  resolveBlockOffset(fromIndex, offset) {
+    const from = this.blocks[fromIndex];
+    const target = (from && from.tzxIndex !== undefined ? from.tzxIndex : fromIndex) + offset;
+
+    for (let i = 0; i < this.blocks.length; i++) {
+      const tzxIndex = this.blocks[i].tzxIndex !== undefined ? this.blocks[i].tzxIndex : i;
+      if (tzxIndex >= target) return i;
+    }
+
+    return this.blocks.length;
+  }
+
+  /**
+   * Offer the choices of a select block (0x28) through onTapeSelect
+   * The tape waits (EAR unchanged) until a choice is made; without a handler,
+   * or for an invalid choice, playback continues with the next block
+   */
+  selectBlock(block) {
+    const selectIndex = this.blockIndex - 1;
+    const options = block.selections.map((selection, index) => ({
+      index,
+      description: selection.description,
+      blockIndex: this.resolveBlockOffset(selectIndex, selection.offset)
+    }));
+
+    if (!this.onTapeSelect || options.length === 0) {
+      console.log(`  Select block with ${options.length} selections - continuing`);
+      this.nextBlock();
+      return;
+    }
+
+    this.state = 'SELECT';
+    this.nextEdgeCycle = Infinity;
+
+    const choose = (choice) => {
+      // Ignore stale choices if the tape moved on in the meantime
+      if (this.currentBlock !== block || this.state !== 'SELECT') return;
+
+      const option = options[choice];
+      if (option) {
+        console.log(`  Selected: ${option.description}`);
+        this.blockIndex = option.blockIndex;
+      }
+      this.state = 'IDLE';
+      this.nextBlock();
+    };
+
+    const result = this.onTapeSelect(options);
+    if (result && typeof result.then === 'function') {
+      result.then(choose, () => choose(-1));
+    } else {
+      choose(result);
+    }
+  }
+
   /**
    * Update tape playback
    * @param {number} cycles - Current CPU cycle count
@@ -721,7 +1696,7 @@ export class Tape {
     }
 
     // Update based on current block type
-    if (this.currentBlock.type === this.BLOCK_STANDARD || this.currentBlock.type === this.BLOCK_TURBO) {
+    if (this.isEdgeBlock(this.currentBlock)) {
       this.updateDataBlock(cycles);
     } else if (this.currentBlock.type === this.BLOCK_PAUSE) {
       this.updatePauseState(cycles);
@@ -731,6 +1706,20 @@ export class Tape {
     return this.lastEarBit;
   }
 
+  /**
+   * Check whether a block produces edges (data, tone, pulse and direct recording blocks)
+   */
+  isEdgeBlock(block) {
+    return block.type === this.BLOCK_STANDARD ||
+      block.type === this.BLOCK_TURBO ||
+      block.type === this.BLOCK_PURE_TONE ||
+      block.type === this.BLOCK_PULSE_SEQUENCE ||
+      block.type === this.BLOCK_PURE_DATA ||
+      block.type === this.BLOCK_DIRECT_RECORDING ||
+      block.type === this.BLOCK_CSW ||
+      block.type === this.BLOCK_GENERALIZED_DATA;
+  }
+
   /**
    * Update standard/turbo data block
    */
@@ -745,12 +1734,14 @@ export class Tape {
       // Handle different block types
       if (block.type === this.BLOCK_PURE_TONE) {
         this.processPureTone(cycles, block);
-      } else if (block.type === this.BLOCK_PULSE_SEQUENCE) {
+      } else if (block.type === this.BLOCK_PULSE_SEQUENCE || block.type === this.BLOCK_CSW) {
         this.processPulseSequence(cycles, block);
       } else if (block.type === this.BLOCK_PURE_DATA) {
         this.processPureData(cycles, block);
       } else if (block.type === this.BLOCK_DIRECT_RECORDING) {
         this.processDirectRecording(cycles, block);
+      } else if (block.type === this.BLOCK_GENERALIZED_DATA) {
+        this.processGeneralizedData(cycles, block);
       } else {
         // Standard and turbo blocks
         this.processEdge(cycles, block);
@@ -768,8 +1759,8 @@ export class Tape {
         this.nextEdgeCycle += block.pilotPulse;
         this.edgeCount++;
 
-        // Each pulse consists of 2 edges
-        if (this.edgeCount >= block.pilotPulses * 2) {
+        // Each pilot pulse ends with an edge
+        if (this.edgeCount >= block.pilotPulses) {
           console.log(`Pilot complete after ${this.edgeCount} edges`);
           this.state = 'SYNC1';
           this.nextEdgeCycle = cycles + block.sync1Pulse;
@@ -854,8 +1845,8 @@ export class Tape {
     this.edgeCount++;
     this.nextEdgeCycle += block.pulseLength;
 
-    if (this.edgeCount >= block.pulseCount * 2) {
-      console.log(`Pure tone complete: ${this.edgeCount / 2} pulses`);
+    if (this.edgeCount >= block.pulseCount) {
+      console.log(`Pure tone complete: ${this.edgeCount} pulses`);
       this.handleBlockEnd();
     }
   }
@@ -866,11 +1857,11 @@ export class Tape {
   processPulseSequence(cycles, block) {
     this.pulseIndex++;
 
-    if (this.pulseIndex >= this.pulseSequence.length) {
-      console.log(`Pulse sequence complete: ${this.pulseSequence.length} pulses`);
+    if (this.pulseIndex >= block.pulses.length) {
+      console.log(`Pulse sequence complete: ${block.pulses.length} pulses`);
       this.handleBlockEnd();
     } else {
-      this.nextEdgeCycle = cycles + this.pulseSequence[this.pulseIndex];
+      this.nextEdgeCycle += block.pulses[this.pulseIndex];
     }
   }
 
@@ -915,6 +1906,104 @@ export class Tape {
     }
   }
 
+  /**
+   * Process generalized data block: start the next pulse of the pilot/sync stream,
+   * then of the data stream. The EAR level has already been toggled; the first pulse
+   * of each symbol applies the symbol's polarity instead.
+   */
+  processGeneralizedData(cycles, block) {
+    const symbol = this.getGeneralizedSymbol(block);
+
+    if (!symbol) {
+      // PZX data ends with an optional tail pulse
+      if (block.tail && !this.tailPlayed) {
+        this.tailPlayed = true;
+        this.nextEdgeCycle += block.tail;
+        return;
+      }
+      console.log(`Generalized data complete: ${block.totalData} symbols`);
+      this.handleBlockEnd();
+      return;
+    }
+
+    if (this.pulseIndex === 0) {
+      switch (symbol.polarity) {
+        case 1: // Same level as the previous pulse (no edge)
+          this.lastEarBit = 1 - this.lastEarBit;
+          break;
+        case 2: // Force low
+          this.lastEarBit = 0;
+          break;
+        case 3: // Force high
+          this.lastEarBit = 1;
+          break;
+      }
+    }
+
+    this.nextEdgeCycle += symbol.pulses[this.pulseIndex];
+
+    // Advance to the next pulse, symbol repetition or symbol
+    if (++this.pulseIndex >= symbol.pulses.length) {
+      this.pulseIndex = 0;
+      if (this.inPilot) {
+        if (++this.pulseCount >= block.pilotStream[this.symbolIndex].repetitions) {
+          this.pulseCount = 0;
+          this.symbolIndex++;
+        }
+      } else {
+        this.symbolIndex++;
+      }
+    }
+  }
+
+  /**
+   * Get the current symbol of a generalized data block (skipping empty symbols)
+   * @returns {Object|null} Symbol definition, or null at the end of the block
+   */
+  getGeneralizedSymbol(block) {
+    for (;;) {
+      let symbol;
+
+      if (this.inPilot) {
+        if (this.symbolIndex >= block.pilotStream.length) {
+          this.inPilot = false;
+          this.symbolIndex = 0;
+          this.pulseCount = 0;
+          continue;
+        }
+        const entry = block.pilotStream[this.symbolIndex];
+        symbol = entry.repetitions > 0 ? block.pilotSymbols[entry.symbol] : null;
+        if (!symbol || symbol.pulses.length === 0) {
+          this.symbolIndex++;
+          continue;
+        }
+      } else {
+        if (this.symbolIndex >= block.totalData) return null;
+        symbol = block.dataSymbols[this.readSymbol(block, this.symbolIndex)];
+        if (!symbol || symbol.pulses.length === 0) {
+          this.symbolIndex++;
+          continue;
+        }
+      }
+
+      return symbol;
+    }
+  }
+
+  /**
+   * Read a symbol from a generalized data stream (bitsPerSymbol bits, MSB first)
+   */
+  readSymbol(block, index) {
+    let value = 0;
+    let bit = index * block.bitsPerSymbol;
+
+    for (let i = 0; i < block.bitsPerSymbol; i++, bit++) {
+      value = (value << 1) | ((block.data[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+
+    return value;
+  }
+
   /**
    * Process direct recording block
    */
@@ -956,8 +2045,8 @@ export class Tape {
       const elapsed = cycles - this.lastUpdateCycle;
       this.pauseCycles -= elapsed;
 
-      // During pause, keep EAR bit low (0)
-      this.lastEarBit = 0;
+      // During pause, keep EAR bit low (PZX pauses give their level)
+      this.lastEarBit = this.currentBlock.type === this.BLOCK_PAUSE && this.currentBlock.level ? 1 : 0;
 
       if (this._pauseLogCount < 3) {
         console.log(`updatePauseState: cycles=${cycles}, elapsed=${elapsed}, pauseCycles remaining=${this.pauseCycles}`);
@@ -1000,6 +2089,683 @@ export class Tape {
     }
   }
 
+  /**
+   * Flash-load a standard block when the ROM LD-BYTES routine (0x0556) is called
+   * Entry: A = expected flag byte, IX = destination, DE = length, carry set to LOAD (clear to VERIFY)
+   * Exit is through SA/LD-RET, which restores the border and re-enables interrupts
+   * @returns {boolean} true if the block was loaded, false to run the real routine
+   */
+  flashLoad() {
+    const cpu = this.cpu;
+    const memory = this.spectrum.memory;
+
+    if (cpu.pc !== this.ROM_LD_BYTES) return false;
+
+    // Only trap the 48K BASIC ROM (not ROM 0 of the 128K or a custom ROM)
+    for (let i = 0; i < this.ROM_LD_BYTES_CODE.length; i++) {
+      if (memory.read(this.ROM_LD_BYTES + i) !== this.ROM_LD_BYTES_CODE[i]) return false;
+    }
+
+    const index = this.findFlashLoadBlock();
+    if (index < 0) return false;
+
+    const data = this.blocks[index].data;
+    const load = (cpu.f & 0x01) !== 0;
+    const requested = cpu.getDE();
+
+    // The ROM saves the entry AF in AF' and disables interrupts
+    cpu.a_ = cpu.a;
+    cpu.f_ = cpu.f;
+    cpu.iff1 = cpu.iff2 = false;
+
+    let parity = data[0];
+    let count = 0;
+    let lastByte = 1;
+    let ok = data[0] === cpu.a;
+
+    // Transfer bytes to IX, stopping at a verify mismatch or the end of the block
+    while (ok && count < requested && count + 1 < data.length) {
+      const byte = data[count + 1];
+      const addr = (cpu.ix + count) & 0xffff;
+
+      if (load) {
+        memory.write(addr, byte);
+      } else if (memory.read(addr) !== byte) {
+        ok = false;
+        break;
+      }
+
+      parity ^= byte;
+      lastByte = byte;
+      count++;
+    }
+
+    if (ok && count === requested && count + 1 < data.length) {
+      // LD A,H / CP 1: carry set only if the checksum byte cancels the parity
+      parity ^= data[count + 1];
+      const result = (parity - 1) & 0xff;
+      cpu.a = parity;
+      cpu.f = (result & 0x80) | (result === 0 ? 0x40 : 0) |
+        ((parity & 0x0f) < 1 ? 0x10 : 0) | (parity === 0x80 ? 0x04 : 0) | 0x02 | (parity < 1 ? 0x01 : 0);
+      cpu.b = 0xb0;
+      cpu.c = 0x01;
+    } else {
+      // Wrong flag byte, block too short or verify mismatch
+      cpu.f &= ~0x01;
+      cpu.b = 0;
+    }
+
+    cpu.h = parity;
+    cpu.l = lastByte;
+    cpu.ix = (cpu.ix + count) & 0xffff;
+    cpu.setDE(requested - count);
+    cpu.pc = this.ROM_SA_LD_RET;
+
+    console.log(`Flash-loaded block ${index}: ${count} of ${requested} bytes, ${(cpu.f & 0x01) ? 'OK' : 'error'}`);
+
+    this.skipToBlock(index + 1);
+    return true;
+  }
+
+  /**
+   * Find the standard block the ROM loader would read next
+   * @returns {number} Block index, or -1 if the next block needs the real-time path
+   */
+  findFlashLoadBlock() {
+    let index = this.blockIndex;
+
+    if (this.currentBlock) {
+      if (this.state === 'PILOT') {
+        // Still in the pilot tone: the loader hasn't synchronised yet
+        index = this.blockIndex - 1;
+      } else if (this.state !== 'PAUSE' && this.state !== 'IDLE') {
+        return -1;
+      }
+    }
+
+    while (index < this.blocks.length && this.isSilentBlock(this.blocks[index])) {
+      index++;
+    }
+
+    const block = this.blocks[index];
+    if (!block || block.type !== this.BLOCK_STANDARD || !block.data || block.data.length === 0) {
+      return -1;
+    }
+
+    return index;
+  }
+
+  /**
+   * Stop-the-tape block (0x20 with no pause, or 0x2A in 48K mode)
+   * When rendering a WAV, leave a gap and carry on, as a user would press play again
+   */
+  stopAtBlock() {
+    if (this.rendering) {
+      this.state = 'PAUSE';
+      this.pauseCycles = this.RENDER_STOP_GAP * this.CYCLES_PER_MS;
+      this.nextEdgeCycle = Infinity;
+      return;
+    }
+
+    this.stop();
+  }
+
+  /**
+   * Check for 48K mode: a 48K machine, or a 128K with paging locked
+   */
+  is48KMode() {
+    const memory = this.spectrum.memory;
+    if (!memory || !memory.machine.paging) return true;
+    return (memory.pagingPort & 0x20) !== 0;
+  }
+
+  /**
+   * Check whether a block produces no signal (pauses and metadata)
+   */
+  isSilentBlock(block) {
+    return block.type === this.BLOCK_PAUSE ||
+      block.type === this.BLOCK_TEXT ||
+      block.type === this.BLOCK_ARCHIVE_INFO ||
+      block.type === this.BLOCK_HARDWARE;
+  }
+
+  /**
+   * Continue from a block after a flash load (playback resumes there if the tape is running)
+   */
+  skipToBlock(index) {
+    const tapeTime = this.tapeTime + (this.currentBlock ? this.getBlockDuration(this.currentBlock) : 0);
+    this.reset();
+    this.blockIndex = index;
+    this.tapeTime = this.getBlockStartTime(index, tapeTime);
+
+    if (this.blockIndex >= this.blocks.length) {
+      this.endOfTape = true;
+      if (this.playing) {
+        this.playing = false;
+        this.paused = false;
+        this.emitEvent('end', false);
+      }
+    } else if (this.playing) {
+      this.nextBlock();
+    }
+  }
+
+  /**
+   * Move the tape to a block, e.g. from a tape browser
+   * Playback continues from there if the tape is running
+   */
+  seekToBlock(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.blocks.length) {
+      throw new Error(`Invalid block index: ${index}`);
+    }
+
+    this.endOfTape = false;
+    this.skipToBlock(index);
+
+    // Edges of the new block count from the seek, not from when the tape was paused
+    if (this.paused) {
+      this.pauseStartCycle = this.cpu.cycles;
+    }
+  }
+
+  /**
+   * Move the tape to a time, e.g. from a progress bar
+   * The block playing at that time starts part-way through (mid-pilot, mid-data or
+   * in its pause), with the loop and call state it has when the tape plays through
+   * @param {number} seconds - Time from the start of the tape
+   */
+  seekToTime(seconds) {
+    if (!Number.isFinite(seconds)) {
+      throw new Error(`Invalid tape time: ${seconds}`);
+    }
+
+    const time = Math.max(0, seconds) * this.CYCLES_PER_MS * 1000;
+    const entry = this.getTimeline().find((item) => item.duration > 0 && time < item.start + item.duration);
+
+    this.endOfTape = false;
+    if (!entry) {
+      this.skipToBlock(this.blocks.length);
+      return;
+    }
+
+    this.reset();
+    this.blockIndex = entry.index;
+    this.tapeTime = entry.start;
+    this.loopStack = entry.loopStack.map((loop) => ({ ...loop }));
+    this.callStack = entry.callStack.map((call) => ({ ...call }));
+
+    const offset = Math.floor(time - entry.start);
+    if (this.playing) {
+      this.startBlockAt(offset);
+      if (this.paused) {
+        this.pauseStartCycle = this.cpu.cycles;
+      }
+    } else {
+      this.seekOffset = offset; // Applied when the tape is played
+    }
+  }
+
+  /**
+   * Start the next block as if it had begun offset T-states ago, playing its
+   * edges up to the current cycle
+   */
+  startBlockAt(offset) {
+    const cpu = this.cpu;
+    const { playing, paused } = this;
+    const clock = { cycles: cpu.cycles - offset };
+
+    this.cpu = clock;
+    this.playing = true;
+    this.paused = false;
+    this.lastUpdateCycle = clock.cycles;
+
+    try {
+      this.nextBlock();
+      while (this.playing && clock.cycles < cpu.cycles) {
+        const next = this.state === 'PAUSE' ? cpu.cycles : Math.min(this.nextEdgeCycle, cpu.cycles);
+        if (next <= clock.cycles) break; // No edge pending
+        clock.cycles = next;
+        this.update(next);
+      }
+    } finally {
+      this.cpu = cpu;
+      this.playing = playing;
+      this.paused = paused;
+      this.lastUpdateCycle = cpu.cycles;
+    }
+  }
+
+  /**
+   * Blocks in playing order with their start times, following loops, jumps and
+   * call sequences (select blocks take the next block, stop blocks carry on)
+   * @returns {Array<Object>} { index, start, duration } in T-states, with the loop
+   *   and call stacks as the block starts
+   */
+  getTimeline() {
+    if (this.timeline && this.timeline.blocks === this.blocks) {
+      return this.timeline.entries;
+    }
+
+    const entries = [];
+    const loopStack = [];
+    const callStack = [];
+    const limit = this.TIMELINE_LIMIT * this.CYCLES_PER_MS * 1000;
+    let index = 0;
+    let time = 0;
+
+    // The step count stops jumps that loop forever without playing anything
+    for (let steps = 0; index < this.blocks.length && time < limit && steps < 1000000; steps++) {
+      const block = this.blocks[index];
+
+      switch (block.type) {
+        case this.BLOCK_LOOP_START:
+          loopStack.push({ blockIndex: index, counter: block.repetitions });
+          index++;
+          break;
+
+        case this.BLOCK_LOOP_END: {
+          const loop = loopStack[loopStack.length - 1];
+          if (loop && --loop.counter > 0) {
+            index = loop.blockIndex + 1;
+          } else {
+            loopStack.pop();
+            index++;
+          }
+          break;
+        }
+
+        case this.BLOCK_JUMP:
+          index = this.resolveBlockOffset(index, block.jumpOffset);
+          break;
+
+        case this.BLOCK_CALL_SEQUENCE:
+          if (block.calls.length > 0) {
+            callStack.push({ blockIndex: index, callIndex: 0 });
+            index = this.resolveBlockOffset(index, block.calls[0]);
+          } else {
+            index++;
+          }
+          break;
+
+        case this.BLOCK_RETURN: {
+          const call = callStack[callStack.length - 1];
+          if (!call) {
+            index++;
+          } else if (++call.callIndex < this.blocks[call.blockIndex].calls.length) {
+            index = this.resolveBlockOffset(call.blockIndex, this.blocks[call.blockIndex].calls[call.callIndex]);
+          } else {
+            callStack.pop();
+            index = call.blockIndex + 1;
+          }
+          break;
+        }
+
+        default: {
+          const duration = this.getBlockDuration(block);
+          entries.push({
+            index,
+            start: time,
+            duration,
+            loopStack: loopStack.map((loop) => ({ ...loop })),
+            callStack: callStack.map((call) => ({ ...call }))
+          });
+          time += duration;
+          index++;
+        }
+      }
+    }
+
+    this.timeline = { blocks: this.blocks, entries };
+    return entries;
+  }
+
+  /**
+   * Tape time (T-states) at which a block starts: its first start at or after from,
+   * or its first start on the tape
+   */
+  getBlockStartTime(index, from = 0) {
+    const timeline = this.getTimeline();
+    if (index >= this.blocks.length) return this.getLength();
+
+    const starts = timeline.filter((entry) => entry.index === index);
+    const entry = starts.find((item) => item.start >= from) || starts[0];
+    return entry ? entry.start : from;
+  }
+
+  /**
+   * Total playing time in T-states
+   */
+  getLength() {
+    const timeline = this.getTimeline();
+    const last = timeline[timeline.length - 1];
+    return last ? last.start + last.duration : 0;
+  }
+
+  /**
+   * Tape counter in T-states
+   */
+  getPosition() {
+    if (!this.currentBlock) {
+      return this.tapeTime + this.seekOffset;
+    }
+
+    const now = this.paused ? this.pauseStartCycle : this.cpu.cycles;
+    const offset = Math.min(Math.max(now - this.blockStartCycle, 0), this.getBlockDuration(this.currentBlock));
+    return this.tapeTime + offset;
+  }
+
+  /**
+   * Total playing time in seconds
+   */
+  getTotalTime() {
+    return this.getLength() / (this.CYCLES_PER_MS * 1000);
+  }
+
+  /**
+   * Time played so far in seconds
+   */
+  getElapsedTime() {
+    return this.getPosition() / (this.CYCLES_PER_MS * 1000);
+  }
+
+  /**
+   * Time left to play in seconds
+   */
+  getRemainingTime() {
+    return Math.max(0, this.getLength() - this.getPosition()) / (this.CYCLES_PER_MS * 1000);
+  }
+
+  /**
+   * Render the whole tape to a WAV file without running the CPU, e.g. to load real hardware
+   * Blocks play through the same state machine as emulated playback on a virtual clock,
+   * following loops, jumps and call sequences; select blocks take the next block
+   * @param {Object} options - sampleRate (Hz), amplitude (0-1 of full scale), invert,
+   *   maxSeconds (limit for tapes that loop forever)
+   * @returns {Uint8Array} 8-bit mono RIFF WAV
+   */
+  exportWAV({ sampleRate = 44100, amplitude = 0.8, invert = false, maxSeconds = 3600 } = {}) {
+    const { edges, initialLevel, length } = this.renderEdges(maxSeconds * this.CYCLES_PER_MS * 1000);
+
+    const tstatesPerSample = (this.CYCLES_PER_MS * 1000) / sampleRate;
+    const sampleCount = Math.ceil(length / tstatesPerSample);
+    const wav = this.createWAVHeader(sampleCount, sampleRate);
+    const scale = amplitude * 127 * (invert ? -1 : 1);
+
+    // Each sample is the average level over its period, so edges keep sub-sample timing
+    let level = initialLevel;
+    let edgeIndex = 0;
+    for (let i = 0; i < sampleCount; i++) {
+      const start = i * tstatesPerSample;
+      const end = start + tstatesPerSample;
+      let time = start;
+      let high = 0;
+
+      while (edgeIndex < edges.length && edges[edgeIndex] < end) {
+        if (level) high += edges[edgeIndex] - time;
+        time = edges[edgeIndex++];
+        level ^= 1;
+      }
+      if (level) high += end - time;
+
+      const value = scale * (2 * high / tstatesPerSample - 1);
+      wav[44 + i] = 128 + Math.sign(value) * Math.round(Math.abs(value)); // Symmetric rounding
+    }
+
+    return wav;
+  }
+
+  /**
+   * Play the tape from the start on a virtual clock and record every level change
+   * Playback state is restored afterwards
+   * @returns {{ edges: Array<number>, initialLevel: number, length: number }} T-states
+   */
+  renderEdges(limit) {
+    const saved = { ...this };
+    const clock = { cycles: 0 };
+    const edges = [];
+    let initialLevel = 0;
+    let time = 0;
+
+    Object.assign(this, {
+      cpu: clock,
+      rendering: true,
+      onTapeEvent: null,
+      onTapeSelect: null,
+      loopStack: [],
+      callStack: []
+    });
+
+    try {
+      this.reset();
+      this.blockIndex = 0;
+      this.playing = this.blocks.length > 0;
+      this.paused = false;
+      this.lastUpdateCycle = 0;
+      if (this.playing) this.nextBlock();
+
+      let level = initialLevel = this.lastEarBit;
+      while (this.playing && time < limit) {
+        // Pauses advance in 1ms steps: the level drops 1ms into a pause
+        const target = this.state === 'PAUSE'
+          ? this.lastUpdateCycle + Math.min(this.pauseCycles, this.CYCLES_PER_MS)
+          : this.nextEdgeCycle;
+        if (!Number.isFinite(target)) break;
+
+        time = Math.max(time, target);
+        clock.cycles = time;
+        const bit = this.update(time);
+        if (bit !== level) {
+          edges.push(time);
+          level = bit;
+        }
+      }
+
+      if (time >= limit) {
+        console.warn(`Tape render stopped after ${limit / (this.CYCLES_PER_MS * 1000)}s`);
+      }
+    } finally {
+      Object.assign(this, saved);
+    }
+
+    return { edges, initialLevel, length: time };
+  }
+
+  /**
+   * RIFF header for 8-bit mono PCM, followed by room for the samples
+   */
+  createWAVHeader(sampleCount, sampleRate) {
+    const wav = new Uint8Array(44 + sampleCount);
+    const ascii = (offset, text) => {
+      for (let i = 0; i < text.length; i++) wav[offset + i] = text.charCodeAt(i);
+    };
+    const dword = (offset, value) => {
+      wav[offset] = value & 0xff;
+      wav[offset + 1] = (value >> 8) & 0xff;
+      wav[offset + 2] = (value >> 16) & 0xff;
+      wav[offset + 3] = (value >>> 24) & 0xff;
+    };
+
+    ascii(0, 'RIFF');
+    dword(4, 36 + sampleCount);
+    ascii(8, 'WAVE');
+    ascii(12, 'fmt ');
+    dword(16, 16);
+    wav[20] = WAV_FORMAT_PCM;
+    wav[22] = 1; // Mono
+    dword(24, sampleRate);
+    dword(28, sampleRate); // Byte rate
+    wav[32] = 1; // Block align
+    wav[34] = 8; // Bits per sample
+    ascii(36, 'data');
+    dword(40, sampleCount);
+
+    return wav;
+  }
+
+  /**
+   * Describe every block for a tape browser
+   * @returns {Array<Object>} { index, type, name, duration (T-states), seconds, ... } per block,
+   *   with flag, checksumValid and the decoded header for data blocks, and text, info or
+   *   hardware for metadata blocks
+   */
+  getCatalog() {
+    return this.blocks.map((block, index) => {
+      const duration = this.getBlockDuration(block);
+      const entry = {
+        index,
+        type: block.type,
+        name: BLOCK_NAMES[block.type] || 'Unknown',
+        duration,
+        seconds: duration / (this.CYCLES_PER_MS * 1000)
+      };
+
+      if (block.pause !== undefined) entry.pause = block.pause;
+
+      if (this.hasByteData(block)) {
+        entry.length = block.data.length;
+        entry.flag = block.data[0];
+        entry.checksumValid = block.data.length > 1 &&
+          block.data.reduce((parity, byte) => parity ^ byte, 0) === 0;
+        entry.header = this.decodeHeader(block.data);
+      }
+
+      if (block.type === this.BLOCK_TEXT) entry.text = block.text;
+      if (block.type === this.BLOCK_ARCHIVE_INFO) entry.info = this.decodeArchiveInfo(block.info);
+      if (block.type === this.BLOCK_HARDWARE) entry.hardware = block.hardware.map((hardware) => this.decodeHardware(hardware));
+      if (block.type === this.BLOCK_SELECT) entry.selections = block.selections.map((selection) => selection.description);
+
+      return entry;
+    });
+  }
+
+  /**
+   * Check whether a block carries whole bytes (flag, payload, checksum)
+   * Generalized blocks qualify with one bit per symbol, as PZX data blocks are loaded
+   */
+  hasByteData(block) {
+    if (!block.data || block.data.length === 0) return false;
+    if (block.type === this.BLOCK_GENERALIZED_DATA) {
+      return block.bitsPerSymbol === 1 && block.totalData === block.data.length * 8;
+    }
+    return block.type === this.BLOCK_STANDARD || block.type === this.BLOCK_TURBO ||
+      block.type === this.BLOCK_PURE_DATA;
+  }
+
+  /**
+   * Decode a Spectrum ROM header block (flag 0x00, 17 bytes + checksum)
+   * @returns {Object|null} { type, name, length, autostart, variables, variable, start }
+   */
+  decodeHeader(data) {
+    if (data.length !== 19 || data[0] !== 0x00 || data[1] > 3) return null;
+
+    const word = (offset) => data[offset] | (data[offset + 1] << 8);
+    const header = {
+      type: HEADER_TYPES[data[1]],
+      name: String.fromCharCode(...data.subarray(2, 12)).replace(/ +$/, ''),
+      length: word(12)
+    };
+    const param1 = word(14);
+
+    switch (data[1]) {
+      case 0: // Program: autostart line (none if >= 32768) and program length without variables
+        header.autostart = param1 < 32768 ? param1 : null;
+        header.variables = word(16);
+        break;
+      case 1: // Arrays: variable letter in the high byte of parameter 1
+      case 2:
+        header.variable = String.fromCharCode(0x60 + (data[15] & 0x1f)) + (data[1] === 2 ? '$' : '');
+        break;
+      case 3: // Bytes: start address
+        header.start = param1;
+        break;
+    }
+
+    return header;
+  }
+
+  /**
+   * Archive info entries as an object keyed by field name (title, author, ...)
+   */
+  decodeArchiveInfo(info) {
+    const fields = {};
+    for (const { id, text } of info) {
+      fields[ARCHIVE_FIELDS[id] || `0x${id.toString(16).padStart(2, '0')}`] = text;
+    }
+    return fields;
+  }
+
+  /**
+   * Hardware type entry with readable type, computer and support names
+   */
+  decodeHardware({ type, id, support }) {
+    return {
+      type: HARDWARE_TYPES[type] || `0x${type.toString(16).padStart(2, '0')}`,
+      id: type === 0 && HARDWARE_COMPUTERS[id] ? HARDWARE_COMPUTERS[id] : id,
+      support: HARDWARE_SUPPORT[support] || 'unknown'
+    };
+  }
+
+  /**
+   * Playing time of a block in T-states, including the pause after it
+   */
+  getBlockDuration(block) {
+    const pause = (block.pause || 0) * this.CYCLES_PER_MS;
+    const sum = (pulses) => pulses.reduce((total, pulse) => total + pulse, 0);
+
+    // Two pulses per bit, usedBits in the last byte
+    const dataTStates = () => {
+      let total = 0;
+      const bits = (block.data.length - 1) * 8 + (block.usedBits || 8);
+      for (let bit = 0; bit < bits; bit++) {
+        const set = (block.data[bit >> 3] >> (7 - (bit & 7))) & 1;
+        total += 2 * (set ? block.onePulse : block.zeroPulse);
+      }
+      return block.data.length > 0 ? total : 0;
+    };
+
+    switch (block.type) {
+      case this.BLOCK_STANDARD:
+      case this.BLOCK_TURBO:
+        return block.pilotPulse * block.pilotPulses + block.sync1Pulse + block.sync2Pulse + dataTStates() + pause;
+
+      case this.BLOCK_PURE_DATA:
+        return dataTStates() + pause;
+
+      case this.BLOCK_PURE_TONE:
+        return block.pulseLength * block.pulseCount;
+
+      case this.BLOCK_PULSE_SEQUENCE:
+        return sum(block.pulses);
+
+      case this.BLOCK_DIRECT_RECORDING: {
+        const samples = block.data.length > 0 ? (block.data.length - 1) * 8 + (block.usedBits || 8) : 0;
+        return samples * block.tStatesPerSample + pause;
+      }
+
+      case this.BLOCK_CSW:
+        return sum(block.pulses) + pause;
+
+      case this.BLOCK_GENERALIZED_DATA: {
+        let total = 0;
+        for (const entry of block.pilotStream) {
+          const symbol = block.pilotSymbols[entry.symbol];
+          if (symbol) total += entry.repetitions * sum(symbol.pulses);
+        }
+        for (let i = 0; i < block.totalData; i++) {
+          const symbol = block.dataSymbols[this.readSymbol(block, i)];
+          if (symbol) total += sum(symbol.pulses);
+        }
+        return total + (block.tail || 0) + pause;
+      }
+
+      case this.BLOCK_PAUSE:
+        return pause;
+
+      default:
+        return 0;
+    }
+  }
+
   /**
    * Get current EAR bit for tape input
    * @returns {number} Current EAR bit (0 or 1)
@@ -1021,7 +2787,10 @@ export class Tape {
       currentBlock: currentBlockNum,
       position: this.bytePosition,
       blockSize: this.currentBlock && this.currentBlock.data ? this.currentBlock.data.length : 0,
-      state: this.state
+      state: this.state,
+      totalTime: this.getTotalTime(),
+      elapsedTime: this.getElapsedTime(),
+      remainingTime: this.getRemainingTime()
     };
   }
 }
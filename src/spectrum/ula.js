@@ -1,9 +1,15 @@
+import { getMachine } from './machines.js';
+
+// Wait states for a contended access, by T-state within each 8 T-state ULA fetch
+const CONTENTION_PATTERN = [6, 5, 4, 3, 2, 1, 0, 0];
+
 /**
  * ZX Spectrum ULA (Uncommitted Logic Array) chip emulation
  * Handles keyboard, border, speaker, and I/O
  */
 export class ULA {
-  constructor() {
+  constructor(machine = '48k') {
+    this.machine = getMachine(machine);
     this.borderColor = 7; // White
     this.speakerState = false;
     this.keyboardState = new Uint8Array(8); // 8 half-rows
@@ -12,16 +18,19 @@ export class ULA {
     // Border color history for accurate rendering (simulate CRT beam)
     this.borderHistory = [];
     this.cpu = null; // Reference to CPU for accurate T-state tracking
+    this.memory = null; // Reference to memory for 128K paging (port 0x7FFD)
+    this.ay = null; // Reference to AY sound chip (ports 0xFFFD/0xBFFD)
+    this.joystick = null; // Reference to joystick interface (port 0x1F / keys)
+    this.recorder = null; // Reference to tape recorder (MIC output)
+    this.tape = null; // Reference to tape (loader detection on EAR reads)
     this.frameStartBorderColor = 7; // Border color at start of frame
     this.frameStartTState = 0; // T-state at start of frame
 
-    // Scanline tracking (per specification: 312 scanlines, 224 T-states each)
+    // Scanline tracking (48K: 312 scanlines of 224 T-states, 128K: 311 of 228)
     this.currentScanline = 0;
     this.scanlineTStates = 0;
-    this.TSTATES_PER_SCANLINE = 224;
-    this.TOTAL_SCANLINES = 312;
-    this.interruptRequested = false;
-    this.floatingBusValue = 0xFF; // For undefined port reads
+    this.TSTATES_PER_SCANLINE = this.machine.tstatesPerLine;
+    this.TOTAL_SCANLINES = this.machine.scanlines;
 
     // Keyboard matrix (8 rows × 5 columns)
     // Each bit represents a key state (0 = pressed, 1 = released)
@@ -109,9 +118,18 @@ export class ULA {
         // If bit is 0 in high byte, check that row
         if ((highByte & (1 << row)) === 0) {
           result &= this.keyboardState[row];
+          // Sinclair and Cursor joysticks act as keys
+          if (this.joystick) {
+            result &= this.joystick.getKeyboardRow(row);
+          }
         }
       }
 
+      // Let the tape start or pause itself when a loader polls the EAR bit
+      if (this.tape && this.cpu) {
+        this.tape.detectLoader(this.cpu.tstates, this.cpu.b);
+      }
+
       // Bit 6: EAR input (tape)
       // When earBit is true (signal HIGH), bit 6 should be 1
       // When earBit is false (signal LOW), bit 6 should be 0
@@ -121,24 +139,74 @@ export class ULA {
         result &= ~0x40;
       }
 
-      // Update floating bus value for this read
-      this.floatingBusValue = result;
-
       return result;
     }
 
-    // Floating bus: return last value read from data bus for undefined ports
-    // This matches real hardware behavior
-    return this.floatingBusValue;
+    // Port 0x1F: Kempston joystick (decoded on A5=0)
+    if (this.joystick && (port & 0x00e0) === 0) {
+      const value = this.joystick.readKempston();
+      if (value !== null) {
+        return value;
+      }
+    }
+
+    // Port 0xFFFD: AY register read (decoded on A15=1, A14=1, A1=0)
+    if (this.ay && (port & 0xc002) === 0xc000) {
+      return this.ay.readData();
+    }
+
+    // Floating bus: unattached ports read whatever the ULA is fetching (port 0xFF)
+    return this.getFloatingBusValue();
+  }
+
+  /**
+   * Byte on the data bus when no device drives it. In each 8 T-state group of the
+   * 128 T-state line fetch the ULA reads bitmap, attribute, bitmap+1, attribute+1
+   * (48K: T-states 14338-14341 for the first group), then leaves the bus idle (0xFF).
+   * Borders and blanking are idle too.
+   */
+  getFloatingBusValue() {
+    if (!this.cpu || !this.memory) return 0xff;
+
+    const t = this.cpu.tstates - this.frameStartTState - this.machine.contentionStart;
+    if (t < 0) return 0xff;
+
+    const line = Math.floor(t / this.TSTATES_PER_SCANLINE);
+    const position = t - line * this.TSTATES_PER_SCANLINE;
+    if (line >= 192 || position >= 128) return 0xff;
+
+    const phase = position & 7;
+    if (phase < 3 || phase > 6) return 0xff;
+
+    const column = (position >> 3) * 2 + (phase >= 5 ? 1 : 0);
+    const screen = this.memory.banks[this.memory.screenBank];
+    if (phase === 3 || phase === 5) {
+      return screen[((line & 0xc0) << 5) | ((line & 0x07) << 8) | ((line & 0x38) << 2) | column];
+    }
+    return screen[0x1800 + (line >> 3) * 32 + column];
   }
 
   /**
    * Write to I/O port
    */
   write(port, value) {
-    port &= 0xff;
+    port &= 0xffff;
     value &= 0xff;
 
+    // Port 0x7FFD: 128K memory paging (decoded on A15=0, A1=0)
+    if ((port & 0x8002) === 0 && this.memory && this.machine.paging) {
+      this.memory.setPagingPort(value);
+    }
+
+    // Port 0xFFFD: AY register select, port 0xBFFD: AY register write
+    if (this.ay && (port & 0x8002) === 0x8000) {
+      if (port & 0x4000) {
+        this.ay.selectRegister(value);
+      } else {
+        this.ay.writeData(value);
+      }
+    }
+
     // Port 0xFE: Border color and speaker
     if ((port & 0x01) === 0) {
       // Bits 0-2: Border color
@@ -162,6 +230,10 @@ export class ULA {
       const speakerBit = (value & 0x10) !== 0;
       const newSpeakerState = micBit || speakerBit; // OR (both go to speaker)
 
+      if (this.recorder) {
+        this.recorder.recordEdge(this.cpu ? this.cpu.tstates : 0, micBit);
+      }
+
       // Debug logging - add timestamp to track periodic changes
       if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
         if (newSpeakerState !== this.speakerState) {
@@ -258,12 +330,52 @@ export class ULA {
     this.cpu = cpu;
   }
 
+  /**
+   * Set memory reference for 128K paging
+   */
+  setMemory(memory) {
+    this.memory = memory;
+  }
+
+  /**
+   * Set AY sound chip reference
+   */
+  setAY(ay) {
+    this.ay = ay;
+  }
+
+  /**
+   * Set joystick interface reference
+   */
+  setJoystick(joystick) {
+    this.joystick = joystick;
+  }
+
+  /**
+   * Set tape reference (notified of EAR reads to detect loaders)
+   */
+  setTape(tape) {
+    this.tape = tape;
+  }
+
+  /**
+   * Set tape recorder reference (receives MIC output edges)
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
   /**
    * Reset border history for new frame
+   * @param {number} frameStart - Absolute T-state at which the frame starts (default: now)
    */
-  resetFrameTStates() {
+  resetFrameTStates(frameStart = null) {
     this.frameStartBorderColor = this.borderColor;
-    this.frameStartTState = this.cpu ? this.cpu.tstates : 0;
+    if (frameStart !== null) {
+      this.frameStartTState = frameStart;
+    } else {
+      this.frameStartTState = this.cpu ? this.cpu.tstates : 0;
+    }
     this.borderHistory = [];
   }
 
@@ -280,27 +392,87 @@ export class ULA {
 
       if (this.currentScanline >= this.TOTAL_SCANLINES) {
         this.currentScanline = 0;
-        this.interruptRequested = true;
       }
     }
   }
 
   /**
-   * Check if interrupt is requested and clear the flag
+   * Check whether INT is asserted at `tstates` (absolute): the ULA holds it for the
+   * first intLength T-states of each frame, and the CPU samples it at instruction boundaries
    */
-  checkInterrupt() {
-    const requested = this.interruptRequested;
-    this.interruptRequested = false;
-    return requested;
+  checkInterrupt(tstates) {
+    const t = tstates - this.frameStartTState;
+    return t >= 0 && t < this.machine.intLength;
   }
 
   /**
-   * Get current scanline (0-311)
+   * Get current scanline (0-311 on the 48K, 0-310 on the 128K)
    */
   getCurrentScanline() {
     return this.currentScanline;
   }
 
+  /**
+   * Wait states a contended access starting at `tstates` (absolute) would get:
+   * during the first 128 T-states of each of the 192 display lines the ULA holds
+   * the CPU clock while it fetches screen bytes
+   */
+  getContentionDelay(tstates) {
+    const t = tstates - this.frameStartTState - this.machine.contentionStart;
+    if (t < 0) return 0;
+
+    const line = Math.floor(t / this.TSTATES_PER_SCANLINE);
+    const position = t - line * this.TSTATES_PER_SCANLINE;
+    if (line >= 192 || position >= 128) return 0;
+
+    return CONTENTION_PATTERN[position & 7];
+  }
+
+  /**
+   * Check whether an address is in contended RAM (0x4000-0x7FFF, plus odd banks on the 128K)
+   */
+  isContended(addr) {
+    return this.memory ? this.memory.isContended(addr) : (addr & 0xc000) === 0x4000;
+  }
+
+  /**
+   * Contention for a memory cycle (or internal cycle) on `addr` starting at `tstates`
+   */
+  getMemoryContention(addr, tstates) {
+    return this.isContended(addr) ? this.getContentionDelay(tstates) : 0;
+  }
+
+  /**
+   * Contention for an I/O cycle on `port` starting at `tstates`, in T-states beyond the
+   * 4 of the cycle. A contended high byte and the ULA (bit 0 reset) each add checks:
+   *   high byte uncontended, bit 0 set:   N:4
+   *   high byte uncontended, bit 0 reset: N:1, C:3
+   *   high byte contended, bit 0 set:     C:1, C:1, C:1, C:1
+   *   high byte contended, bit 0 reset:   C:1, C:3
+   */
+  getIOContention(port, tstates) {
+    const highContended = this.isContended(port);
+    const ulaPort = (port & 0x01) === 0;
+
+    if (!highContended && !ulaPort) return 0;
+
+    let t = tstates;
+    if (highContended) {
+      t += this.getContentionDelay(t);
+    }
+    t += 1;
+
+    if (ulaPort) {
+      t += this.getContentionDelay(t) + 3;
+    } else {
+      for (let i = 0; i < 3; i++) {
+        t += this.getContentionDelay(t) + 1;
+      }
+    }
+
+    return t - tstates - 4;
+  }
+
   /**
    * Reset ULA
    */
@@ -311,7 +483,5 @@ export class ULA {
     this.releaseAllKeys();
     this.currentScanline = 0;
     this.scanlineTStates = 0;
-    this.interruptRequested = false;
-    this.floatingBusValue = 0xFF;
   }
 }
@@ -0,0 +1,472 @@
+/**
+ * Minimal zlib (RFC 1950) / DEFLATE (RFC 1951) implementation
+ * Used for SZX memory pages and CSW tapes, so the emulator needs no runtime dependencies.
+ * Inflate supports stored, fixed and dynamic Huffman blocks; deflate emits fixed Huffman with LZ77.
+ */
+
+// Length codes 257-285: base lengths and extra bits
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+
+// Distance codes 0-29: base distances and extra bits
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+// Order of code length code lengths in a dynamic block header
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// LZ77 parameters for the compressor
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+const HASH_SIZE = 1 << 15;
+
+/**
+ * Build a canonical Huffman decoding table from code lengths
+ */
+function buildHuffman(lengths) {
+  const counts = new Uint16Array(16);
+  for (const length of lengths) counts[length]++;
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(16);
+  for (let len = 1; len < 16; len++) {
+    offsets[len] = offsets[len - 1] + counts[len - 1];
+  }
+
+  const symbols = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol]) symbols[offsets[lengths[symbol]]++] = symbol;
+  }
+
+  return { counts, symbols };
+}
+
+// Fixed Huffman tables (RFC 1951 section 3.2.6)
+const FIXED_LENGTHS = new Uint8Array(288);
+FIXED_LENGTHS.fill(8, 0, 144);
+FIXED_LENGTHS.fill(9, 144, 256);
+FIXED_LENGTHS.fill(7, 256, 280);
+FIXED_LENGTHS.fill(8, 280, 288);
+const FIXED_LITERALS = buildHuffman(FIXED_LENGTHS);
+const FIXED_DISTANCES = buildHuffman(new Uint8Array(30).fill(5));
+
+/**
+ * LSB-first bit reader over a byte array
+ */
+class BitReader {
+  constructor(data, offset = 0) {
+    this.data = data;
+    this.pos = offset;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  readBits(count) {
+    while (this.bitCount < count) {
+      if (this.pos >= this.data.length) {
+        throw new Error('Unexpected end of deflate data');
+      }
+      this.bitBuffer |= this.data[this.pos++] << this.bitCount;
+      this.bitCount += 8;
+    }
+
+    const value = this.bitBuffer & ((1 << count) - 1);
+    this.bitBuffer >>>= count;
+    this.bitCount -= count;
+    return value;
+  }
+
+  /**
+   * Decode one symbol (codes are stored MSB-first)
+   */
+  decode(table) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+
+    for (let len = 1; len < 16; len++) {
+      code |= this.readBits(1);
+      const count = table.counts[len];
+      if (code - first < count) {
+        return table.symbols[index + code - first];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+
+    throw new Error('Invalid Huffman code');
+  }
+
+  /**
+   * Discard bits up to the next byte boundary
+   */
+  alignToByte() {
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+}
+
+/**
+ * LSB-first bit writer producing a growable byte array
+ */
+class BitWriter {
+  constructor(capacity = 1024) {
+    this.data = new Uint8Array(capacity);
+    this.pos = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  writeBits(value, count) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+
+    while (this.bitCount >= 8) {
+      this.writeByte(this.bitBuffer & 0xff);
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  /**
+   * Write a Huffman code (MSB-first)
+   */
+  writeCode(code, length) {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | ((code >> i) & 1);
+    }
+    this.writeBits(reversed, length);
+  }
+
+  writeByte(value) {
+    if (this.pos >= this.data.length) {
+      const grown = new Uint8Array(this.data.length * 2);
+      grown.set(this.data);
+      this.data = grown;
+    }
+    this.data[this.pos++] = value;
+  }
+
+  flush() {
+    if (this.bitCount > 0) {
+      this.writeByte(this.bitBuffer & 0xff);
+      this.bitBuffer = 0;
+      this.bitCount = 0;
+    }
+    return this.data.slice(0, this.pos);
+  }
+}
+
+export class Zlib {
+  /**
+   * Decompress a zlib stream (2-byte header, deflate data, Adler-32)
+   */
+  static decompress(data) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+
+    if (data.length < 6 || (data[0] & 0x0f) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0) {
+      throw new Error('Invalid zlib header');
+    }
+    if (data[1] & 0x20) {
+      throw new Error('zlib preset dictionaries are not supported');
+    }
+
+    const result = this.inflate(data, 2);
+
+    const end = data.length - 4;
+    const expected = ((data[end] << 24) | (data[end + 1] << 16) | (data[end + 2] << 8) | data[end + 3]) >>> 0;
+    if (this.adler32(result) !== expected) {
+      throw new Error('zlib checksum mismatch');
+    }
+
+    return result;
+  }
+
+  /**
+   * Compress data into a zlib stream
+   */
+  static compress(data) {
+    const deflated = this.deflate(data);
+    const result = new Uint8Array(deflated.length + 6);
+
+    result[0] = 0x78; // Deflate, 32KB window
+    result[1] = 0x01; // No dictionary, fastest level (header check bits)
+    result.set(deflated, 2);
+
+    const checksum = this.adler32(data);
+    const end = result.length - 4;
+    result[end] = checksum >>> 24;
+    result[end + 1] = (checksum >> 16) & 0xff;
+    result[end + 2] = (checksum >> 8) & 0xff;
+    result[end + 3] = checksum & 0xff;
+
+    return result;
+  }
+
+  /**
+   * Decompress raw deflate data
+   * @param {number} offset - Start of the deflate stream within data
+   */
+  static inflate(data, offset = 0) {
+    const reader = new BitReader(data, offset);
+    let output = new Uint8Array(Math.max(1024, data.length * 4));
+    let pos = 0;
+
+    const ensure = (size) => {
+      if (pos + size > output.length) {
+        const grown = new Uint8Array(Math.max(output.length * 2, pos + size));
+        grown.set(output);
+        output = grown;
+      }
+    };
+
+    let final = 0;
+    while (!final) {
+      final = reader.readBits(1);
+      const type = reader.readBits(2);
+
+      if (type === 0) {
+        // Stored block: LEN and NLEN on a byte boundary
+        reader.alignToByte();
+        const p = reader.pos;
+        if (p + 4 > data.length) {
+          throw new Error('Unexpected end of deflate data');
+        }
+        const length = data[p] | (data[p + 1] << 8);
+        const check = data[p + 2] | (data[p + 3] << 8);
+        if ((length ^ 0xffff) !== check) {
+          throw new Error('Invalid stored block length');
+        }
+        if (p + 4 + length > data.length) {
+          throw new Error('Unexpected end of deflate data');
+        }
+        ensure(length);
+        output.set(data.subarray(p + 4, p + 4 + length), pos);
+        pos += length;
+        reader.pos = p + 4 + length;
+        continue;
+      }
+
+      let literals;
+      let distances;
+      if (type === 1) {
+        literals = FIXED_LITERALS;
+        distances = FIXED_DISTANCES;
+      } else if (type === 2) {
+        [literals, distances] = this.readDynamicTables(reader);
+      } else {
+        throw new Error('Invalid deflate block type');
+      }
+
+      for (;;) {
+        const symbol = reader.decode(literals);
+
+        if (symbol < 256) {
+          ensure(1);
+          output[pos++] = symbol;
+        } else if (symbol === 256) {
+          break;
+        } else {
+          const lengthCode = symbol - 257;
+          if (lengthCode >= LENGTH_BASE.length) {
+            throw new Error('Invalid deflate length code');
+          }
+          const length = LENGTH_BASE[lengthCode] + reader.readBits(LENGTH_EXTRA[lengthCode]);
+
+          const distCode = reader.decode(distances);
+          if (distCode >= DIST_BASE.length) {
+            throw new Error('Invalid deflate distance code');
+          }
+          const distance = DIST_BASE[distCode] + reader.readBits(DIST_EXTRA[distCode]);
+          if (distance > pos) {
+            throw new Error('Invalid deflate distance');
+          }
+
+          // Byte by byte: source and destination may overlap
+          ensure(length);
+          for (let i = 0; i < length; i++) {
+            output[pos] = output[pos - distance];
+            pos++;
+          }
+        }
+      }
+    }
+
+    return output.slice(0, pos);
+  }
+
+  /**
+   * Read the code length tables of a dynamic Huffman block
+   */
+  static readDynamicTables(reader) {
+    const literalCount = reader.readBits(5) + 257;
+    const distanceCount = reader.readBits(5) + 1;
+    const codeLengthCount = reader.readBits(4) + 4;
+
+    const codeLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+    }
+    const codeLengthTable = buildHuffman(codeLengths);
+
+    // Literal/length and distance code lengths share one run-length coded sequence
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let index = 0;
+    while (index < lengths.length) {
+      const symbol = reader.decode(codeLengthTable);
+
+      if (symbol < 16) {
+        lengths[index++] = symbol;
+        continue;
+      }
+
+      let value = 0;
+      let repeat;
+      if (symbol === 16) {
+        if (index === 0) throw new Error('Invalid code length repeat');
+        value = lengths[index - 1];
+        repeat = 3 + reader.readBits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + reader.readBits(3);
+      } else {
+        repeat = 11 + reader.readBits(7);
+      }
+
+      if (index + repeat > lengths.length) {
+        throw new Error('Invalid code length repeat');
+      }
+      lengths.fill(value, index, index + repeat);
+      index += repeat;
+    }
+
+    return [
+      buildHuffman(lengths.subarray(0, literalCount)),
+      buildHuffman(lengths.subarray(literalCount))
+    ];
+  }
+
+  /**
+   * Compress to raw deflate data (single fixed Huffman block, LZ77 with hash chains)
+   */
+  static deflate(data) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+
+    const writer = new BitWriter(Math.max(1024, data.length >> 2));
+    writer.writeBits(1, 1); // BFINAL
+    writer.writeBits(1, 2); // BTYPE = fixed Huffman
+
+    const head = new Int32Array(HASH_SIZE).fill(-1);
+    const prev = new Int32Array(data.length);
+    const hash = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & (HASH_SIZE - 1);
+    const insert = (i) => {
+      if (i + MIN_MATCH <= data.length) {
+        const h = hash(i);
+        prev[i] = head[h];
+        head[h] = i;
+      }
+    };
+
+    let i = 0;
+    while (i < data.length) {
+      let bestLength = 0;
+      let bestDistance = 0;
+
+      if (i + MIN_MATCH <= data.length) {
+        const maxLength = Math.min(MAX_MATCH, data.length - i);
+        let candidate = head[hash(i)];
+        let chain = MAX_CHAIN;
+
+        while (candidate >= 0 && i - candidate <= WINDOW_SIZE && chain-- > 0) {
+          let length = 0;
+          while (length < maxLength && data[candidate + length] === data[i + length]) {
+            length++;
+          }
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = i - candidate;
+            if (length === maxLength) break;
+          }
+          candidate = prev[candidate];
+        }
+      }
+
+      if (bestLength >= MIN_MATCH) {
+        this.writeMatch(writer, bestLength, bestDistance);
+        for (let j = 0; j < bestLength; j++) insert(i + j);
+        i += bestLength;
+      } else {
+        this.writeLiteral(writer, data[i]);
+        insert(i);
+        i++;
+      }
+    }
+
+    this.writeLiteral(writer, 256); // End of block
+    return writer.flush();
+  }
+
+  /**
+   * Write a literal/length symbol with the fixed Huffman code
+   */
+  static writeLiteral(writer, symbol) {
+    if (symbol < 144) {
+      writer.writeCode(0x30 + symbol, 8);
+    } else if (symbol < 256) {
+      writer.writeCode(0x190 + symbol - 144, 9);
+    } else if (symbol < 280) {
+      writer.writeCode(symbol - 256, 7);
+    } else {
+      writer.writeCode(0xc0 + symbol - 280, 8);
+    }
+  }
+
+  /**
+   * Write a length/distance pair with fixed Huffman codes
+   */
+  static writeMatch(writer, length, distance) {
+    let lengthCode = LENGTH_BASE.length - 1;
+    while (LENGTH_BASE[lengthCode] > length) lengthCode--;
+    this.writeLiteral(writer, 257 + lengthCode);
+    writer.writeBits(length - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+
+    let distCode = DIST_BASE.length - 1;
+    while (DIST_BASE[distCode] > distance) distCode--;
+    writer.writeCode(distCode, 5);
+    writer.writeBits(distance - DIST_BASE[distCode], DIST_EXTRA[distCode]);
+  }
+
+  /**
+   * Adler-32 checksum
+   */
+  static adler32(data) {
+    let a = 1;
+    let b = 0;
+
+    for (let i = 0; i < data.length; i++) {
+      a = (a + data[i]) % 65521;
+      b = (b + a) % 65521;
+    }
+
+    return ((b << 16) | a) >>> 0;
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * CP/M harness tests
+ */
+import { readFileSync } from 'fs';
+import { CPMMachine } from '../../src/cpm/cpm.js';
+
+describe('CPMMachine', () => {
+  const ascii = (text) => Array.from(text, (c) => c.charCodeAt(0));
+
+  const hello = new Uint8Array([
+    0x0e, 0x09, // LD C,9
+    0x11, 0x12, 0x01, // LD DE,message
+    0xcd, 0x05, 0x00, // CALL 5
+    0x0e, 0x02, // LD C,2
+    0x1e, 0x21, // LD E,'!'
+    0xcd, 0x05, 0x00, // CALL 5
+    0xc3, 0x00, 0x00, // JP 0
+    ...ascii('HELLO$')
+  ]);
+
+  test('should print BDOS strings and characters and stop at 0x0000', () => {
+    const chunks = [];
+    const machine = new CPMMachine({ onOutput: (text) => chunks.push(text) });
+    machine.load(hello);
+    expect(machine.run()).toBe(true);
+    expect(machine.output).toBe('HELLO!');
+    expect(chunks).toEqual(['HELLO', '!']);
+    expect(machine.instructions).toBe(7);
+  });
+
+  test('should warm boot when the program returns', () => {
+    expect(CPMMachine.runCOM(new Uint8Array([0xc9]))).toBe('');
+  });
+
+  test('should put the top of the TPA at 0x0006', () => {
+    const machine = new CPMMachine();
+    machine.load(new Uint8Array([0x2a, 0x06, 0x00, 0xf9, 0xc7])); // LD HL,(6); LD SP,HL; RST 0
+    machine.run();
+    expect(machine.cpu.sp).toBe(0xfe00 - 2);
+  });
+
+  test('should stop after the instruction limit', () => {
+    const machine = new CPMMachine();
+    machine.load(new Uint8Array([0x18, 0xfe])); // JR $
+    expect(machine.run(1000)).toBe(false);
+    expect(machine.instructions).toBe(1000);
+  });
+
+  // Set ZEXDOC (or ZEXALL) to the path of the .COM file; takes several minutes
+  const exerciser = process.env.ZEXALL || process.env.ZEXDOC;
+  (exerciser ? test : test.skip)('should pass the instruction exerciser', () => {
+    const output = CPMMachine.runCOM(new Uint8Array(readFileSync(exerciser)));
+    expect(output).toContain('Tests complete');
+    expect(output).not.toContain('ERROR');
+  }, 24 * 60 * 60 * 1000);
+});
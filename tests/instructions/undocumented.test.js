@@ -1,6 +1,6 @@
 /**
  * Undocumented Z80 instructions test suite
- * Tests IXH/IXL/IYH/IYL split register access
+ * Tests IXH/IXL/IYH/IYL split register access, MEMPTR and Q
  * Critical for games like Manic Miner
  */
 import { Z80CPU } from '../../src/core/cpu.js';
@@ -382,4 +382,88 @@ describe('Undocumented Z80 Instructions', () => {
       expect(cpu.getBC()).toBe(0x1234);
     });
   });
+
+  describe('MEMPTR and Q', () => {
+    const run = (bytes, at = 0x8000) => {
+      bytes.forEach((byte, i) => { memory.data[at + i] = byte; });
+      cpu.pc = at;
+      decoder.executeInstruction();
+    };
+
+    test('should load MEMPTR from jumps, calls and 16-bit loads', () => {
+      run([0xc3, 0x34, 0x12]); // JP 0x1234
+      expect(cpu.memptr).toBe(0x1234);
+      cpu.setFlag(Z80CPU.FLAG_Z, false);
+      run([0xca, 0x78, 0x56]); // JP Z,0x5678 (not taken)
+      expect(cpu.memptr).toBe(0x5678);
+      run([0x2a, 0xff, 0x40]); // LD HL,(0x40FF)
+      expect(cpu.memptr).toBe(0x4100);
+      cpu.a = 0x9a;
+      run([0x32, 0xff, 0x50]); // LD (0x50FF),A
+      expect(cpu.memptr).toBe(0x9a00);
+    });
+
+    test('should load MEMPTR from ADD HL, I/O and (IX+d)', () => {
+      cpu.setHL(0x1fff);
+      run([0x09]); // ADD HL,BC
+      expect(cpu.memptr).toBe(0x2000);
+      cpu.a = 0x12;
+      run([0xdb, 0xfe]); // IN A,(0xFE)
+      expect(cpu.memptr).toBe(0x12ff);
+      cpu.ix = 0x3000;
+      run([0xdd, 0x7e, 0xfe]); // LD A,(IX-2)
+      expect(cpu.memptr).toBe(0x2ffe);
+    });
+
+    test('should set X and Y of BIT n,(HL) from MEMPTR', () => {
+      cpu.setHL(0x9000);
+      memory.data[0x9000] = 0x01;
+      cpu.memptr = 0x2800;
+      run([0xcb, 0x46]); // BIT 0,(HL)
+      expect(cpu.f & 0x28).toBe(0x28);
+      cpu.memptr = 0x0000;
+      run([0xcb, 0x46]);
+      expect(cpu.f & 0x28).toBe(0);
+    });
+
+    test('should set MEMPTR to PC+1 while LDIR repeats', () => {
+      cpu.setHL(0x9000);
+      cpu.setDE(0xa000);
+      cpu.setBC(2);
+      run([0xed, 0xb0]); // LDIR
+      expect(cpu.pc).toBe(0x8000);
+      expect(cpu.memptr).toBe(0x8001);
+      expect(cpu.getFlag(Z80CPU.FLAG_PV)).toBe(true);
+    });
+
+    test('should take SCF and CCF X/Y from A or F depending on Q', () => {
+      // After a flag-changing instruction Q = F, so X/Y come from A alone
+      cpu.a = 0x00;
+      run([0xfe, 0x28]); // CP 0x28: X/Y from the operand
+      expect(cpu.f & 0x28).toBe(0x28);
+      run([0x37]); // SCF
+      expect(cpu.f & 0x28).toBe(0);
+
+      // After an instruction that leaves F alone Q = 0, so X/Y are A | F
+      cpu.f = 0x28;
+      run([0x00]); // NOP
+      expect(cpu.q).toBe(0);
+      run([0x3f]); // CCF
+      expect(cpu.f & 0x28).toBe(0x28);
+      expect(cpu.q).toBe(cpu.f);
+    });
+
+    test('should expose MEMPTR and Q in the CPU state', () => {
+      cpu.memptr = 0xbeef;
+      cpu.q = 0x55;
+      const state = cpu.getState();
+      expect(state).toMatchObject({ memptr: 0xbeef, q: 0x55 });
+
+      const other = new Z80CPU();
+      other.setState(state);
+      expect(other.memptr).toBe(0xbeef);
+      expect(other.q).toBe(0x55);
+      expect(other.getState()).toEqual(state);
+    });
+  });
 });
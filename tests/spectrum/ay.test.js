@@ -0,0 +1,90 @@
+/**
+ * AY-3-8912 sound chip tests
+ */
+import { AY } from '../../src/spectrum/ay.js';
+import { ULA } from '../../src/spectrum/ula.js';
+
+describe('AY', () => {
+  let ay;
+
+  beforeEach(() => {
+    ay = new AY(1773400, 44100);
+  });
+
+  test('should select and read back registers with masks applied', () => {
+    ay.selectRegister(1);
+    ay.writeData(0xff);
+    expect(ay.readData()).toBe(0x0f);
+
+    ay.selectRegister(7);
+    ay.writeData(0x38);
+    expect(ay.readData()).toBe(0x38);
+  });
+
+  test('should be silent after reset', () => {
+    for (let i = 0; i < 100; i++) {
+      expect(ay.nextSample()).toBe(0);
+    }
+  });
+
+  test('should generate a square wave at the programmed tone frequency', () => {
+    // Channel A: period 0x100 -> 1773400 / (16 * 256) = ~433Hz
+    ay.writeRegister(0, 0x00);
+    ay.writeRegister(1, 0x01);
+    ay.writeRegister(7, 0x3e); // Tone A only
+    ay.writeRegister(8, 0x0f);
+
+    let transitions = 0;
+    let last = ay.nextSample() > 0.1;
+    for (let i = 0; i < 44100; i++) {
+      const high = ay.nextSample() > 0.1;
+      if (high !== last) transitions++;
+      last = high;
+    }
+
+    // Two transitions per cycle
+    expect(Math.round(transitions / 2)).toBeGreaterThanOrEqual(430);
+    expect(Math.round(transitions / 2)).toBeLessThanOrEqual(436);
+  });
+
+  test('should ramp the envelope and hold at the final level', () => {
+    ay.writeRegister(7, 0x3f); // Tone and noise disabled: output follows amplitude
+    ay.writeRegister(8, 0x10); // Channel A uses envelope
+    ay.writeRegister(11, 0x01);
+    ay.writeRegister(13, 0x0d); // Attack, hold at maximum
+
+    expect(ay.envelopeVolume).toBe(0);
+    for (let i = 0; i < 1000; i++) ay.step();
+    expect(ay.envelopeVolume).toBe(15);
+    expect(ay.envelopeHolding).toBe(true);
+  });
+
+  test('should decay to zero and hold for non-continuing shapes', () => {
+    ay.writeRegister(11, 0x01);
+    ay.writeRegister(13, 0x00);
+
+    expect(ay.envelopeVolume).toBe(15);
+    for (let i = 0; i < 1000; i++) ay.step();
+    expect(ay.envelopeVolume).toBe(0);
+  });
+
+  test('should alternate direction for triangle shapes', () => {
+    ay.writeRegister(11, 0x01);
+    ay.writeRegister(13, 0x0e); // Attack, alternate
+
+    for (let i = 0; i < 32; i++) ay.step(); // 16 envelope steps
+    expect(ay.envelopeAttack).toBe(false);
+    expect(ay.envelopeVolume).toBe(15);
+  });
+
+  test('should be reachable through ULA ports 0xFFFD and 0xBFFD', () => {
+    const ula = new ULA('128k');
+    ula.setAY(ay);
+
+    ula.write(0xfffd, 8);
+    ula.write(0xbffd, 0x0c);
+
+    expect(ay.registers[8]).toBe(0x0c);
+    expect(ula.read(0xfffd)).toBe(0x0c);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Memory and I/O contention tests
+ */
+import { Z80CPU } from '../../src/core/cpu.js';
+import { InstructionDecoder } from '../../src/decoder/decoder.js';
+import { Memory } from '../../src/spectrum/memory.js';
+import { ULA } from '../../src/spectrum/ula.js';
+
+describe('Contention', () => {
+  let cpu, decoder, memory, ula;
+
+  beforeEach(() => {
+    cpu = new Z80CPU();
+    memory = new Memory('48k');
+    ula = new ULA('48k');
+    ula.setCPU(cpu);
+    ula.setMemory(memory);
+    memory.setULA(ula);
+    cpu.memory = memory;
+    cpu.io = ula;
+    cpu.contention = ula;
+    decoder = new InstructionDecoder(cpu);
+  });
+
+  // Run one instruction from 0x8000 (uncontended) starting at frame T-state `start`
+  const run = (bytes, start) => {
+    bytes.forEach((byte, i) => memory.write(0x8000 + i, byte));
+    cpu.pc = 0x8000;
+    cpu.tstates = start;
+    decoder.executeInstruction();
+    return cpu.tstates - start;
+  };
+
+  test('should follow the 6,5,4,3,2,1,0,0 pattern during the screen fetch', () => {
+    ula.resetFrameTStates(1000);
+    const delays = [];
+    for (let t = 14334; t < 14344; t++) {
+      delays.push(ula.getContentionDelay(1000 + t));
+    }
+    expect(delays).toEqual([0, 6, 5, 4, 3, 2, 1, 0, 0, 6]);
+    expect(ula.getContentionDelay(1000 + 14335 + 128)).toBe(0);
+    expect(ula.getContentionDelay(1000 + 14335 + 224)).toBe(6);
+    expect(ula.getContentionDelay(1000 + 14335 + 192 * 224)).toBe(0);
+  });
+
+  test('should only contend the contended memory banks', () => {
+    expect(memory.getContentionDelay(0x4000, 14335)).toBe(6);
+    expect(memory.getContentionDelay(0x8000, 14335)).toBe(0);
+    expect(memory.getContentionDelay(0x0000, 14335)).toBe(0);
+
+    const memory128 = new Memory('128k');
+    const ula128 = new ULA('128k');
+    ula128.setMemory(memory128);
+    memory128.setULA(ula128);
+    expect(memory128.getContentionDelay(0xc000, 14361)).toBe(0);
+    memory128.setPagingPort(0x03);
+    expect(memory128.getContentionDelay(0xc000, 14361)).toBe(6);
+  });
+
+  test('should apply the four I/O contention patterns', () => {
+    expect(ula.getIOContention(0x80ff, 14335)).toBe(0); // N:4
+    expect(ula.getIOContention(0x00fe, 14335)).toBe(5); // N:1, C:3
+    expect(ula.getIOContention(0x40fe, 14335)).toBe(6); // C:1, C:3
+    expect(ula.getIOContention(0x40ff, 14335)).toBe(12); // C:1, C:1, C:1, C:1
+  });
+
+  test('should contend memory reads at the T-state of the read cycle', () => {
+    cpu.setHL(0x4000);
+    expect(run([0x7e], 14331)).toBe(7 + 6); // LD A,(HL): read at 14335
+    cpu.setHL(0x8000);
+    expect(run([0x7e], 14331)).toBe(7);
+  });
+
+  test('should place internal cycles between the read and write of INC (HL)', () => {
+    cpu.setHL(0x4000);
+    // Read at 14334, internal cycle at 14337 (4 wait states), write at 14342 (none)
+    expect(run([0x34], 14330)).toBe(11 + 4);
+  });
+
+  test('should contend OUT to the ULA port', () => {
+    cpu.a = 0x00;
+    // OUT (n),A: fetches at 14331-14337, I/O cycle on 0x00FE at 14338 (N:1, then C:3 at 14339)
+    expect(run([0xd3, 0xfe], 14331)).toBe(11 + 2);
+  });
+
+  test('should keep nominal timing without a contention model', () => {
+    cpu.contention = null;
+    cpu.setHL(0x4000);
+    expect(run([0x34], 14330)).toBe(11);
+  });
+
+  test('should increment R once per opcode fetch', () => {
+    cpu.contention = null;
+    cpu.r = 0;
+    run([0x3e, 0x12], 0); // LD A,n
+    expect(cpu.r).toBe(1);
+    run([0xed, 0x44], 0); // NEG
+    expect(cpu.r).toBe(3);
+    cpu.ix = 0x9000;
+    run([0xdd, 0xcb, 0x01, 0x06], 0); // RLC (IX+1)
+    expect(cpu.r).toBe(5);
+  });
+
+  test('should rotate (IX+d) once and copy the result to a register', () => {
+    cpu.contention = null;
+    cpu.ix = 0x9000;
+    memory.write(0x9001, 0x81);
+    expect(run([0xdd, 0xcb, 0x01, 0x00], 0)).toBe(23); // RLC (IX+1),B
+    expect(memory.read(0x9001)).toBe(0x03);
+    expect(cpu.b).toBe(0x03);
+    expect(cpu.getFlag(Z80CPU.FLAG_C)).toBeTruthy();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Floating bus tests
+ */
+import { Z80CPU } from '../../src/core/cpu.js';
+import { InstructionDecoder } from '../../src/decoder/decoder.js';
+import { Memory } from '../../src/spectrum/memory.js';
+import { ULA } from '../../src/spectrum/ula.js';
+
+const setup = (machine) => {
+  const cpu = new Z80CPU();
+  const memory = new Memory(machine);
+  const ula = new ULA(machine);
+  ula.setCPU(cpu);
+  ula.setMemory(memory);
+  memory.setULA(ula);
+  cpu.memory = memory;
+  cpu.io = ula;
+  cpu.contention = ula;
+  return { cpu, memory, ula };
+};
+
+describe('Floating bus', () => {
+  let cpu, memory, ula;
+
+  beforeEach(() => {
+    ({ cpu, memory, ula } = setup('48k'));
+    memory.write(0x4000, 0x11); // Bitmap, line 0
+    memory.write(0x4001, 0x22);
+    memory.write(0x5800, 0x33); // Attributes, row 0
+    memory.write(0x5801, 0x44);
+    memory.write(0x4100, 0x55); // Bitmap, line 1
+    memory.write(0x4802, 0x66); // Bitmap, line 64, column 2
+  });
+
+  const readAt = (tstates) => {
+    cpu.tstates = tstates;
+    return ula.read(0x00ff);
+  };
+
+  test('should return bitmap and attribute bytes as the ULA fetches them', () => {
+    const values = [];
+    for (let t = 14336; t < 14346; t++) {
+      values.push(readAt(t));
+    }
+    expect(values).toEqual([0xff, 0xff, 0x11, 0x33, 0x22, 0x44, 0xff, 0xff, 0xff, 0xff]);
+    expect(readAt(14338 + 224)).toBe(0x55);
+    expect(readAt(14338 + 64 * 224 + 8)).toBe(0x66);
+  });
+
+  test('should return 0xFF in the border and blanking', () => {
+    expect(readAt(1000)).toBe(0xff);
+    expect(readAt(14338 + 128)).toBe(0xff);
+    expect(readAt(14338 + 192 * 224)).toBe(0xff);
+  });
+
+  test('should be relative to the start of the frame', () => {
+    ula.resetFrameTStates(69888);
+    expect(readAt(69888 + 14338)).toBe(0x11);
+  });
+
+  test('should sample at the I/O cycle of IN A,(n)', () => {
+    [0xdb, 0xff].forEach((byte, i) => memory.write(0x8000 + i, byte));
+    cpu.pc = 0x8000;
+    cpu.a = 0x00;
+    cpu.tstates = 14330; // M1 and operand read take 7 T-states; the port is read after T1
+    new InstructionDecoder(cpu).executeInstruction();
+    expect(cpu.a).toBe(0x11);
+  });
+
+  test('should follow the 128K timing and the displayed screen bank', () => {
+    ({ cpu, memory, ula } = setup('128k'));
+    memory.getBank(5)[0] = 0x11;
+    memory.getBank(7)[0] = 0x77;
+    cpu.tstates = 14364;
+    expect(ula.read(0x00ff)).toBe(0x11);
+    memory.setPagingPort(0x08);
+    expect(ula.read(0x00ff)).toBe(0x77);
+    cpu.tstates = 14338;
+    expect(ula.read(0x00ff)).toBe(0xff);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Headless emulator tests (no canvas, Web Audio or animation frame loop)
+ */
+import { ZXSpectrum } from '../../src/spectrum/spectrum.js';
+
+// Red border, one byte of ink at 0x4000, then toggle the beeper once per frame:
+//   DI; LD A,0xFF; LD (0x4000),A; LD B,2; LD A,B; OUT (0xFE),A; IM 1; EI
+//   0x000E: HALT; LD A,B; XOR 0x10; LD B,A; OUT (0xFE),A; JR 0x000E
+//   0x0038: EI; RET
+const createROM = () => {
+  const rom = new Uint8Array(16384);
+  rom.set([
+    0xf3, 0x3e, 0xff, 0x32, 0x00, 0x40, 0x06, 0x02, 0x78, 0xd3, 0xfe, 0xed, 0x56, 0xfb,
+    0x76, 0x78, 0xee, 0x10, 0x47, 0xd3, 0xfe, 0x18, 0xf7
+  ]);
+  rom.set([0xfb, 0xc9], 0x38);
+  return rom;
+};
+
+describe('Headless', () => {
+  let spectrum;
+
+  beforeEach(() => {
+    spectrum = new ZXSpectrum(null, { rom: createROM() });
+  });
+
+  const pixel = (x, y) => {
+    const { width, data } = spectrum.getFramebuffer();
+    const offset = (y * width + x) * 4;
+    return Array.from(data.slice(offset, offset + 4));
+  };
+
+  test('should be ready without a canvas or a ROM fetch', () => {
+    expect(spectrum.headless).toBe(true);
+    expect(spectrum.running).toBe(false);
+    expect(spectrum.memory.read(0x0000)).toBe(0xf3);
+    expect(() => new ZXSpectrum(null)).toThrow('ROM data');
+  });
+
+  test('should render frames to the RGBA frame buffer', () => {
+    spectrum.runFrames(2);
+    const { width, height } = spectrum.getFramebuffer();
+    expect([width, height]).toEqual([352, 296]);
+    expect(pixel(0, 0)).toEqual([0xd8, 0, 0, 0xff]); // Red border
+    expect(pixel(47, 48)).toEqual([0xd8, 0, 0, 0xff]);
+    expect(pixel(48, 48)).toEqual([0, 0, 0, 0xff]); // Ink at 0x4000
+    expect(spectrum.cpu.tstates).toBeGreaterThanOrEqual(2 * 69888);
+  });
+
+  test('should capture the beeper as PCM samples', () => {
+    spectrum.runFrames(4);
+    const samples = spectrum.takeAudioSamples();
+    // 44100 Hz for four 69888 T-state frames at 3.5 MHz
+    expect(samples.length).toBe(Math.floor(4 * 69888 * 44100 / 3500000));
+    expect(new Set(samples)).toEqual(new Set([0.5, -0.5]));
+    expect(spectrum.takeAudioSamples().length).toBe(0);
+  });
+
+  test('should stop at the instruction that satisfies the predicate', () => {
+    spectrum.runFrames(1);
+    expect(spectrum.runUntil((s) => s.cpu.pc === 0x000f)).toBe(true);
+    expect(spectrum.cpu.pc).toBe(0x000f);
+    const frameTStates = spectrum.getFrameTStates();
+    expect(frameTStates).toBeLessThan(100);
+
+    // The rest of the frame runs on the next call
+    spectrum.runFrames(1);
+    expect(spectrum.getFrameTStates()).toBeLessThan(frameTStates);
+    expect(spectrum.runUntil(() => false, 3)).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Interrupt timing tests
+ */
+import { Z80CPU } from '../../src/core/cpu.js';
+import { InstructionDecoder } from '../../src/decoder/decoder.js';
+import { Memory } from '../../src/spectrum/memory.js';
+import { ULA } from '../../src/spectrum/ula.js';
+
+describe('Interrupts', () => {
+  let cpu, decoder, memory, ula;
+
+  beforeEach(() => {
+    cpu = new Z80CPU();
+    memory = new Memory('48k');
+    ula = new ULA('48k');
+    ula.setCPU(cpu);
+    ula.setMemory(memory);
+    cpu.memory = memory;
+    cpu.io = ula;
+    decoder = new InstructionDecoder(cpu);
+    cpu.sp = 0xff00;
+    cpu.im = 1;
+  });
+
+  const load = (bytes) => {
+    bytes.forEach((byte, i) => memory.write(0x8000 + i, byte));
+    cpu.pc = 0x8000;
+  };
+
+  test('should hold INT for the first 32 T-states of the frame', () => {
+    ula.resetFrameTStates(69888);
+    expect(ula.checkInterrupt(69887)).toBe(false);
+    expect(ula.checkInterrupt(69888)).toBe(true);
+    expect(ula.checkInterrupt(69888 + 31)).toBe(true);
+    expect(ula.checkInterrupt(69888 + 32)).toBe(false);
+
+    const ula128 = new ULA('128k');
+    ula128.resetFrameTStates(0);
+    expect(ula128.checkInterrupt(35)).toBe(true);
+    expect(ula128.checkInterrupt(36)).toBe(false);
+  });
+
+  test('should not accept an interrupt straight after EI', () => {
+    load([0xfb, 0x00]); // EI; NOP
+    decoder.executeInstruction();
+    expect(cpu.iff1).toBe(true);
+    expect(cpu.interrupt()).toBe(false);
+
+    decoder.executeInstruction();
+    expect(cpu.interrupt()).toBe(true);
+    expect(cpu.pc).toBe(0x0038);
+    expect(cpu.readMemWord(cpu.sp)).toBe(0x8002);
+  });
+
+  test('should ignore INT while interrupts are disabled', () => {
+    load([0xf3, 0x00]); // DI
+    decoder.executeInstruction();
+    expect(cpu.interrupt()).toBe(false);
+    expect(cpu.pc).toBe(0x8001);
+  });
+
+  test('should execute NOPs while halted and resume after HALT', () => {
+    load([0x76, 0x00]); // HALT
+    cpu.iff1 = cpu.iff2 = true;
+    cpu.r = 0;
+    decoder.executeInstruction();
+    expect(cpu.halted).toBe(true);
+    expect(cpu.pc).toBe(0x8001);
+
+    for (let i = 0; i < 3; i++) {
+      expect(decoder.executeInstruction()).toBe(4);
+    }
+    expect(cpu.r).toBe(4);
+    expect(cpu.pc).toBe(0x8001);
+
+    expect(cpu.interrupt()).toBe(true);
+    expect(cpu.halted).toBe(false);
+    expect(cpu.r).toBe(5);
+    expect(cpu.readMemWord(cpu.sp)).toBe(0x8001);
+  });
+
+  test('should take the IM 2 vector from I and the data bus', () => {
+    cpu.im = 2;
+    cpu.i = 0xfe;
+    cpu.sp = 0x9000;
+    cpu.iff1 = cpu.iff2 = true;
+    cpu.pc = 0x8000;
+    memory.write(0xfeff, 0x34);
+    memory.write(0xff00, 0x12);
+    memory.write(0xfe40, 0x78);
+    memory.write(0xfe41, 0x56);
+
+    expect(cpu.interrupt()).toBe(true);
+    expect(cpu.pc).toBe(0x1234);
+
+    cpu.iff1 = true;
+    cpu.interruptDataBus = 0x40;
+    cpu.interrupt();
+    expect(cpu.pc).toBe(0x5678);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Joystick interface tests
+ */
+import { Joystick } from '../../src/spectrum/joystick.js';
+import { ULA } from '../../src/spectrum/ula.js';
+
+describe('Joystick', () => {
+  let joystick, ula;
+
+  beforeEach(() => {
+    joystick = new Joystick('kempston');
+    ula = new ULA();
+    ula.setJoystick(joystick);
+  });
+
+  test('should read Kempston directions on port 0x1F', () => {
+    expect(ula.read(0x001f)).toBe(0x00);
+
+    joystick.setState({ up: true, fire: true });
+    expect(ula.read(0x001f)).toBe(0x18);
+  });
+
+  test('should return floating bus on port 0x1F without Kempston', () => {
+    joystick.setType('none');
+    expect(ula.read(0x001f)).toBe(0xff);
+  });
+
+  test('should map PC keys to directions', () => {
+    expect(joystick.handleKey('ArrowLeft', true)).toBe(true);
+    expect(joystick.handleKey('KeyQ', true)).toBe(false);
+    expect(ula.read(0x001f)).toBe(0x02);
+
+    joystick.handleKey('ArrowLeft', false);
+    expect(ula.read(0x001f)).toBe(0x00);
+  });
+
+  test('should use custom key mapping', () => {
+    joystick.setMapping({ fire: 'Space' });
+    joystick.handleKey('Space', true);
+    expect(ula.read(0x001f)).toBe(0x10);
+  });
+
+  test('should press keys 6-0 for Sinclair 1', () => {
+    joystick.setType('sinclair1');
+    joystick.setState({ left: true, fire: true });
+
+    // Row 4 (0xEFFE): 0 is bit 0, 6 is bit 4
+    expect(ula.read(0xeffe) & 0x1f).toBe(0x0e);
+    expect(ula.read(0xf7fe) & 0x1f).toBe(0x1f);
+  });
+
+  test('should press keys 1-5 for Sinclair 2', () => {
+    joystick.setType('sinclair2');
+    joystick.setState({ up: true });
+
+    // Row 3 (0xF7FE): 4 is bit 3
+    expect(ula.read(0xf7fe) & 0x1f).toBe(0x17);
+  });
+
+  test('should press keys 5-8 and 0 for Cursor', () => {
+    joystick.setType('cursor');
+    joystick.setState({ left: true, right: true });
+
+    expect(ula.read(0xf7fe) & 0x1f).toBe(0x0f); // 5
+    expect(ula.read(0xeffe) & 0x1f).toBe(0x1b); // 8
+  });
+
+  test('should reject unknown types', () => {
+    expect(() => joystick.setType('fuller')).toThrow('Unknown joystick type');
+  });
+});
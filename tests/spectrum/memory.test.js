@@ -91,3 +91,73 @@ describe('Memory', () => {
     expect(memory.ram[100]).toBe(0);
   });
 });
+
+describe('Memory (128K)', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = new Memory('128k');
+  });
+
+  test('should have eight RAM banks and two ROMs', () => {
+    expect(memory.ram.length).toBe(131072);
+    expect(memory.rom.length).toBe(32768);
+    expect(memory.getBank(7).length).toBe(16384);
+  });
+
+  test('should load both ROMs and page them via port 0x7FFD', () => {
+    const romData = new Uint8Array(32768);
+    romData[0] = 0x11;
+    romData[16384] = 0x22;
+    memory.loadROM(romData);
+
+    expect(memory.read(0x0000)).toBe(0x11);
+    memory.setPagingPort(0x10);
+    expect(memory.read(0x0000)).toBe(0x22);
+  });
+
+  test('should page RAM banks at 0xC000', () => {
+    memory.setPagingPort(0x03);
+    memory.write(0xc000, 0x33);
+
+    expect(memory.getBank(3)[0]).toBe(0x33);
+
+    memory.setPagingPort(0x00);
+    expect(memory.read(0xc000)).toBe(0);
+  });
+
+  test('should map banks 5 and 2 at fixed addresses', () => {
+    memory.write(0x4000, 0x55);
+    memory.write(0x8000, 0x22);
+
+    expect(memory.getBank(5)[0]).toBe(0x55);
+    expect(memory.getBank(2)[0]).toBe(0x22);
+  });
+
+  test('should switch to the shadow screen', () => {
+    memory.getBank(7)[0] = 0x77;
+    memory.setPagingPort(0x08);
+
+    expect(memory.getScreenPixels()[0]).toBe(0x77);
+  });
+
+  test('should ignore paging writes once locked until reset', () => {
+    memory.setPagingPort(0x21);
+    memory.setPagingPort(0x04);
+
+    expect(memory.pagedBank).toBe(1);
+
+    memory.reset();
+    memory.setPagingPort(0x04);
+    expect(memory.pagedBank).toBe(4);
+  });
+
+  test('should treat odd banks at 0xC000 as contended', () => {
+    memory.setPagingPort(0x01);
+    expect(memory.isContended(0xc000)).toBe(true);
+
+    memory.setPagingPort(0x02);
+    expect(memory.isContended(0xc000)).toBe(false);
+    expect(memory.isContended(0x4000)).toBe(true);
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Snapshot format tests
+ */
+import { Snapshot } from '../../src/spectrum/snapshot.js';
+import { Z80CPU } from '../../src/core/cpu.js';
+import { Memory } from '../../src/spectrum/memory.js';
+
+describe('Snapshot', () => {
+  let cpu, memory;
+
+  beforeEach(() => {
+    cpu = new Z80CPU();
+    memory = new Memory();
+    cpu.memory = memory;
+  });
+
+  function setRegisters(target) {
+    target.setAF(0x1234);
+    target.setBC(0x5678);
+    target.setDE(0x9abc);
+    target.setHL(0xdef0);
+    target.a_ = 0x11; target.f_ = 0x22;
+    target.b_ = 0x33; target.c_ = 0x44;
+    target.d_ = 0x55; target.e_ = 0x66;
+    target.h_ = 0x77; target.l_ = 0x88;
+    target.ix = 0xaabb;
+    target.iy = 0xccdd;
+    target.i = 0x3f;
+    target.r = 0x42;
+    target.sp = 0xff00;
+    target.pc = 0x8123;
+    target.im = 1;
+    target.iff1 = target.iff2 = true;
+  }
+
+  describe('SNA', () => {
+    test('should round-trip a 48K snapshot', () => {
+      setRegisters(cpu);
+      memory.write(0x4000, 0xaa);
+      memory.write(0xc000, 0xbb);
+
+      const data = Snapshot.saveSNA(cpu, memory, 3);
+      expect(data.length).toBe(49179);
+      expect(Snapshot.detectFormat(data)).toBe('SNA');
+
+      // Saving must not modify the running machine's stack
+      expect(memory.read(0xfefe)).toBe(0);
+
+      const cpu2 = new Z80CPU();
+      const memory2 = new Memory();
+      cpu2.memory = memory2;
+      const result = Snapshot.loadSNA(data, cpu2, memory2);
+
+      expect(result.borderColor).toBe(3);
+      expect(cpu2.pc).toBe(0x8123);
+      expect(cpu2.sp).toBe(0xff00);
+      expect(cpu2.getAF()).toBe(0x1234);
+      expect(cpu2.getHL()).toBe(0xdef0);
+      expect(cpu2.h_).toBe(0x77);
+      expect(cpu2.ix).toBe(0xaabb);
+      expect(cpu2.iy).toBe(0xccdd);
+      expect(cpu2.i).toBe(0x3f);
+      expect(cpu2.im).toBe(1);
+      expect(cpu2.iff1).toBe(true);
+      expect(memory2.read(0x4000)).toBe(0xaa);
+      expect(memory2.read(0xc000)).toBe(0xbb);
+    });
+
+    test('should round-trip a 128K snapshot with paging state', () => {
+      memory = new Memory('128k');
+      cpu.memory = memory;
+      setRegisters(cpu);
+      memory.setPagingPort(0x13);
+      memory.getBank(3)[0] = 0x33;
+      memory.getBank(6)[1] = 0x66;
+
+      const data = Snapshot.saveSNA(cpu, memory);
+      expect(data.length).toBe(131103);
+      expect(Snapshot.detectFormat(data)).toBe('SNA');
+
+      const cpu2 = new Z80CPU();
+      const memory2 = new Memory('128k');
+      cpu2.memory = memory2;
+      Snapshot.loadSNA(data, cpu2, memory2);
+
+      expect(cpu2.pc).toBe(0x8123);
+      expect(cpu2.sp).toBe(0xff00);
+      expect(memory2.pagingPort).toBe(0x13);
+      expect(memory2.read(0xc000)).toBe(0x33);
+      expect(memory2.getBank(6)[1]).toBe(0x66);
+    });
+
+    test('should repeat the paged bank when it is bank 2 or 5', () => {
+      memory = new Memory('128k');
+      memory.setPagingPort(0x05);
+
+      expect(Snapshot.saveSNA(cpu, memory).length).toBe(147487);
+    });
+
+    test('should reject a 128K snapshot on a 48K machine', () => {
+      const data = new Uint8Array(131103);
+      expect(() => Snapshot.loadSNA(data, cpu, memory)).toThrow('requires a 128K machine');
+    });
+  });
+
+  describe('Z80', () => {
+    test('should save version 3 snapshots', () => {
+      const data = Snapshot.saveZ80(cpu, memory);
+
+      expect(data[6] | (data[7] << 8)).toBe(0);
+      expect(data[30] | (data[31] << 8)).toBe(54);
+      expect(Snapshot.getVersion(data)).toBe(3);
+    });
+
+    test('should round-trip a 48K snapshot with T-state position', () => {
+      setRegisters(cpu);
+      cpu.r = 0xc2;
+      memory.write(0x4000, 0xaa);
+      memory.write(0x8000, 0xed);
+      memory.write(0xffff, 0xbb);
+
+      const data = Snapshot.saveZ80(cpu, memory, {
+        borderColor: 5,
+        tstates: 30000,
+        joystick: 'kempston'
+      });
+
+      const cpu2 = new Z80CPU();
+      const memory2 = new Memory();
+      const result = Snapshot.loadZ80(data, cpu2, memory2);
+
+      expect(result.borderColor).toBe(5);
+      expect(result.tstates).toBe(30000);
+      expect(result.joystick).toBe('kempston');
+      expect(result.ay).toBe(null);
+      expect(cpu2.pc).toBe(0x8123);
+      expect(cpu2.r).toBe(0xc2);
+      expect(cpu2.getBC()).toBe(0x5678);
+      expect(cpu2.d_).toBe(0x55);
+      expect(memory2.read(0x4000)).toBe(0xaa);
+      expect(memory2.read(0x8000)).toBe(0xed);
+      expect(memory2.read(0xffff)).toBe(0xbb);
+    });
+
+    test('should round-trip T-states in every frame quarter', () => {
+      for (const tstates of [0, 17471, 17472, 34944, 52415, 69887]) {
+        const data = Snapshot.saveZ80(cpu, memory, { tstates });
+        expect(Snapshot.loadZ80(data, new Z80CPU(), new Memory()).tstates).toBe(tstates);
+      }
+    });
+
+    test('should round-trip a 128K snapshot with paging and AY state', () => {
+      memory = new Memory('128k');
+      setRegisters(cpu);
+      memory.setPagingPort(0x1e);
+      memory.getBank(6)[0] = 0x66;
+      memory.getBank(1)[100] = 0x11;
+
+      const registers = new Uint8Array(16);
+      registers[7] = 0x38;
+      registers[8] = 0x0f;
+
+      const data = Snapshot.saveZ80(cpu, memory, {
+        tstates: 12345,
+        ay: { selectedRegister: 8, registers }
+      });
+
+      const cpu2 = new Z80CPU();
+      const memory2 = new Memory('128k');
+      const result = Snapshot.loadZ80(data, cpu2, memory2);
+
+      expect(result.pagingPort).toBe(0x1e);
+      expect(result.tstates).toBe(12345);
+      expect(result.ay.selectedRegister).toBe(8);
+      expect(result.ay.registers[7]).toBe(0x38);
+      expect(memory2.pagedBank).toBe(6);
+      expect(memory2.screenBank).toBe(7);
+      expect(memory2.read(0xc000)).toBe(0x66);
+      expect(memory2.getBank(1)[100]).toBe(0x11);
+    });
+
+    test('should store incompressible pages uncompressed', () => {
+      for (let i = 0; i < 49152; i++) {
+        memory.ram[i] = (i * 7 + (i >> 8)) & 0xff;
+      }
+
+      const data = Snapshot.saveZ80(cpu, memory);
+      const memory2 = new Memory();
+      Snapshot.loadZ80(data, new Z80CPU(), memory2);
+
+      expect(memory2.ram).toEqual(memory.ram);
+    });
+
+    test('should reject a 128K snapshot on a 48K machine', () => {
+      const data = Snapshot.saveZ80(cpu, new Memory('128k'));
+      expect(() => Snapshot.loadZ80(data, cpu, memory)).toThrow('requires a 128K machine');
+    });
+  });
+
+  describe('SZX', () => {
+    test('should round-trip a 48K snapshot', () => {
+      setRegisters(cpu);
+      cpu.halted = true;
+      cpu.memptr = 0x1357;
+      memory.write(0x4000, 0xaa);
+      memory.write(0xffff, 0xbb);
+
+      const data = Snapshot.saveSZX(cpu, memory, {
+        borderColor: 2,
+        tstates: 4321,
+        joystick: 'sinclair1',
+        speaker: true
+      });
+      expect(Snapshot.detectFormat(data)).toBe('SZX');
+
+      const cpu2 = new Z80CPU();
+      const memory2 = new Memory();
+      const result = Snapshot.loadSZX(data, cpu2, memory2);
+
+      expect(result.borderColor).toBe(2);
+      expect(result.tstates).toBe(4321);
+      expect(result.joystick).toBe('sinclair1');
+      expect(result.portFE & 0x10).toBe(0x10);
+      expect(cpu2.pc).toBe(0x8123);
+      expect(cpu2.getAF()).toBe(0x1234);
+      expect(cpu2.getDE()).toBe(0x9abc);
+      expect(cpu2.l_).toBe(0x88);
+      expect(cpu2.iy).toBe(0xccdd);
+      expect(cpu2.r).toBe(0x42);
+      expect(cpu2.iff2).toBe(true);
+      expect(cpu2.halted).toBe(true);
+      expect(cpu2.memptr).toBe(0x1357);
+      expect(memory2.read(0x4000)).toBe(0xaa);
+      expect(memory2.read(0xffff)).toBe(0xbb);
+    });
+
+    test('should round-trip a 128K snapshot with paging and AY state', () => {
+      memory = new Memory('128k');
+      setRegisters(cpu);
+      memory.setPagingPort(0x1b);
+      memory.getBank(3)[5] = 0x33;
+      memory.getBank(4)[6] = 0x44;
+
+      const registers = new Uint8Array(16);
+      registers[0] = 0xfe;
+      registers[7] = 0x3e;
+
+      const data = Snapshot.saveSZX(cpu, memory, { ay: { selectedRegister: 7, registers } });
+
+      const cpu2 = new Z80CPU();
+      const memory2 = new Memory('128k');
+      const result = Snapshot.loadSZX(data, cpu2, memory2);
+
+      expect(result.pagingPort).toBe(0x1b);
+      expect(result.ay.selectedRegister).toBe(7);
+      expect(result.ay.registers[0]).toBe(0xfe);
+      expect(result.ay.registers[7]).toBe(0x3e);
+      expect(memory2.pagedBank).toBe(3);
+      expect(memory2.read(0xc005)).toBe(0x33);
+      expect(memory2.getBank(4)[6]).toBe(0x44);
+    });
+
+    test('should skip unknown chunks with a warning', () => {
+      const data = Snapshot.saveSZX(cpu, memory);
+      const unknown = Snapshot.createSZXChunk('XXXX', new Uint8Array([1, 2, 3]));
+
+      const patched = new Uint8Array(data.length + unknown.length);
+      patched.set(data.subarray(0, 8));
+      patched.set(unknown, 8);
+      patched.set(data.subarray(8), 8 + unknown.length);
+
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+      try {
+        Snapshot.loadSZX(patched, new Z80CPU(), new Memory());
+      } finally {
+        console.warn = warn;
+      }
+
+      expect(warnings.length).toBe(1);
+      expect(warnings[0]).toContain('XXXX');
+    });
+
+    test('should reject a 128K snapshot on a 48K machine', () => {
+      const data = Snapshot.saveSZX(cpu, new Memory('128k'));
+      expect(() => Snapshot.loadSZX(data, cpu, memory)).toThrow('requires a 128K machine');
+    });
+  });
+
+  test('should detect Z80 snapshots', () => {
+    expect(Snapshot.detectFormat(Snapshot.saveZ80(cpu, memory))).toBe('Z80');
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Sound mixing tests
+ */
+import { Sound } from '../../src/spectrum/sound.js';
+
+describe('Sound', () => {
+  let sound, messages;
+
+  beforeEach(() => {
+    messages = [];
+    sound = new Sound(true, 3500000);
+    // Stand-in for an initialised AudioWorklet output
+    sound.audioContext = {};
+    sound.workletNode = { port: { postMessage: (message) => messages.push(message) } };
+    sound.initialized = true;
+  });
+
+  test('should output the beeper level alone when no tape is audible', () => {
+    sound.updateSpeaker(true, 3500);
+    sound.updateSpeaker(false, 3500);
+    expect(messages.map((message) => message.value)).toEqual([0.5, -0.5]);
+    expect(messages[0].count).toBe(44);
+  });
+
+  test('should mix the tape EAR level at the tape volume', () => {
+    sound.setTapeVolume(0.5);
+    sound.updateSpeaker(false, 3500, 1);
+    sound.updateSpeaker(false, 3500, 0);
+    expect(messages.map((message) => message.value)).toEqual([-0.25, -0.75]);
+  });
+
+  test('should clamp the tape volume and silence the tape at zero', () => {
+    sound.setTapeVolume(2);
+    expect(sound.tapeVolume).toBe(1);
+    sound.setTapeVolume(0);
+    sound.updateSpeaker(true, 3500, 1);
+    expect(messages[0].value).toBe(0.5);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tape recorder tests
+ */
+import { TapeRecorder } from '../../src/spectrum/tape-recorder.js';
+import { ULA } from '../../src/spectrum/ula.js';
+import { Z80CPU } from '../../src/core/cpu.js';
+import { Tape } from '../../src/spectrum/tape.js';
+
+describe('TapeRecorder', () => {
+  let recorder, time, level;
+
+  beforeEach(() => {
+    recorder = new TapeRecorder();
+    time = 1000;
+    level = 0;
+    recorder.start(time);
+  });
+
+  function pulse(length) {
+    time += length;
+    level ^= 1;
+    recorder.recordEdge(time, level);
+  }
+
+  // Emit a block with ROM SA-BYTES timing
+  function saveBlock(bytes, pilotPulses = 300) {
+    pulse(0);
+    for (let i = 0; i < pilotPulses; i++) pulse(2168);
+    pulse(667);
+    pulse(735);
+    for (const byte of bytes) {
+      for (let bit = 7; bit >= 0; bit--) {
+        const length = (byte >> bit) & 1 ? 1710 : 855;
+        pulse(length);
+        pulse(length);
+      }
+    }
+    time += 1750000; // 0.5s silence
+  }
+
+  test('should decode standard blocks into a TAP file', () => {
+    saveBlock([0x00, 0x03, 0x41, 0x42]);
+    saveBlock([0xff, 0x12, 0x34, 0xfe]);
+
+    const tap = recorder.stop(time);
+
+    expect(Array.from(tap)).toEqual([
+      4, 0, 0x00, 0x03, 0x41, 0x42,
+      4, 0, 0xff, 0x12, 0x34, 0xfe
+    ]);
+  });
+
+  test('should fall back to TZX direct recording for non-standard signals', () => {
+    saveBlock([0xff, 0xaa]);
+    for (let i = 0; i < 100; i++) pulse(400); // Custom saver tone
+
+    const tzx = recorder.stop(time + 35000);
+
+    expect(String.fromCharCode(...tzx.slice(0, 7))).toBe('ZXTape!');
+    expect(tzx[10]).toBe(0x10);
+    expect(tzx[11] | (tzx[12] << 8)).toBe(500); // Pause after first block (ms)
+    expect(tzx[13] | (tzx[14] << 8)).toBe(2);
+    expect(tzx[15]).toBe(0xff);
+    expect(tzx[16]).toBe(0xaa);
+
+    expect(tzx[17]).toBe(0x15);
+    expect(tzx[18] | (tzx[19] << 8)).toBe(79); // T-states per sample
+    expect(tzx[20] | (tzx[21] << 8)).toBe(10); // Pause after recording (ms)
+    const length = tzx[23] | (tzx[24] << 8) | (tzx[25] << 16);
+    expect(tzx.length).toBe(26 + length);
+  });
+
+  test('should play back direct recordings with the original edges', () => {
+    pulse(0);
+    for (let i = 0; i < 50; i++) pulse(i % 2 ? 400 : 800);
+
+    const cpu = new Z80CPU();
+    const tape = new Tape({ cpu, ula: new ULA() });
+    tape.loadTZX(recorder.stop(time));
+    tape.play();
+
+    const edges = [];
+    let ear = tape.lastEarBit;
+    while (tape.playing && cpu.tstates < 100000) {
+      cpu.tstates += 10;
+      const bit = tape.update(cpu.tstates);
+      if (bit !== ear) edges.push(cpu.tstates);
+      ear = bit;
+    }
+
+    const pulses = edges.slice(1).map((t, i) => t - edges[i]);
+    expect(pulses.length).toBe(49);
+    pulses.forEach((length, i) => {
+      expect(Math.abs(length - (i % 2 ? 400 : 800))).toBeLessThanOrEqual(79 + 10); // One sample plus the update step
+    });
+  });
+
+  test('should return an empty TAP when nothing was saved', () => {
+    expect(recorder.stop(time).length).toBe(0);
+  });
+
+  test('should capture MIC edges written to port 0xFE', () => {
+    const cpu = new Z80CPU();
+    const ula = new ULA();
+    ula.setCPU(cpu);
+    ula.setRecorder(recorder);
+    recorder.start(0);
+
+    cpu.tstates = 100;
+    ula.write(0xfe, 0x08);
+    cpu.tstates = 200;
+    ula.write(0xfe, 0x0f); // MIC unchanged, border change only
+    cpu.tstates = 300;
+    ula.write(0xfe, 0x00);
+
+    expect(recorder.edges).toEqual([
+      { tstates: 100, level: 1 },
+      { tstates: 300, level: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tape writer tests
+ */
+import { TapeWriter } from '../../src/spectrum/tape-writer.js';
+import { Tape } from '../../src/spectrum/tape.js';
+import { Z80CPU } from '../../src/core/cpu.js';
+import { ULA } from '../../src/spectrum/ula.js';
+
+describe('TapeWriter', () => {
+  let tape;
+
+  beforeEach(() => {
+    tape = new Tape({ cpu: new Z80CPU(), ula: new ULA() });
+  });
+
+  const program = new Uint8Array([0x00, 0x0a, 0x05, 0x00, 0xef, 0x22, 0x22, 0xaf, 0x0d]); // 10 LOAD ""CODE
+
+  test('should compute XOR checksums', () => {
+    expect(TapeWriter.checksum([0x00, 0x03, 0xff])).toBe(0xfc);
+    expect(TapeWriter.checksum([])).toBe(0);
+  });
+
+  test('should write a program header and data pair', () => {
+    const data = new TapeWriter().addProgram('LOADER', program, { autostart: 10 }).toTAP();
+    tape.loadTAP(data);
+
+    const catalog = tape.getCatalog();
+    expect(catalog.length).toBe(2);
+    expect(catalog[0].header).toEqual({
+      type: 'Program', name: 'LOADER', length: program.length, autostart: 10, variables: program.length
+    });
+    expect(catalog[1].flag).toBe(0xff);
+    expect(catalog.every((entry) => entry.checksumValid)).toBe(true);
+    expect(Array.from(tape.blocks[1].data.subarray(1, -1))).toEqual(Array.from(program));
+  });
+
+  test('should write a CODE header with start address and no autostart program', () => {
+    const code = new Uint8Array([1, 2, 3, 4]);
+    tape.loadTAP(new TapeWriter()
+      .addProgram('NOAUTO', program)
+      .addCode('GAME', code, 32768)
+      .toTAP());
+
+    const catalog = tape.getCatalog();
+    expect(catalog[0].header.autostart).toBe(null);
+    expect(catalog[2].header).toEqual({ type: 'Bytes', name: 'GAME', length: 4, start: 32768 });
+    expect(Array.from(tape.blocks[3].data)).toEqual([0xff, 1, 2, 3, 4, 0xff ^ 1 ^ 2 ^ 3 ^ 4]);
+  });
+
+  test('should round-trip TAP files', () => {
+    const data = new TapeWriter()
+      .addProgram('LOADER', program, { autostart: 0 })
+      .addCode('SCREEN', new Uint8Array(6912).fill(0x55), 16384)
+      .toTAP();
+
+    tape.loadTAP(data);
+    expect(TapeWriter.fromTape(tape).toTAP()).toEqual(data);
+  });
+
+  test('should write turbo, pause and text blocks to TZX', () => {
+    const data = new TapeWriter()
+      .addText('Side A\nLevel 1')
+      .addCode('GAME', new Uint8Array([9]), 40000, { pause: 500 })
+      .addPause(2000)
+      .addTurbo([0xff, 0x12, 0x34], { pilotPulse: 1500, zeroPulse: 400, onePulse: 800, pilotPulses: 2000, usedBits: 6, pause: 0 })
+      .toTZX();
+
+    tape.loadTZX(data);
+    expect(tape.blocks.map((block) => block.type)).toEqual([0x30, 0x10, 0x10, 0x20, 0x11]);
+    expect(tape.blocks[0].text).toBe('Side A\nLevel 1');
+    expect(tape.blocks[2].pause).toBe(500);
+    expect(tape.blocks[3].pause).toBe(2000);
+    expect(tape.blocks[4]).toMatchObject({
+      pilotPulse: 1500, sync1Pulse: 667, sync2Pulse: 735, zeroPulse: 400, onePulse: 800,
+      pilotPulses: 2000, usedBits: 6, pause: 0
+    });
+    expect(Array.from(tape.blocks[4].data)).toEqual([0xff, 0x12, 0x34]);
+  });
+
+  test('should convert a parsed TZX back to the same bytes', () => {
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+    const dword = (value) => [...word(value), (value >> 16) & 0xff, (value >>> 24) & 0xff];
+    const ascii = (value) => Array.from(value, (c) => c.charCodeAt(0));
+    const info = [1, 0x00, 4, ...ascii('Game')];
+    const select = [1, ...word(2), 4, ...ascii('Demo')];
+    const generalized = [
+      ...word(0), ...dword(1), 1, 1, ...dword(8), 2, 2,
+      0, ...word(2168), 1, ...word(1000),
+      0, ...word(855), ...word(855), 0, ...word(1710), ...word(1710), 0xa5
+    ];
+    const csw = [...word(10), 0x44, 0xac, 0x00, 1, ...dword(3), 10, 20, 0, ...dword(300)];
+
+    const data = new Uint8Array([
+      0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20,
+      0x32, ...word(info.length), ...info,
+      0x33, 1, 0, 3, 0,
+      0x28, ...word(select.length), ...select,
+      0x24, ...word(2),
+      0x12, ...word(2168), ...word(100),
+      0x13, 2, ...word(667), ...word(735),
+      0x14, ...word(855), ...word(1710), 8, ...word(100), 2, 0, 0, 0xff, 0x00,
+      0x25,
+      0x26, ...word(1), ...word(3),
+      0x23, ...word(2),
+      0x27,
+      0x15, ...word(79), ...word(0), 4, 1, 0, 0, 0xf0,
+      0x18, ...dword(csw.length), ...csw,
+      0x19, ...dword(generalized.length), ...generalized,
+      0x2b, ...dword(1), 1,
+      0x2a, ...dword(0)
+    ]);
+
+    tape.loadTZX(data);
+    expect(TapeWriter.fromTape(tape).toTZX()).toEqual(data);
+  });
+
+  test('should split long pulse lists and keep PZX levels in TZX', () => {
+    const pulses = Uint32Array.from(new Array(300).fill(2168));
+    const data = new TapeWriter()
+      .addBlock({ type: 0x13, pulses, initialLevel: 1 })
+      .addBlock({
+        type: 0x19, data: new Uint8Array([0x80]), pause: 0, pilotSymbols: [], pilotStream: [],
+        dataSymbols: [{ polarity: 0, pulses: [855, 855] }, { polarity: 0, pulses: [1710, 1710] }],
+        totalData: 1, bitsPerSymbol: 1, initialLevel: 0, tail: 945
+      })
+      .toTZX();
+
+    tape.loadTZX(data);
+    expect(tape.blocks.map((block) => block.type)).toEqual([0x2b, 0x13, 0x13, 0x2b, 0x19, 0x13]);
+    expect(tape.blocks[0].level).toBe(1);
+    expect(tape.blocks[1].pulses.length + tape.blocks[2].pulses.length).toBe(300);
+    expect(tape.blocks[3].level).toBe(1);
+    expect(tape.blocks[5].pulses).toEqual([945]);
+  });
+
+  test('should skip non-standard blocks when exporting TAP', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const data = new TapeWriter()
+        .addData(0xff, [1])
+        .addTurbo([0xff, 2, 0xfd])
+        .addPause(100)
+        .toTAP();
+      expect(Array.from(data)).toEqual([3, 0, 0xff, 1, 0xfe]);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
@@ -0,0 +1,1009 @@
+/**
+ * Tape tests
+ */
+import { Tape } from '../../src/spectrum/tape.js';
+import { Z80CPU } from '../../src/core/cpu.js';
+import { Memory } from '../../src/spectrum/memory.js';
+import { ULA } from '../../src/spectrum/ula.js';
+import { Zlib } from '../../src/spectrum/zlib.js';
+import { TapeRecorder } from '../../src/spectrum/tape-recorder.js';
+
+describe('Tape', () => {
+  let cpu, memory, tape;
+
+  beforeEach(() => {
+    cpu = new Z80CPU();
+    memory = new Memory();
+    cpu.memory = memory;
+
+    // ROM with the LD-BYTES entry sequence at 0x0556
+    const rom = new Uint8Array(16384);
+    rom.set([0x14, 0x08, 0x15, 0xf3], 0x0556);
+    memory.loadROM(rom);
+
+    tape = new Tape({ cpu, ula: new ULA(), memory });
+  });
+
+  // TAP block with flag byte and checksum
+  function tapBlock(flag, bytes) {
+    const data = [flag, ...bytes];
+    data.push(data.reduce((parity, byte) => parity ^ byte, 0));
+    return [data.length & 0xff, data.length >> 8, ...data];
+  }
+
+  function callLoader(flag, address, length, load = true) {
+    cpu.pc = 0x0556;
+    cpu.a = flag;
+    cpu.f = load ? 0x01 : 0x00;
+    cpu.ix = address;
+    cpu.setDE(length);
+    cpu.iff1 = cpu.iff2 = true;
+  }
+
+  describe('flash loading', () => {
+    test('should copy a standard block to IX/DE and set carry', () => {
+      tape.loadTAP(new Uint8Array([
+        ...tapBlock(0x00, [1, 2, 3]),
+        ...tapBlock(0xff, [0x11, 0x22, 0x33, 0x44])
+      ]));
+
+      callLoader(0xff, 0x8000, 4);
+      tape.blockIndex = 1;
+
+      expect(tape.flashLoad()).toBe(true);
+      expect(memory.read(0x8000)).toBe(0x11);
+      expect(memory.read(0x8003)).toBe(0x44);
+      expect(cpu.f & 0x01).toBe(1);
+      expect(cpu.a).toBe(0);
+      expect(cpu.ix).toBe(0x8004);
+      expect(cpu.getDE()).toBe(0);
+      expect(cpu.pc).toBe(0x053f);
+      expect(cpu.iff1).toBe(false);
+      expect(tape.blockIndex).toBe(2);
+    });
+
+    test('should consume a block with the wrong flag and clear carry', () => {
+      tape.loadTAP(new Uint8Array([
+        ...tapBlock(0x00, [1, 2, 3]),
+        ...tapBlock(0xff, [4, 5])
+      ]));
+
+      callLoader(0xff, 0x8000, 3);
+      expect(tape.flashLoad()).toBe(true);
+      expect(cpu.f & 0x01).toBe(0);
+      expect(memory.read(0x8000)).toBe(0);
+      expect(tape.blockIndex).toBe(1);
+
+      callLoader(0xff, 0x8000, 2);
+      expect(tape.flashLoad()).toBe(true);
+      expect(cpu.f & 0x01).toBe(1);
+      expect(memory.read(0x8001)).toBe(5);
+    });
+
+    test('should report a checksum error', () => {
+      const block = tapBlock(0xff, [1, 2]);
+      block[block.length - 1] ^= 0x01;
+      tape.loadTAP(new Uint8Array(block));
+
+      callLoader(0xff, 0x8000, 2);
+      expect(tape.flashLoad()).toBe(true);
+      expect(cpu.f & 0x01).toBe(0);
+      expect(cpu.a).toBe(0x01);
+    });
+
+    test('should verify instead of loading when carry is clear', () => {
+      tape.loadTAP(new Uint8Array(tapBlock(0xff, [0xaa])));
+      memory.write(0x8000, 0xaa);
+
+      callLoader(0xff, 0x8000, 1, false);
+      expect(tape.flashLoad()).toBe(true);
+      expect(cpu.f & 0x01).toBe(1);
+    });
+
+    test('should leave non-standard blocks to the real-time loader', () => {
+      const tzx = new Uint8Array([
+        0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20,
+        0x11, ...new Array(15).fill(1), 2, 0, 0, 0xff, 0x00
+      ]);
+      tape.loadTZX(tzx);
+
+      callLoader(0xff, 0x8000, 1);
+      expect(tape.flashLoad()).toBe(false);
+      expect(cpu.pc).toBe(0x0556);
+    });
+
+    test('should not trap a ROM without the LD-BYTES routine', () => {
+      memory.loadROM(new Uint8Array(16384));
+      tape.loadTAP(new Uint8Array(tapBlock(0xff, [1])));
+
+      callLoader(0xff, 0x8000, 1);
+      expect(tape.flashLoad()).toBe(false);
+    });
+  });
+
+  describe('automatic start and pause', () => {
+    let events;
+
+    beforeEach(() => {
+      events = [];
+      tape.onTapeEvent = (event) => events.push(event);
+      tape.autoMode = true;
+      tape.loadTAP(new Uint8Array(tapBlock(0xff, [1, 2, 3])));
+    });
+
+    // Reads every `interval` T-states with B changing by `step`
+    function poll(count, interval, step) {
+      for (let i = 0; i < count; i++) {
+        cpu.tstates += interval;
+        cpu.b = (cpu.b + step) & 0xff;
+        tape.detectLoader(cpu.tstates, cpu.b);
+      }
+    }
+
+    test('should start when a loader polls the EAR bit', () => {
+      poll(20, 59, 1);
+
+      expect(tape.playing).toBe(true);
+      expect(events).toEqual([{ type: 'play', auto: true, blockIndex: 0 }]);
+    });
+
+    test('should pause when the loader stops polling', () => {
+      poll(20, 59, 1);
+      poll(20, 20000, 0);
+
+      expect(tape.paused).toBe(true);
+      expect(events[1]).toEqual({ type: 'pause', auto: true, blockIndex: 0 });
+    });
+
+    test('should ignore keyboard polling loops', () => {
+      poll(100, 200, 0);
+      poll(100, 2000, 1);
+
+      expect(tape.playing).toBe(false);
+      expect(events).toEqual([]);
+    });
+
+    test('should resume from the paused position', () => {
+      poll(20, 59, 1);
+      const edgeDelay = tape.nextEdgeCycle - cpu.tstates;
+
+      tape.pause();
+      cpu.tstates += 100000;
+      tape.play();
+
+      expect(tape.nextEdgeCycle - cpu.tstates).toBe(edgeDelay);
+    });
+
+    test('should do nothing when disabled', () => {
+      tape.autoMode = false;
+      poll(20, 59, 1);
+
+      expect(tape.playing).toBe(false);
+    });
+  });
+
+  describe('generalized data (0x19)', () => {
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+    const dword = (value) => [...word(value), (value >> 16) & 0xff, (value >>> 24) & 0xff];
+
+    // SYMDEF entry padded to maxPulses
+    function symbol(polarity, pulses, maxPulses) {
+      const padded = [...pulses, ...new Array(maxPulses - pulses.length).fill(0)];
+      return [polarity, ...padded.flatMap(word)];
+    }
+
+    function tzxBlock19({ pause = 0, pilotSymbols = [], pilotStream = [], npp = 0, dataSymbols = [], npd = 0, totalData = 0, data = [] }) {
+      const body = [
+        ...word(pause),
+        ...dword(pilotStream.length), npp, pilotSymbols.length & 0xff,
+        ...dword(totalData), npd, dataSymbols.length & 0xff,
+        ...pilotSymbols.flatMap(([polarity, pulses]) => symbol(polarity, pulses, npp)),
+        ...pilotStream.flatMap(([sym, repeat]) => [sym, ...word(repeat)]),
+        ...dataSymbols.flatMap(([polarity, pulses]) => symbol(polarity, pulses, npd)),
+        ...data
+      ];
+      return new Uint8Array([
+        0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20,
+        0x19, ...dword(body.length), ...body
+      ]);
+    }
+
+    // Play the tape and collect { tstates, level } for every EAR change
+    function playEdges(limit = 200000) {
+      tape.play();
+      const edges = [];
+      let level = tape.lastEarBit;
+      edges.push({ tstates: cpu.tstates, level });
+      while (tape.playing && cpu.tstates < limit) {
+        cpu.tstates++;
+        const bit = tape.update(cpu.tstates);
+        if (bit !== level) edges.push({ tstates: cpu.tstates, level: bit });
+        level = bit;
+      }
+      return edges;
+    }
+
+    test('should parse symbol tables, pilot stream and data stream', () => {
+      tape.loadTZX(tzxBlock19({
+        pause: 100,
+        npp: 2,
+        pilotSymbols: [[0, [2168]], [0, [667, 735]]],
+        pilotStream: [[0, 3], [1, 1]],
+        npd: 2,
+        dataSymbols: [[0, [855, 855]], [0, [1710, 1710]]],
+        totalData: 8,
+        data: [0xa5]
+      }));
+
+      const block = tape.blocks[0];
+      expect(tape.blocks.length).toBe(1);
+      expect(block.type).toBe(0x19);
+      expect(block.pause).toBe(100);
+      expect(block.pilotSymbols[1].pulses).toEqual([667, 735]);
+      expect(block.pilotStream).toEqual([{ symbol: 0, repetitions: 3 }, { symbol: 1, repetitions: 1 }]);
+      expect(block.bitsPerSymbol).toBe(1);
+      expect(Array.from(block.data)).toEqual([0xa5]);
+    });
+
+    test('should play pilot, sync and data pulses', () => {
+      tape.loadTZX(tzxBlock19({
+        npp: 2,
+        pilotSymbols: [[0, [2168]], [0, [667, 735]]],
+        pilotStream: [[0, 3], [1, 1]],
+        npd: 2,
+        dataSymbols: [[0, [855, 855]], [0, [1710, 1710]]],
+        totalData: 2,
+        data: [0x40] // Symbols 0, 1
+      }));
+
+      const edges = playEdges();
+      const pulses = edges.slice(1).map((edge, i) => edge.tstates - edges[i].tstates);
+
+      expect(pulses).toEqual([2168, 2168, 2168, 667, 735, 855, 855, 1710, 1710]);
+    });
+
+    test('should apply symbol polarity flags', () => {
+      tape.loadTZX(tzxBlock19({
+        npd: 1,
+        dataSymbols: [[0, [1000]], [1, [1000]], [2, [1000]], [3, [1000]]],
+        totalData: 5,
+        data: [0b11100100, 0b11000000] // Symbols 3, 2, 1, 0, 3
+      }));
+      tape.lastEarBit = 0;
+
+      tape.play();
+      const levels = [];
+      for (let i = 0; i < 5; i++) {
+        levels.push(tape.update(cpu.tstates + 500));
+        cpu.tstates += 1000;
+      }
+
+      // Force high, force low, keep low, toggle to high, force high
+      expect(levels).toEqual([1, 0, 0, 1, 1]);
+    });
+
+    test('should continue parsing blocks after a generalized block', () => {
+      const tzx = tzxBlock19({ npd: 1, dataSymbols: [[0, [500]]], totalData: 1, data: [0] });
+      const withPause = new Uint8Array([...tzx, 0x20, ...word(50)]);
+      tape.loadTZX(withPause);
+
+      expect(tape.blocks.map((block) => block.type)).toEqual([0x19, 0x20]);
+    });
+  });
+
+  describe('CSW', () => {
+    const signature = Array.from('Compressed Square Wave\x1a', (c) => c.charCodeAt(0));
+    const dword = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+
+    function csw1(sampleRate, flags, rle) {
+      return new Uint8Array([
+        ...signature, 1, 1, sampleRate & 0xff, sampleRate >> 8, 1, flags, 0, 0, 0, ...rle
+      ]);
+    }
+
+    function csw2(sampleRate, compression, flags, stream, pulseCount) {
+      const name = new Array(16).fill(0);
+      return new Uint8Array([
+        ...signature, 2, 0, ...dword(sampleRate), ...dword(pulseCount), compression, flags, 0, ...name, ...stream
+      ]);
+    }
+
+    test('should convert CSW 1.01 RLE pulses to T-states', () => {
+      // 35 samples at 35000Hz = 3500 T-states; long pulse via 0x00 + dword
+      tape.loadCSW(csw1(35000, 0x01, [35, 7, 0, ...dword(300)]));
+
+      const block = tape.blocks[0];
+      expect(tape.format).toBe('CSW');
+      expect(block.type).toBe(0x18);
+      expect(block.initialLevel).toBe(1);
+      expect(Array.from(block.pulses)).toEqual([3500, 700, 30000]);
+    });
+
+    test('should avoid rounding drift at non-integer sample rates', () => {
+      const rle = new Array(1000).fill(1);
+      tape.loadCSW(csw1(44100, 0, rle));
+
+      const total = tape.blocks[0].pulses.reduce((sum, pulse) => sum + pulse, 0);
+      expect(total).toBe(Math.round(1000 * 3500000 / 44100));
+    });
+
+    test('should decode CSW 2.00 Z-RLE', () => {
+      const rle = new Uint8Array([10, 20, 30, 40]);
+      tape.loadCSW(csw2(3500000 / 100, 2, 0, Zlib.compress(rle), 4));
+
+      expect(Array.from(tape.blocks[0].pulses)).toEqual([1000, 2000, 3000, 4000]);
+      expect(tape.blocks[0].initialLevel).toBe(0);
+    });
+
+    test('should play CSW pulses starting at the initial level', () => {
+      tape.loadCSW(csw1(35000, 0x01, [10, 20, 30]));
+      tape.play();
+
+      const start = cpu.tstates;
+      const level = (t) => tape.update(start + t);
+      expect(level(500)).toBe(1);
+      expect(level(1500)).toBe(0);
+      expect(level(3500)).toBe(1);
+      expect(tape.playing).toBe(true);
+      expect(level(6000)).toBe(0);
+    });
+
+    test('should parse embedded TZX CSW blocks (0x18)', () => {
+      const stream = [35, 70];
+      const body = [...[100, 0], 0xb8, 0x88, 0x00, 1, ...dword(2), ...stream]; // 35000Hz
+      tape.loadTZX(new Uint8Array([
+        0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20,
+        0x18, ...dword(body.length), ...body,
+        0x20, 10, 0
+      ]));
+
+      expect(tape.blocks.map((block) => block.type)).toEqual([0x18, 0x20]);
+      expect(tape.blocks[0].pause).toBe(100);
+      expect(Array.from(tape.blocks[0].pulses)).toEqual([3500, 7000]);
+    });
+  });
+
+  describe('sequences and selections', () => {
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+    const tone = (pulse) => [0x12, ...word(pulse), ...word(1)];
+    const text = (value) => [0x30, value.length, ...Array.from(value, (c) => c.charCodeAt(0))];
+
+    function select(entries) {
+      const body = [entries.length, ...entries.flatMap(([offset, description]) => [
+        ...word(offset), description.length, ...Array.from(description, (c) => c.charCodeAt(0))
+      ])];
+      return [0x28, ...word(body.length), ...body];
+    }
+
+    function tzx(...blocks) {
+      return new Uint8Array([0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20, ...blocks.flat()]);
+    }
+
+    // Play the tape and list the TZX index of each edge block in playing order
+    function playOrder(limit = 100000) {
+      tape.play();
+      const order = [];
+      let block = null;
+      while (tape.playing && cpu.tstates < limit) {
+        if (tape.currentBlock !== block) {
+          block = tape.currentBlock;
+          if (block && tape.isEdgeBlock(block)) order.push(block.tzxIndex);
+        }
+        cpu.tstates += 10;
+        tape.update(cpu.tstates);
+      }
+      return order;
+    }
+
+    test('should jump relative to the TZX block position', () => {
+      tape.loadTZX(tzx([0x23, ...word(3)], tone(1000), text('skipped'), tone(2000)));
+
+      expect(playOrder()).toEqual([3]);
+    });
+
+    test('should play call sequences and return after each call', () => {
+      tape.loadTZX(tzx(
+        [0x26, ...word(2), ...word(2), ...word(4)],
+        tone(1000),
+        tone(2000), [0x27],
+        text('level 2'), tone(3000), [0x27]
+      ));
+
+      // Both calls, then the block after the sequence; the later returns have no caller
+      expect(playOrder()).toEqual([2, 5, 1, 2, 5]);
+      expect(tape.callStack.length).toBe(0);
+    });
+
+    test('should set the EAR level explicitly', () => {
+      tape.loadTZX(tzx([0x2b, 1, 0, 0, 0, 1], tone(1000)));
+      tape.play();
+      expect(tape.lastEarBit).toBe(1);
+
+      tape.loadTZX(tzx([0x2b, 1, 0, 0, 0, 0], tone(1000)));
+      tape.play();
+      expect(tape.lastEarBit).toBe(0);
+    });
+
+    test('should resume at the block chosen by onTapeSelect', () => {
+      let offered = null;
+      tape.onTapeSelect = (options) => {
+        offered = options;
+        return 1;
+      };
+      tape.loadTZX(tzx(select([[1, 'Side A'], [3, 'Side B']]), tone(1000), text('side b'), tone(2000)));
+
+      expect(playOrder()).toEqual([3]);
+      expect(offered).toEqual([
+        { index: 0, description: 'Side A', blockIndex: 1 },
+        { index: 1, description: 'Side B', blockIndex: 3 }
+      ]);
+    });
+
+    test('should wait for a promised selection', async () => {
+      let resolve;
+      tape.onTapeSelect = () => new Promise((r) => { resolve = r; });
+      tape.loadTZX(tzx(select([[1, 'One'], [2, 'Two']]), tone(1000), tone(2000)));
+
+      tape.play();
+      expect(tape.state).toBe('SELECT');
+      const level = tape.lastEarBit;
+      cpu.tstates += 10000;
+      expect(tape.update(cpu.tstates)).toBe(level);
+
+      resolve(0);
+      await Promise.resolve();
+      expect(tape.currentBlock.tzxIndex).toBe(1);
+    });
+
+    test('should continue with the next block without a handler', () => {
+      tape.loadTZX(tzx(select([[2, 'Skip']]), tone(1000), tone(2000)));
+
+      expect(playOrder()).toEqual([1, 2]);
+    });
+  });
+
+  describe('WAV', () => {
+    const ascii = (value) => Array.from(value, (c) => c.charCodeAt(0));
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+    const dword = (value) => [...word(value), (value >> 16) & 0xff, (value >>> 24) & 0xff];
+
+    // RIFF PCM file from per-frame sample values in -1..1 (the same value on every channel)
+    function wav(values, { sampleRate = 44100, bits = 8, channels = 1 } = {}) {
+      const bytes = bits / 8;
+      const samples = values.flatMap((value) => {
+        const sample = bits === 8
+          ? [Math.round(value * 127) + 128]
+          : word(Math.round(value * 32767) & 0xffff);
+        return new Array(channels).fill(sample).flat();
+      });
+      const fmt = [...word(1), ...word(channels), ...dword(sampleRate),
+        ...dword(sampleRate * channels * bytes), ...word(channels * bytes), ...word(bits)];
+      return new Uint8Array([
+        ...ascii('RIFF'), ...dword(36 + samples.length), ...ascii('WAVE'),
+        ...ascii('fmt '), ...dword(fmt.length), ...fmt,
+        ...ascii('data'), ...dword(samples.length), ...samples
+      ]);
+    }
+
+    // Square wave from pulse lengths in samples, starting high
+    function square(lengths, amplitude = 0.8) {
+      return lengths.flatMap((length, i) => new Array(length).fill(i & 1 ? -amplitude : amplitude));
+    }
+
+    test('should detect WAV files', () => {
+      expect(Tape.isWAV(wav([0]))).toBe(true);
+      expect(Tape.isWAV(new Uint8Array(44))).toBe(false);
+    });
+
+    test('should turn 8-bit mono zero crossings into T-state pulses', () => {
+      tape.loadWAV(wav(square([10, 20, 30]), { sampleRate: 35000 }));
+
+      const block = tape.blocks[0];
+      expect(tape.format).toBe('WAV');
+      expect(block.initialLevel).toBe(1);
+      expect(Array.from(block.pulses)).toEqual([1000, 2000, 3000]);
+    });
+
+    test('should mix 16-bit stereo channels', () => {
+      tape.loadWAV(wav(square([5, 5, 10]), { sampleRate: 35000, bits: 16, channels: 2 }));
+
+      expect(tape.blocks[0].sampleRate).toBe(35000);
+      expect(Array.from(tape.blocks[0].pulses)).toEqual([500, 500, 1000]);
+    });
+
+    test('should ignore noise inside the hysteresis band', () => {
+      const values = [...square([10, 10]), 0.02, -0.02, 0.03, -0.8, -0.8];
+      tape.loadWAV(wav(values, { sampleRate: 35000, bits: 16 }));
+
+      expect(Array.from(tape.blocks[0].pulses)).toEqual([1000, 1500]);
+    });
+
+    test('should apply threshold and inversion options', () => {
+      const values = square([4, 4]).map((value) => value + 0.5);
+
+      tape.loadWAV(wav(values, { sampleRate: 35000, bits: 16 }));
+      expect(tape.blocks[0].pulses.length).toBe(1);
+
+      tape.loadWAV(wav(values, { sampleRate: 35000, bits: 16 }), { threshold: 0.5, invert: true });
+      expect(tape.blocks[0].initialLevel).toBe(1);
+      expect(Array.from(tape.blocks[0].pulses)).toEqual([400, 400]);
+    });
+
+    test('should reject compressed or unsupported formats', () => {
+      const data = wav([0, 0]);
+      data[20] = 2; // ADPCM
+      expect(() => tape.loadWAV(data)).toThrow('Unsupported WAV format');
+    });
+
+    test('should reproduce ROM timings from a 44.1kHz recording', () => {
+      const block = [0xff, 0x12, 0x34, 0x26];
+      const tstates = [...new Array(300).fill(2168), 667, 735];
+      for (const byte of block) {
+        for (let bit = 7; bit >= 0; bit--) {
+          const pulse = (byte >> bit) & 1 ? 1710 : 855;
+          tstates.push(pulse, pulse);
+        }
+      }
+
+      // Sample the square wave at 44.1kHz
+      const values = [];
+      let time = 0;
+      tstates.forEach((pulse, i) => {
+        time += pulse;
+        while (values.length * 3500000 / 44100 < time) values.push(i & 1 ? -0.5 : 0.5);
+      });
+      tape.loadWAV(wav(values, { bits: 16 }));
+
+      const decoded = new TapeRecorder().decodeStandard(Array.from(tape.blocks[0].pulses));
+      expect(Array.from(decoded)).toEqual(block);
+    });
+  });
+
+  describe('catalog', () => {
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+    const ascii = (value) => Array.from(value, (c) => c.charCodeAt(0));
+
+    // ROM header: type, 10-character name, length, parameters 1 and 2
+    function header(type, name, length, param1, param2) {
+      return [type, ...ascii(name.padEnd(10)), ...word(length), ...word(param1), ...word(param2)];
+    }
+
+    test('should decode program, bytes and array headers', () => {
+      tape.loadTAP(new Uint8Array([
+        ...tapBlock(0x00, header(0, 'LOADER', 120, 10, 100)),
+        ...tapBlock(0xff, new Array(118).fill(0)),
+        ...tapBlock(0x00, header(3, 'SCREEN', 6912, 16384, 32768)),
+        ...tapBlock(0x00, header(2, 'NAMES', 20, 0xc100, 0)),
+        ...tapBlock(0x00, header(0, 'NOAUTO', 5, 0x8000, 5))
+      ]));
+
+      const catalog = tape.getCatalog();
+      expect(catalog.length).toBe(5);
+      expect(catalog[0]).toMatchObject({
+        index: 0, type: 0x10, name: 'Standard Speed Data', flag: 0, length: 19, checksumValid: true,
+        header: { type: 'Program', name: 'LOADER', length: 120, autostart: 10, variables: 100 }
+      });
+      expect(catalog[1].header).toBe(null);
+      expect(catalog[1].flag).toBe(0xff);
+      expect(catalog[2].header).toEqual({ type: 'Bytes', name: 'SCREEN', length: 6912, start: 16384 });
+      expect(catalog[3].header).toMatchObject({ type: 'Character array', variable: 'a$' });
+      expect(catalog[4].header.autostart).toBe(null);
+    });
+
+    test('should flag checksum errors', () => {
+      const data = tapBlock(0xff, [1, 2, 3]);
+      data[data.length - 1] ^= 0x01;
+      tape.loadTAP(new Uint8Array(data));
+
+      expect(tape.getCatalog()[0].checksumValid).toBe(false);
+    });
+
+    test('should compute block durations in T-states and seconds', () => {
+      tape.loadTAP(new Uint8Array(tapBlock(0x00, [0xff])));
+      // 8063 pilot pulses, sync, flag 0x00, data 0xff, checksum 0xff, 100ms pause
+      const expected = 8063 * 2168 + 667 + 735 + 8 * 2 * 855 + 16 * 2 * 1710 + 100 * 3500;
+
+      const [entry] = tape.getCatalog();
+      expect(entry.duration).toBe(expected);
+      expect(entry.seconds).toBeCloseTo(expected / 3500000, 6);
+    });
+
+    test('should keep TZX text, archive info and hardware metadata', () => {
+      const info = [0x00, 5, ...ascii('Title'), 0x02, 6, ...ascii('Author')];
+      tape.loadTZX(new Uint8Array([
+        0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20,
+        0x32, ...word(info.length + 1), 2, ...info,
+        0x33, 2, 0, 1, 0, 3, 0, 1,
+        0x30, 5, ...ascii('a\rb\r\n'),
+        0x12, ...word(1000), ...word(3)
+      ]));
+
+      const catalog = tape.getCatalog();
+      expect(catalog.map((entry) => entry.type)).toEqual([0x32, 0x33, 0x30, 0x12]);
+      expect(catalog[0].info).toEqual({ title: 'Title', author: 'Author' });
+      expect(catalog[1].hardware).toEqual([
+        { type: 'Computer', id: 'ZX Spectrum 48k, Plus', support: 'runs' },
+        { type: 'Sound device', id: 0, support: 'uses' }
+      ]);
+      expect(catalog[2].text).toBe('a\nb\n');
+      expect(catalog[3].duration).toBe(3000);
+    });
+
+    test('should seek to a block and play from it', () => {
+      tape.loadTAP(new Uint8Array([
+        ...tapBlock(0x00, [1]),
+        ...tapBlock(0xff, [2]),
+        ...tapBlock(0xff, [3])
+      ]));
+
+      tape.play();
+      tape.seekToBlock(2);
+      expect(tape.currentBlock).toBe(tape.blocks[2]);
+      expect(tape.state).toBe('PILOT');
+
+      expect(() => tape.seekToBlock(3)).toThrow('Invalid block index');
+    });
+
+    test('should flash load the block after a seek', () => {
+      tape.loadTAP(new Uint8Array([
+        ...tapBlock(0xff, [1]),
+        ...tapBlock(0xff, [2])
+      ]));
+      tape.seekToBlock(1);
+
+      callLoader(0xff, 0x8000, 1);
+      expect(tape.flashLoad()).toBe(true);
+      expect(memory.read(0x8000)).toBe(2);
+    });
+  });
+
+  describe('PZX', () => {
+    const ascii = (value) => Array.from(value, (c) => c.charCodeAt(0));
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+    const dword = (value) => [...word(value), (value >> 16) & 0xff, (value >>> 24) & 0xff];
+    const chunk = (tag, body) => [...ascii(tag), ...dword(body.length), ...body];
+
+    function pzx(...chunks) {
+      return new Uint8Array([...chunk('PZXT', [1, 0, ...ascii('Game\0Author\0Someone\0')]), ...chunks.flat()]);
+    }
+
+    // Play the tape and collect { tstates, level } for every EAR change
+    function playEdges(limit = 200000) {
+      tape.play();
+      const edges = [{ tstates: cpu.tstates, level: tape.lastEarBit }];
+      while (tape.playing && cpu.tstates < limit) {
+        cpu.tstates++;
+        const level = tape.update(cpu.tstates);
+        if (level !== edges[edges.length - 1].level) edges.push({ tstates: cpu.tstates, level });
+      }
+      return edges;
+    }
+
+    test('should detect PZX files and keep the header info', () => {
+      const data = pzx();
+      expect(Tape.isPZX(data)).toBe(true);
+
+      tape.loadPZX(data);
+      expect(tape.format).toBe('PZX');
+      expect(tape.getCatalog()[0].info).toEqual({ title: 'Game', author: 'Someone' });
+    });
+
+    test('should expand repeated and long PULS pulses', () => {
+      tape.loadPZX(pzx(chunk('PULS', [
+        ...word(0x8000 | 3), ...word(2168), // 3 x 2168
+        ...word(667),
+        ...word(0x8000 | 1), ...word(0x8000 | 0x0001), ...word(0x0000) // 1 x 65536 (31-bit form)
+      ])));
+
+      const block = tape.blocks[1];
+      expect(block.type).toBe(0x13);
+      expect(block.initialLevel).toBe(0);
+      expect(Array.from(block.pulses)).toEqual([2168, 2168, 2168, 667, 65536]);
+    });
+
+    test('should play PULS from a low level', () => {
+      tape.loadPZX(pzx(chunk('PULS', [...word(1000), ...word(2000), ...word(500)])));
+      tape.lastEarBit = 1;
+
+      const edges = playEdges();
+      expect(edges[0].level).toBe(0);
+      expect(edges.slice(1, 3).map((edge) => edge.tstates)).toEqual([1000, 3000]);
+    });
+
+    test('should play DATA with its pulse sequences, initial level and tail', () => {
+      tape.loadPZX(pzx(chunk('DATA', [
+        ...dword(0x80000000 | 2), ...word(300), 2, 1,
+        ...word(100), ...word(100), ...word(400),
+        0x40 // bits 0, 1
+      ]), chunk('PAUS', dword(0x80000000 | 1000))));
+
+      const block = tape.blocks[1];
+      expect(block.type).toBe(0x19);
+      expect(block.initialLevel).toBe(1);
+
+      const edges = playEdges();
+      expect(edges[0].level).toBe(1);
+      expect(edges.slice(1, 5).map((edge) => edge.tstates)).toEqual([100, 200, 600, 900]);
+    });
+
+    test('should hold the PAUS level for the given T-states', () => {
+      tape.loadPZX(pzx(
+        chunk('PAUS', dword(0x80000000 | 7000)),
+        chunk('PULS', [...word(1000)])
+      ));
+
+      expect(tape.blocks[1].type).toBe(0x20);
+      tape.play();
+      cpu.tstates += 100;
+      expect(tape.update(cpu.tstates)).toBe(1);
+      cpu.tstates += 6950;
+      tape.update(cpu.tstates);
+      expect(tape.currentBlock).toBe(tape.blocks[2]);
+    });
+
+    test('should map BRWS and STOP chunks', () => {
+      tape.loadPZX(pzx(
+        chunk('BRWS', ascii('Level 2')),
+        chunk('STOP', word(0)),
+        chunk('STOP', word(1))
+      ));
+
+      expect(tape.blocks.slice(1)).toEqual([
+        { type: 0x30, text: 'Level 2' },
+        { type: 0x20, pause: 0 },
+        { type: 0x2a }
+      ]);
+    });
+
+    test('should only stop in 48K mode', () => {
+      const data = pzx(chunk('STOP', word(1)), chunk('PULS', [...word(1000)]));
+
+      memory = new Memory('128k');
+      tape = new Tape({ cpu, ula: new ULA(), memory });
+      tape.loadPZX(data);
+      tape.play();
+      expect(tape.playing).toBe(true);
+      expect(tape.currentBlock).toBe(tape.blocks[2]);
+
+      memory.setPagingPort(0x20); // Paging locked: 48K mode
+      tape.loadPZX(data);
+      tape.play();
+      expect(tape.playing).toBe(false);
+    });
+
+    test('should decode ROM data blocks in the catalog', () => {
+      tape.loadPZX(pzx(chunk('DATA', [
+        ...dword(24), ...word(945), 2, 2,
+        ...word(855), ...word(855), ...word(1710), ...word(1710),
+        0xff, 0x12, 0xed
+      ])));
+
+      expect(tape.getCatalog()[1]).toMatchObject({ flag: 0xff, length: 3, checksumValid: true });
+    });
+
+    test('should reject unsupported versions', () => {
+      const data = pzx();
+      data[8] = 2;
+      expect(() => tape.loadPZX(data)).toThrow('Unsupported PZX version');
+    });
+  });
+
+  describe('tape counter', () => {
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+    const seconds = (tstates) => tstates / 3500000;
+
+    function tzx(...blocks) {
+      return new Uint8Array([0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20, ...blocks.flat()]);
+    }
+
+    function run(tstates) {
+      const end = cpu.tstates + tstates;
+      while (cpu.tstates < end) {
+        cpu.tstates += 10;
+        tape.update(cpu.tstates);
+      }
+    }
+
+    // Header pilot and sync, then the T-states of the flag 0xff data block's bytes
+    const pilot = 3223 * 2168 + 667 + 735;
+    const byteTStates = 8 * 2 * 1710;
+
+    test('should sum block timings, following loops', () => {
+      tape.loadTZX(tzx(
+        [0x24, ...word(3)], [0x12, ...word(1000), ...word(2)], [0x25],
+        [0x20, ...word(10)]
+      ));
+
+      expect(tape.getTotalTime()).toBeCloseTo(seconds(3 * 2000 + 35000), 9);
+      expect(tape.getTimeline().map((entry) => [entry.index, entry.start])).toEqual([
+        [1, 0], [1, 2000], [1, 4000], [3, 6000]
+      ]);
+    });
+
+    test('should match the catalog durations of standard blocks', () => {
+      tape.loadTAP(new Uint8Array([...tapBlock(0x00, new Array(17).fill(0x20)), ...tapBlock(0xff, [1, 2, 3])]));
+      const total = tape.getCatalog().reduce((sum, entry) => sum + entry.seconds, 0);
+
+      expect(tape.getTotalTime()).toBeCloseTo(total, 9);
+      expect(tape.getStatus()).toMatchObject({ elapsedTime: 0, remainingTime: tape.getTotalTime() });
+    });
+
+    test('should count elapsed time while playing and hold it while paused', () => {
+      tape.loadTAP(new Uint8Array(tapBlock(0xff, [1, 2, 3])));
+      tape.play();
+      run(1000000);
+      expect(tape.getElapsedTime()).toBeCloseTo(seconds(1000000), 4);
+
+      tape.pause();
+      run(500000);
+      expect(tape.getElapsedTime()).toBeCloseTo(seconds(1000000), 4);
+
+      // Edges are seen up to 10 T-states late, so allow for the drift over a byte
+      tape.play();
+      run(pilot - 1000000 + byteTStates + 200);
+      expect(tape.state).toBe('DATA');
+      expect(tape.bytePosition).toBe(1);
+      expect(tape.getElapsedTime()).toBeCloseTo(seconds(pilot + byteTStates), 3);
+      expect(tape.getRemainingTime()).toBeCloseTo(tape.getTotalTime() - tape.getElapsedTime(), 9);
+    });
+
+    test('should seek into the pilot tone', () => {
+      tape.loadTAP(new Uint8Array(tapBlock(0xff, [1, 2, 3])));
+      tape.play();
+      tape.seekToTime(1);
+
+      expect(tape.state).toBe('PILOT');
+      expect(tape.edgeCount).toBe(Math.floor(3500000 / 2168));
+      expect(tape.nextEdgeCycle - cpu.tstates).toBe(2168 - 3500000 % 2168);
+      expect(tape.getElapsedTime()).toBeCloseTo(1, 9);
+    });
+
+    test('should seek into the data and keep loading from there', () => {
+      tape.loadTAP(new Uint8Array(tapBlock(0xff, [0xff, 0x00, 0xff])));
+      tape.play();
+      tape.seekToTime(seconds(pilot + 2 * byteTStates + 100));
+
+      expect(tape.state).toBe('DATA');
+      expect(tape.bytePosition).toBe(2);
+
+      run(byteTStates);
+      expect(tape.bytePosition).toBe(3);
+    });
+
+    test('should restore the loop state when seeking into a loop', () => {
+      tape.loadTZX(tzx([0x24, ...word(3)], [0x12, ...word(1000), ...word(2)], [0x25]));
+      tape.play();
+      tape.seekToTime(seconds(4500));
+
+      expect(tape.blockIndex).toBe(2);
+      expect(tape.loopStack).toEqual([{ blockIndex: 0, counter: 1 }]);
+      expect(tape.getElapsedTime()).toBeCloseTo(seconds(4500), 9);
+
+      // 1500 T-states of the last repetition are left
+      run(1400);
+      expect(tape.playing).toBe(true);
+      run(200);
+      expect(tape.playing).toBe(false);
+      expect(tape.endOfTape).toBe(true);
+    });
+
+    test('should apply a seek on a stopped tape when it plays', () => {
+      tape.loadTAP(new Uint8Array(tapBlock(0xff, [1, 2, 3])));
+      tape.seekToTime(seconds(pilot));
+
+      expect(tape.playing).toBe(false);
+      expect(tape.getElapsedTime()).toBeCloseTo(seconds(pilot), 9);
+
+      tape.play();
+      expect(tape.state).toBe('DATA');
+      expect(tape.getElapsedTime()).toBeCloseTo(seconds(pilot), 9);
+    });
+
+    test('should seek to the end of the tape', () => {
+      tape.loadTAP(new Uint8Array(tapBlock(0xff, [1])));
+      tape.play();
+      tape.seekToTime(1000);
+
+      expect(tape.playing).toBe(false);
+      expect(tape.endOfTape).toBe(true);
+      expect(tape.getRemainingTime()).toBe(0);
+      expect(() => tape.seekToTime(NaN)).toThrow('Invalid tape time');
+    });
+  });
+
+  describe('WAV export', () => {
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+    function tzx(...blocks) {
+      return new Uint8Array([0x5a, 0x58, 0x54, 0x61, 0x70, 0x65, 0x21, 0x1a, 1, 20, ...blocks.flat()]);
+    }
+
+    // Sample values as signed levels (-127..127)
+    const samples = (wav) => Array.from(wav.subarray(44), (sample) => sample - 128);
+
+    test('should write an 8-bit mono RIFF header', () => {
+      tape.loadTZX(tzx([0x13, 1, ...word(3500)]));
+      const wav = tape.exportWAV({ sampleRate: 22050 });
+
+      expect(Tape.isWAV(wav)).toBe(true);
+      expect(wav[22]).toBe(1);
+      expect(wav[24] | (wav[25] << 8)).toBe(22050);
+      expect(wav[34]).toBe(8);
+      expect(wav.length - 44).toBe(23); // 22.05 samples, rounded up
+    });
+
+    test('should place edges between samples by averaging', () => {
+      // 100 T-states per sample at 35kHz
+      tape.loadTZX(tzx([0x13, 2, ...word(1050), ...word(1000)]));
+      const values = samples(tape.exportWAV({ sampleRate: 35000, amplitude: 1 }));
+
+      expect(values[0]).toBe(-127);
+      expect(values[9]).toBe(-127);
+      expect(values[10]).toBe(0); // Edge halfway through the sample
+      expect(values[11]).toBe(127);
+      expect(values[20]).toBe(0);
+      expect(values.length).toBe(21);
+    });
+
+    test('should apply amplitude and inversion', () => {
+      tape.loadTZX(tzx([0x13, 2, ...word(1000), ...word(1000)]));
+      const values = samples(tape.exportWAV({ sampleRate: 35000, amplitude: 0.5, invert: true }));
+
+      expect(values[0]).toBe(64);
+      expect(values[15]).toBe(-64);
+    });
+
+    test('should follow loops and pauses', () => {
+      tape.loadTZX(tzx(
+        [0x24, ...word(3)], [0x13, 2, ...word(1000), ...word(1000)], [0x25],
+        [0x20, ...word(10)]
+      ));
+      const values = samples(tape.exportWAV({ sampleRate: 35000 }));
+
+      // 3 x 2000 T-states of pulses, then 10ms of pause
+      expect(values.length).toBe(60 + 350);
+      expect(values.slice(0, 60).filter((value) => value > 0).length).toBe(30);
+      expect(values[values.length - 1]).toBeLessThan(0);
+    });
+
+    test('should leave a gap at stop blocks and carry on', () => {
+      tape.loadTZX(tzx([0x13, 1, ...word(1000)], [0x20, 0, 0], [0x13, 1, ...word(1000)]));
+      const values = samples(tape.exportWAV({ sampleRate: 35000 }));
+
+      expect(values.length).toBe(10 + 2000 * 35 + 10);
+    });
+
+    test('should restore the playback state', () => {
+      const events = [];
+      tape.onTapeEvent = (event) => events.push(event.type);
+      tape.loadTAP(new Uint8Array([...tapBlock(0x00, [1]), ...tapBlock(0xff, [2])]));
+      tape.play();
+      tape.seekToBlock(1);
+      const block = tape.currentBlock;
+      events.length = 0;
+
+      tape.exportWAV({ sampleRate: 8000 });
+
+      expect(tape.cpu).toBe(cpu);
+      expect(tape.currentBlock).toBe(block);
+      expect(tape.blockIndex).toBe(2);
+      expect(tape.playing).toBe(true);
+      expect(tape.rendering).toBe(false);
+      expect(events).toEqual([]);
+    });
+
+    test('should render ROM blocks that load back from the WAV', () => {
+      const block = [0xff, 0x12, 0x34, 0x26];
+      tape.loadTAP(new Uint8Array([block.length, 0, ...block]));
+
+      tape.loadWAV(tape.exportWAV());
+      const pulses = Array.from(tape.blocks[0].pulses);
+
+      // The odd pilot pulse count leaves the level high, so the pause drops it after 1ms;
+      // the pause itself is the one trailing pulse the decoder allows
+      expect(Math.abs(pulses[pulses.length - 2] - 3500)).toBeLessThan(100);
+      const decoded = new TapeRecorder().decodeStandard(pulses.slice(0, -1));
+      expect(Array.from(decoded)).toEqual(block);
+    });
+  });
+});
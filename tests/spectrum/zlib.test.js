@@ -0,0 +1,49 @@
+/**
+ * zlib/deflate tests
+ */
+import { deflateSync, inflateSync } from 'zlib';
+import { Zlib } from '../../src/spectrum/zlib.js';
+
+describe('Zlib', () => {
+  function sampleData(length) {
+    const data = new Uint8Array(length);
+    let seed = 1;
+    for (let i = 0; i < length; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      data[i] = (i % 256 < 96) ? 0 : (seed >> 16) & 0x0f;
+    }
+    return data;
+  }
+
+  test('should round-trip data', () => {
+    for (const length of [0, 1, 300, 16384]) {
+      const data = sampleData(length);
+      expect(Zlib.decompress(Zlib.compress(data))).toEqual(data);
+    }
+  });
+
+  test('should compress repetitive data', () => {
+    const data = new Uint8Array(16384);
+    expect(Zlib.compress(data).length).toBeLessThan(200);
+  });
+
+  test('should produce streams readable by other zlib implementations', () => {
+    const data = sampleData(16384);
+    expect(new Uint8Array(inflateSync(Zlib.compress(data)))).toEqual(data);
+  });
+
+  test('should inflate stored, fixed and dynamic blocks', () => {
+    const data = sampleData(20000);
+    for (const level of [0, 1, 9]) {
+      expect(Zlib.decompress(new Uint8Array(deflateSync(data, { level })))).toEqual(data);
+    }
+  });
+
+  test('should reject corrupted streams', () => {
+    const stream = Zlib.compress(sampleData(1000));
+    stream[stream.length - 1] ^= 0xff;
+
+    expect(() => Zlib.decompress(stream)).toThrow('checksum');
+    expect(() => Zlib.decompress(new Uint8Array(8))).toThrow('Invalid zlib header');
+  });
+});